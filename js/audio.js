@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Web Audio sound engine.
+ * Sounds play through per-channel buses (sfx, music) into a master gain used for muting.
+ * Sound files are optional: any sound without a decoded file is synthesized on the fly,
+ * so the game has audio even with no audio assets at all.
+ */
+
+const DEFAULT_BUS_VOLUME = { sfx: 0.8, music: 0.5 };
+const MIN_REPEAT_INTERVAL = 0.05; // Seconds before the same sound may start again (collapses fire dozens of impacts)
+const MAX_VOICES = 16;            // Sounds playing at once; extra requests are dropped
+const IMPACT_MIN_IMPULSE = 300;   // Impacts softer than this are silent
+const IMPACT_MAX_IMPULSE = 6000;  // Impacts this hard or harder play at full volume
+
+/**
+ * Maps an impulse magnitude to a volume between 0 and 1.
+ * @param {number} impulseMagnitude
+ * @returns {number}
+ */
+function volumeForImpulse(impulseMagnitude) {
+    const t = (impulseMagnitude - IMPACT_MIN_IMPULSE) / (IMPACT_MAX_IMPULSE - IMPACT_MIN_IMPULSE);
+    return Math.max(0, Math.min(1, t));
+}
+
+// --- Procedural fallbacks ---
+// Each takes (ctx, destination, when, options) and schedules its nodes; `options.pitch` scales frequencies.
+
+const NOISE_SECONDS = 1; // Length of the shared noise buffer (longest noisy sound)
+const noiseBuffers = new WeakMap(); // AudioContext -> noise buffer
+
+/** White noise buffer, made once per context and shared by the noisy sounds */
+function noiseBuffer(ctx) {
+    let buffer = noiseBuffers.get(ctx);
+    if (!buffer) {
+        buffer = ctx.createBuffer(1, ctx.sampleRate * NOISE_SECONDS, ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+        noiseBuffers.set(ctx, buffer);
+    }
+    return buffer;
+}
+
+/** Filtered noise burst with an exponential decay */
+function noiseBurst(ctx, destination, when, { duration, filterType, frequency, endFrequency, gain }) {
+    const source = ctx.createBufferSource();
+    source.buffer = noiseBuffer(ctx);
+    const filter = ctx.createBiquadFilter();
+    filter.type = filterType;
+    filter.frequency.setValueAtTime(frequency, when);
+    if (endFrequency) filter.frequency.exponentialRampToValueAtTime(endFrequency, when + duration);
+    const envelope = ctx.createGain();
+    envelope.gain.setValueAtTime(gain, when);
+    envelope.gain.exponentialRampToValueAtTime(0.001, when + duration);
+    source.connect(filter).connect(envelope).connect(destination);
+    source.start(when);
+    source.stop(when + duration);
+    return source;
+}
+
+/** Oscillator with a pitch glide and exponential decay */
+function tone(ctx, destination, when, { type, frequency, endFrequency, duration, gain }) {
+    const osc = ctx.createOscillator();
+    osc.type = type;
+    osc.frequency.setValueAtTime(frequency, when);
+    if (endFrequency) osc.frequency.exponentialRampToValueAtTime(endFrequency, when + duration);
+    const envelope = ctx.createGain();
+    envelope.gain.setValueAtTime(gain, when);
+    envelope.gain.exponentialRampToValueAtTime(0.001, when + duration);
+    osc.connect(envelope).connect(destination);
+    osc.start(when);
+    osc.stop(when + duration);
+    return osc;
+}
+
+const SYNTHS = {
+    // Rising whoosh of air
+    launch: (ctx, out, when, { pitch }) =>
+        noiseBurst(ctx, out, when, { duration: 0.4, filterType: 'bandpass', frequency: 400 * pitch, endFrequency: 2000 * pitch, gain: 0.5 }),
+    // Rubber band snapping back
+    twang: (ctx, out, when, { pitch }) =>
+        tone(ctx, out, when, { type: 'triangle', frequency: 220 * pitch, endFrequency: 90 * pitch, duration: 0.25, gain: 0.6 }),
+    // Dull thud
+    impact: (ctx, out, when, { pitch }) =>
+        tone(ctx, out, when, { type: 'sine', frequency: 140 * pitch, endFrequency: 50 * pitch, duration: 0.15, gain: 0.8 }),
+    breakWood: (ctx, out, when, { pitch }) =>
+        noiseBurst(ctx, out, when, { duration: 0.3, filterType: 'bandpass', frequency: 900 * pitch, endFrequency: 300 * pitch, gain: 0.8 }),
+    breakStone: (ctx, out, when, { pitch }) =>
+        noiseBurst(ctx, out, when, { duration: 0.45, filterType: 'lowpass', frequency: 500 * pitch, endFrequency: 120 * pitch, gain: 1 }),
+    breakGlass: (ctx, out, when, { pitch }) =>
+        noiseBurst(ctx, out, when, { duration: 0.35, filterType: 'highpass', frequency: 3000 * pitch, gain: 0.6 }),
+    explosion: (ctx, out, when, { pitch }) =>
+        noiseBurst(ctx, out, when, { duration: 0.9, filterType: 'lowpass', frequency: 1200 * pitch, endFrequency: 60 * pitch, gain: 1 }),
+    // Squeaky oink
+    enemyDestroyed: (ctx, out, when, { pitch }) =>
+        tone(ctx, out, when, { type: 'square', frequency: 520 * pitch, endFrequency: 260 * pitch, duration: 0.3, gain: 0.3 }),
+    // Short chirp for special abilities
+    ability: (ctx, out, when, { pitch }) =>
+        tone(ctx, out, when, { type: 'sine', frequency: 600 * pitch, endFrequency: 1400 * pitch, duration: 0.15, gain: 0.4 }),
+};
+
+class AudioEngine {
+    constructor() {
+        this.context = null; // Created on the first user gesture (browsers block audio before that)
+        this.master = null;
+        this.buses = {};
+        this.busVolume = { ...DEFAULT_BUS_VOLUME };
+        this.buffers = {};   // Decoded sound files by name
+        this.pending = {};   // Sound files waiting to be decoded once the context exists
+        this.lastPlayed = {}; // Name -> context time it last started
+        this.voices = 0;
+        this.muted = false;
+        this.music = null;   // Currently looping music source
+    }
+
+    /** True if Web Audio exists in this environment */
+    get isSupported() {
+        return typeof window !== 'undefined' && Boolean(window.AudioContext || window.webkitAudioContext);
+    }
+
+    /**
+     * Creates (or resumes) the audio context. Call from a user input handler.
+     */
+    unlock() {
+        if (!this.isSupported) return;
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.context = new AudioContextClass();
+            this.master = this.context.createGain();
+            this.master.gain.value = this.muted ? 0 : 1;
+            this.master.connect(this.context.destination);
+            for (const [bus, volume] of Object.entries(this.busVolume)) {
+                this.buses[bus] = this.context.createGain();
+                this.buses[bus].gain.value = volume;
+                this.buses[bus].connect(this.master);
+            }
+            Object.entries(this.pending).forEach(([name, data]) => this.decode(name, data));
+            this.pending = {};
+        }
+        if (this.context.state === 'suspended') {
+            this.context.resume().catch(e => console.warn('Could not resume audio:', e));
+        }
+    }
+
+    /**
+     * Fetches sound files. Missing or undecodable files are skipped (they get synthesized instead).
+     * @param {object} paths Sound name -> URL
+     * @returns {Promise<void>} Resolves once every file has been tried
+     */
+    load(paths) {
+        const requests = Object.entries(paths).map(([name, url]) =>
+            fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.arrayBuffer();
+                })
+                .then(data => {
+                    if (this.context) this.decode(name, data);
+                    else this.pending[name] = data;
+                })
+                .catch(err => console.warn(`Sound '${name}' not loaded (${url}), using synthesized fallback.`, err.message))
+        );
+        return Promise.all(requests).then(() => undefined);
+    }
+
+    /**
+     * Drops loaded sound files, so those sounds go back to their synthesized fallbacks.
+     * @param {Array<string>} names
+     */
+    forget(names) {
+        names.forEach(name => {
+            delete this.buffers[name];
+            delete this.pending[name];
+        });
+    }
+
+    decode(name, data) {
+        this.context.decodeAudioData(data)
+            .then(buffer => { this.buffers[name] = buffer; })
+            .catch(err => console.warn(`Could not decode sound '${name}', using synthesized fallback.`, err));
+    }
+
+    /**
+     * Plays a sound effect.
+     * @param {string} name Sound name (a loaded file, or one of the synthesized fallbacks)
+     * @param {object} [options] { volume: 0..1, pitch: playback-rate multiplier, bus: 'sfx' | 'music' }
+     */
+    play(name, options = {}) {
+        const volume = options.volume ?? 1;
+        if (!this.context || this.muted || volume <= 0) return;
+        if (this.voices >= MAX_VOICES) return;
+        const now = this.context.currentTime;
+        if (now - (this.lastPlayed[name] ?? -Infinity) < MIN_REPEAT_INTERVAL) return;
+        this.lastPlayed[name] = now;
+
+        const gain = this.context.createGain();
+        gain.gain.value = volume;
+        gain.connect(this.buses[options.bus ?? 'sfx']);
+        const pitch = options.pitch ?? 1;
+
+        let source;
+        if (this.buffers[name]) {
+            source = this.context.createBufferSource();
+            source.buffer = this.buffers[name];
+            source.playbackRate.value = pitch;
+            source.connect(gain);
+            source.start(now);
+        } else if (SYNTHS[name]) {
+            source = SYNTHS[name](this.context, gain, now, { pitch });
+        } else {
+            console.warn(`Sound not found: ${name}`);
+            gain.disconnect();
+            return;
+        }
+
+        this.voices++;
+        source.onended = () => {
+            this.voices--;
+            gain.disconnect();
+        };
+    }
+
+    /**
+     * Loops a loaded music file on the music bus (music has no synthesized fallback).
+     * @param {string} name
+     */
+    playMusic(name) {
+        this.stopMusic();
+        if (!this.context || !this.buffers[name]) return;
+        this.music = this.context.createBufferSource();
+        this.music.buffer = this.buffers[name];
+        this.music.loop = true;
+        this.music.connect(this.buses.music);
+        this.music.start();
+    }
+
+    stopMusic() {
+        if (this.music) {
+            this.music.stop();
+            this.music = null;
+        }
+    }
+
+    /**
+     * Sets a bus volume.
+     * @param {string} bus 'sfx' or 'music'
+     * @param {number} volume 0..1
+     */
+    setBusVolume(bus, volume) {
+        this.busVolume[bus] = volume;
+        if (this.buses[bus]) this.buses[bus].gain.value = volume;
+    }
+
+    /** Mutes or unmutes everything through the master gain */
+    setMuted(muted) {
+        this.muted = muted;
+        if (this.master) this.master.gain.value = muted ? 0 : 1;
+    }
+}
+
+export { AudioEngine, volumeForImpulse };
@@ -0,0 +1,258 @@
+/**
+ * @fileoverview Broad phase collision culling for PhysicsWorld.
+ * Each step the world hands over one proxy per entity ({entity, aabb}) and asks for
+ * the pairs whose bounding boxes overlap; only those reach the exact (narrow phase) tests.
+ * Every broad phase returns its pairs in the same order the old all-pairs loop visited
+ * them, so swapping one implementation for another never changes the simulation.
+ *
+ * AABBs are plain objects: { minX, minY, maxX, maxY }.
+ */
+
+const DEFAULT_CELL_SIZE = 100; // Roughly two blocks wide; big enough that most bodies span few cells
+
+/** True if two AABBs overlap (touching edges count) */
+function aabbOverlap(a, b) {
+    return a.minX <= b.maxX && a.maxX >= b.minX &&
+           a.minY <= b.maxY && a.maxY >= b.minY;
+}
+
+/**
+ * Slab test of the segment from -> to against an AABB.
+ * @returns {number|null} Fraction (0..1) along the segment where it enters the box, or null if it misses.
+ */
+function segmentAABBFraction(from, to, aabb) {
+    let tMin = 0;
+    let tMax = 1;
+    const axes = [
+        [from.x, to.x - from.x, aabb.minX, aabb.maxX],
+        [from.y, to.y - from.y, aabb.minY, aabb.maxY],
+    ];
+    for (const [start, delta, min, max] of axes) {
+        if (Math.abs(delta) < 1e-9) {
+            if (start < min || start > max) return null; // Parallel and outside this slab
+            continue;
+        }
+        let t1 = (min - start) / delta;
+        let t2 = (max - start) / delta;
+        if (t1 > t2) [t1, t2] = [t2, t1];
+        tMin = Math.max(tMin, t1);
+        tMax = Math.min(tMax, t2);
+        if (tMin > tMax) return null;
+    }
+    return tMin;
+}
+
+/**
+ * Base class: holds the proxies from the last update and implements the queries
+ * in terms of whatever candidate search the subclass provides.
+ */
+class BroadPhase {
+    constructor() {
+        this.proxies = [];
+    }
+
+    /**
+     * Rebuilds the structure for this step.
+     * @param {Array<{entity: object, aabb: object}>} proxies One per entity, in world order.
+     */
+    update(proxies) {
+        this.proxies = proxies;
+    }
+
+    /**
+     * Pairs of proxy indices [i, j] (i < j) whose AABBs overlap, sorted by i then j.
+     * @returns {Array<Array<number>>}
+     */
+    getPairs() {
+        throw new Error(`${this.constructor.name} must implement getPairs()`);
+    }
+
+    /**
+     * Indices of the proxies whose AABBs may overlap a rectangle (subclasses take it as `rect`
+     * to narrow the search; the base version checks everything).
+     */
+    candidatesFor() {
+        return this.proxies.map((_, index) => index);
+    }
+
+    /**
+     * Entities whose AABBs overlap `rect`, in world order.
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} rect
+     * @returns {Array<object>}
+     */
+    queryAABB(rect) {
+        return this.candidatesFor(rect)
+            .filter(index => aabbOverlap(this.proxies[index].aabb, rect))
+            .sort((i, j) => i - j)
+            .map(index => this.proxies[index].entity);
+    }
+
+    /**
+     * Entities whose AABBs the segment from -> to passes through, nearest first.
+     * These are candidates only; PhysicsWorld.raycast does the exact shape test.
+     * @param {{x: number, y: number}} from
+     * @param {{x: number, y: number}} to
+     * @returns {Array<{entity: object, fraction: number}>}
+     */
+    raycast(from, to) {
+        const bounds = {
+            minX: Math.min(from.x, to.x), minY: Math.min(from.y, to.y),
+            maxX: Math.max(from.x, to.x), maxY: Math.max(from.y, to.y),
+        };
+        const hits = [];
+        for (const index of this.candidatesFor(bounds)) {
+            const { entity, aabb } = this.proxies[index];
+            const fraction = segmentAABBFraction(from, to, aabb);
+            if (fraction !== null) hits.push({ entity, fraction, index });
+        }
+        hits.sort((a, b) => a.fraction - b.fraction || a.index - b.index);
+        return hits.map(({ entity, fraction }) => ({ entity, fraction }));
+    }
+}
+
+/**
+ * Sorts pairs into the order the all-pairs loop produced them (by i, then j).
+ * @param {Array<Array<number>>} pairs
+ */
+function sortPairs(pairs) {
+    return pairs.sort((p, q) => p[0] - q[0] || p[1] - q[1]);
+}
+
+/**
+ * Tests every pair. O(n²), kept as the reference the other broad phases must agree with.
+ */
+class BruteForceBroadPhase extends BroadPhase {
+    getPairs() {
+        const pairs = [];
+        const count = this.proxies.length;
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                if (aabbOverlap(this.proxies[i].aabb, this.proxies[j].aabb)) {
+                    pairs.push([i, j]);
+                }
+            }
+        }
+        return pairs;
+    }
+}
+
+/**
+ * Uniform grid keyed by cell coordinates. Each proxy is filed under every cell its
+ * AABB touches; only proxies sharing a cell are compared.
+ */
+class SpatialHashBroadPhase extends BroadPhase {
+    /**
+     * @param {number} [cellSize] Width and height of a grid cell in pixels.
+     */
+    constructor(cellSize = DEFAULT_CELL_SIZE) {
+        super();
+        this.cellSize = cellSize;
+        this.cells = new Map(); // "cx,cy" -> [proxy index, ...]
+    }
+
+    /** Inclusive cell range covered by an AABB */
+    cellRange(aabb) {
+        return {
+            x0: Math.floor(aabb.minX / this.cellSize), y0: Math.floor(aabb.minY / this.cellSize),
+            x1: Math.floor(aabb.maxX / this.cellSize), y1: Math.floor(aabb.maxY / this.cellSize),
+        };
+    }
+
+    update(proxies) {
+        super.update(proxies);
+        this.cells.clear();
+        proxies.forEach((proxy, index) => {
+            const { x0, y0, x1, y1 } = this.cellRange(proxy.aabb);
+            for (let cx = x0; cx <= x1; cx++) {
+                for (let cy = y0; cy <= y1; cy++) {
+                    const key = `${cx},${cy}`;
+                    const cell = this.cells.get(key);
+                    if (cell) cell.push(index);
+                    else this.cells.set(key, [index]);
+                }
+            }
+        });
+    }
+
+    getPairs() {
+        const count = this.proxies.length;
+        const seen = new Set(); // i * count + j, so a pair sharing several cells is reported once
+        const pairs = [];
+        for (const cell of this.cells.values()) {
+            // Indices were pushed in world order, so i < j inside each cell
+            for (let m = 0; m < cell.length; m++) {
+                for (let n = m + 1; n < cell.length; n++) {
+                    const i = cell[m];
+                    const j = cell[n];
+                    const key = i * count + j;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    if (aabbOverlap(this.proxies[i].aabb, this.proxies[j].aabb)) {
+                        pairs.push([i, j]);
+                    }
+                }
+            }
+        }
+        return sortPairs(pairs);
+    }
+
+    candidatesFor(rect) {
+        const { x0, y0, x1, y1 } = this.cellRange(rect);
+        const found = new Set();
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                const cell = this.cells.get(`${cx},${cy}`);
+                if (cell) cell.forEach(index => found.add(index));
+            }
+        }
+        return [...found];
+    }
+}
+
+/**
+ * Sweep and prune along x: proxies are sorted by their left edge and swept once,
+ * comparing each only with the ones whose x-interval is still open.
+ */
+class SweepAndPruneBroadPhase extends BroadPhase {
+    constructor() {
+        super();
+        this.order = []; // Proxy indices sorted by aabb.minX
+    }
+
+    update(proxies) {
+        super.update(proxies);
+        this.order = proxies.map((_, index) => index)
+            .sort((i, j) => proxies[i].aabb.minX - proxies[j].aabb.minX || i - j);
+    }
+
+    getPairs() {
+        const pairs = [];
+        const open = [];
+        for (const index of this.order) {
+            const aabb = this.proxies[index].aabb;
+            // Drop intervals that ended before this one starts
+            for (let k = open.length - 1; k >= 0; k--) {
+                if (this.proxies[open[k]].aabb.maxX < aabb.minX) open.splice(k, 1);
+            }
+            for (const other of open) {
+                if (aabbOverlap(this.proxies[other].aabb, aabb)) {
+                    pairs.push(other < index ? [other, index] : [index, other]);
+                }
+            }
+            open.push(index);
+        }
+        return sortPairs(pairs);
+    }
+
+    candidatesFor(rect) {
+        const found = [];
+        for (const index of this.order) {
+            const aabb = this.proxies[index].aabb;
+            if (aabb.minX > rect.maxX) break; // Everything after starts further right
+            if (aabb.maxX >= rect.minX) found.push(index);
+        }
+        return found;
+    }
+}
+
+export { BroadPhase, BruteForceBroadPhase, SpatialHashBroadPhase, SweepAndPruneBroadPhase, aabbOverlap };
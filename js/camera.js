@@ -0,0 +1,161 @@
+/**
+ * @fileoverview 2D camera for the game view.
+ * Keeps a position (the world point at the top-left of the screen) and a zoom factor,
+ * converts between screen (canvas pixel) and world coordinates, follows a target
+ * smoothly and stays inside the level's world bounds. The view before the latest step is kept so
+ * frames drawn between steps can be interpolated.
+ */
+
+import { Vec2 } from './physics.js';
+
+const MAX_ZOOM = 2;          // Closest zoom-in
+const FOLLOW_SMOOTHING = 6;  // How quickly the camera catches up with its target (1/s)
+const SKY_HEADROOM = 0.75;   // How far above the world top the view may go, as a fraction of world height
+
+class Camera {
+    /**
+     * @param {number} viewWidth Canvas width in pixels
+     * @param {number} viewHeight Canvas height in pixels
+     */
+    constructor(viewWidth, viewHeight) {
+        this.viewWidth = viewWidth;
+        this.viewHeight = viewHeight;
+        this.worldWidth = viewWidth;
+        this.worldHeight = viewHeight;
+        this.position = new Vec2(); // World point shown at the screen's top-left corner
+        this.zoom = 1;
+        this.target = null; // Entity being followed, if any
+        this.focus = null;  // Fixed world point to move to when not following
+        this.previousPosition = this.position; // View before the latest step, for interpolated drawing
+        this.previousZoom = this.zoom;
+    }
+
+    /**
+     * Sets the area the camera may show and jumps back to the default view of it.
+     * @param {number} worldWidth
+     * @param {number} worldHeight
+     */
+    setWorldSize(worldWidth, worldHeight) {
+        this.worldWidth = Math.max(worldWidth, this.viewWidth);
+        this.worldHeight = Math.max(worldHeight, this.viewHeight);
+        this.zoom = 1;
+        this.target = null;
+        this.focus = null;
+        this.position = this.clampPosition(new Vec2());
+        this.capture(); // A new level doesn't slide in from the old view
+    }
+
+    /** Smallest zoom: the whole world width fits on screen */
+    get minZoom() {
+        return this.viewWidth / this.worldWidth;
+    }
+
+    /** Visible width and height in world units */
+    get visibleWidth() { return this.viewWidth / this.zoom; }
+    get visibleHeight() { return this.viewHeight / this.zoom; }
+
+    /**
+     * Keeps the view inside the world horizontally and never below the ground.
+     * Some sky above the world is allowed so high shots stay in view.
+     */
+    clampPosition(position) {
+        const maxX = this.worldWidth - this.visibleWidth;
+        const maxY = this.worldHeight - this.visibleHeight;
+        const minY = Math.min(maxY, -this.worldHeight * SKY_HEADROOM);
+        return new Vec2(
+            Math.max(0, Math.min(position.x, maxX)),
+            Math.max(minY, Math.min(position.y, maxY))
+        );
+    }
+
+    /** Camera position that centres the view on a world point (clamped) */
+    positionCentredOn(point) {
+        return this.clampPosition(new Vec2(point.x - this.visibleWidth / 2, point.y - this.visibleHeight / 2));
+    }
+
+    /** Follows an entity until it's removed or the player takes over */
+    follow(entity) {
+        this.target = entity;
+        this.focus = null;
+    }
+
+    /**
+     * Glides to a fixed world point (e.g. back to the slingshot).
+     * @param {Vec2} point
+     * @param {boolean} [immediate] Jump there instead of easing
+     */
+    moveTo(point, immediate = false) {
+        this.target = null;
+        this.focus = point;
+        if (immediate) {
+            this.position = this.positionCentredOn(point);
+            this.capture();
+        }
+    }
+
+    /** Manual control: stop following so the player's pan/zoom sticks */
+    release() {
+        this.target = null;
+        this.focus = null;
+    }
+
+    /**
+     * Pans by a distance in screen pixels (e.g. a drag or arrow key).
+     * @param {number} dx
+     * @param {number} dy
+     */
+    panBy(dx, dy) {
+        this.release();
+        this.position = this.clampPosition(this.position.add(new Vec2(dx, dy).div(this.zoom)));
+    }
+
+    /**
+     * Zooms by a factor, keeping the world point under `screenPoint` fixed on screen.
+     * @param {number} factor >1 zooms in, <1 zooms out
+     * @param {Vec2} screenPoint Canvas pixel position to zoom around
+     */
+    zoomAt(factor, screenPoint) {
+        const anchor = this.screenToWorld(screenPoint);
+        this.zoom = Math.max(this.minZoom, Math.min(this.zoom * factor, MAX_ZOOM));
+        this.position = this.clampPosition(anchor.sub(screenPoint.div(this.zoom)));
+    }
+
+    /** Eases towards the followed entity or focus point */
+    update(dt) {
+        if (this.target && this.target.markedForRemoval) this.target = null; // Keep looking where it vanished
+        const goal = this.target ? this.target.position : this.focus;
+        if (!goal) return;
+        const desired = this.positionCentredOn(goal);
+        const blend = 1 - Math.exp(-FOLLOW_SMOOTHING * dt);
+        this.position = this.position.add(desired.sub(this.position).mul(blend));
+    }
+
+    /** Converts a canvas pixel position to world coordinates */
+    screenToWorld(point) {
+        return point.div(this.zoom).add(this.position);
+    }
+
+    /** Converts a world position to canvas pixels */
+    worldToScreen(point) {
+        return point.sub(this.position).mul(this.zoom);
+    }
+
+    /** Remembers the current view; call just before each step (see applyTransform's `alpha`) */
+    capture() {
+        this.previousPosition = this.position;
+        this.previousZoom = this.zoom;
+    }
+
+    /**
+     * Sets up `ctx` so subsequent drawing happens in world coordinates.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} [alpha] How far between the captured view (0) and the current one (1) to draw
+     */
+    applyTransform(ctx, alpha = 1) {
+        const zoom = this.previousZoom + (this.zoom - this.previousZoom) * alpha;
+        const position = this.previousPosition.add(this.position.sub(this.previousPosition).mul(alpha));
+        ctx.setTransform(zoom, 0, 0, zoom, -position.x * zoom, -position.y * zoom);
+    }
+}
+
+export { Camera };
@@ -0,0 +1,441 @@
+/**
+ * @fileoverview In-game level editor.
+ * Edits plain level data in exactly the format of js/levels.js (the format loadLevel consumes):
+ * blocks are { type, x, y, width, height, isStatic?, angle?, shape? } with x/y at the top-left corner,
+ * enemies are { type, x, y } at their centre (type is a key of ENEMY_TYPES; new ones are 'enemy'), plus slingshotPos, birds, starThresholds
+ * and the optional joints and worldWidth. The level is drawn with the real entity classes, so it
+ * looks the same as in the game. The editor only deals in world coordinates; main.js routes
+ * pointer and key input here while the game is in its 'editing' state.
+ */
+
+import { PhysicsWorld, Vec2 } from './physics.js';
+import { BLOCK_TYPES, BLOCK_SHAPES } from './entities.js';
+import { buildLevel, DEFAULT_WORLD_WIDTH, WORLD_HEIGHT } from './simulation.js';
+import { validateLevel, formatIssue } from './validator.js';
+
+const GRID_SIZE = 10;       // px
+const SURFACE_SNAP = 12;    // Objects this close to resting on (or touching) a block snap onto it
+const HANDLE_SIZE = 12;     // Resize handle, in world px
+const MIN_BLOCK_SIZE = 10;
+// Size of a newly placed block, by shape
+const DEFAULT_BLOCK_SIZES = {
+    box: { width: 100, height: 20 },
+    circle: { width: 40, height: 40 },
+    triangle: { width: 60, height: 50 },
+    rounded: { width: 100, height: 20 },
+};
+const ENEMY_SPAWN_GAP = 1;  // Enemies start this far above whatever they rest on (as in levels.js)
+const GROUND_HEIGHT = 50;
+
+/** Editor tools: 'select' moves and resizes, the materials and 'enemy' place, 'delete' removes */
+const BLOCK_TOOLS = BLOCK_TYPES;
+const EDITOR_TOOLS = ['select', ...BLOCK_TOOLS, 'enemy', 'slingshot', 'delete'];
+
+/**
+ * A blank level: ground, a slingshot and three red birds.
+ * @param {number} [worldWidth]
+ * @returns {object} Level data
+ */
+function createEmptyLevel(worldWidth = DEFAULT_WORLD_WIDTH) {
+    const groundLevel = WORLD_HEIGHT - GROUND_HEIGHT;
+    return {
+        level: 0,
+        id: 'new-level',
+        name: 'New Level',
+        birds: ['red', 'red', 'red'],
+        slingshotPos: { x: 150, y: groundLevel - 100 },
+        enemies: [],
+        blocks: [
+            { type: 'stone', x: 0, y: groundLevel, width: worldWidth, height: GROUND_HEIGHT, isStatic: true },
+        ],
+        starThresholds: { 1: 5000, 2: 10000, 3: 15000 },
+        ...(worldWidth !== DEFAULT_WORLD_WIDTH && { worldWidth }),
+    };
+}
+
+/**
+ * Parses level JSON exported by the editor (or copied out of levels.js as JSON).
+ * Warnings (overlaps and the like) are logged; the level can still be opened to fix them.
+ * @param {string} text
+ * @returns {object} Level data
+ * @throws {Error} If the text isn't a valid level (the message lists the errors)
+ */
+function parseLevel(text) {
+    const levelData = JSON.parse(text);
+    const issues = validateLevel(levelData);
+    const errors = issues.filter(issue => issue.severity === 'error');
+    if (errors.length > 0) throw new Error(`Invalid level: ${errors.map(formatIssue).join('; ')}`);
+    issues.forEach(issue => console.warn(`Imported level: ${formatIssue(issue)}`));
+    return levelData;
+}
+
+class LevelEditor {
+    /**
+     * @param {object} [levelData] Level to start from (copied); defaults to a blank level
+     */
+    constructor(levelData = createEmptyLevel()) {
+        this.tool = 'select';
+        this.blockShape = 'box'; // Shape of the blocks the material tools place
+        this.snapToGrid = true;
+        this.selection = null; // { kind: 'block' | 'enemy' | 'slingshot', index }
+        this.drag = null;      // { mode: 'move' | 'resize', offset: Vec2 }
+        this.load(levelData);
+    }
+
+    /** Starts editing a copy of `levelData` */
+    load(levelData) {
+        this.levelData = structuredClone(levelData);
+        this.levelData.joints ??= [];
+        this.selection = null;
+        this.drag = null;
+        this.rebuild();
+    }
+
+    get worldWidth() {
+        return this.levelData.worldWidth ?? DEFAULT_WORLD_WIDTH;
+    }
+
+    /**
+     * Changes the world width (wider than the canvas makes the camera scroll).
+     * A ground block spanning the old width is stretched to match.
+     */
+    setWorldWidth(width) {
+        const oldWidth = this.worldWidth;
+        width = Math.max(DEFAULT_WORLD_WIDTH, Math.round(width));
+        if (width === DEFAULT_WORLD_WIDTH) delete this.levelData.worldWidth;
+        else this.levelData.worldWidth = width;
+        this.levelData.blocks
+            .filter(b => b.isStatic && b.x === 0 && b.width === oldWidth)
+            .forEach(b => { b.width = width; });
+        this.rebuild();
+    }
+
+    /** @param {Array<string>} birds Bird types, in launch order (keys of BIRD_TYPES) */
+    setBirds(birds) {
+        this.levelData.birds = [...birds];
+    }
+
+    setTool(tool) {
+        if (!EDITOR_TOOLS.includes(tool)) {
+            console.warn(`Unknown editor tool: ${tool}`);
+            return;
+        }
+        this.tool = tool;
+        this.drag = null;
+    }
+
+    /**
+     * Sets the shape new blocks are placed with, and changes the selected block to it.
+     * @param {string} shape Key of BLOCK_SHAPES
+     */
+    setBlockShape(shape) {
+        if (!BLOCK_SHAPES[shape]) {
+            console.warn(`Unknown block shape: ${shape}`);
+            return;
+        }
+        this.blockShape = shape;
+        if (this.selection?.kind !== 'block') return;
+        const data = this.levelData.blocks[this.selection.index];
+        if (shape === 'box') delete data.shape;
+        else data.shape = shape;
+        this.rebuild();
+    }
+
+    /** The level as plain data, ready for loadLevel or export (a copy; unused `joints` left out) */
+    toLevelData() {
+        const levelData = structuredClone(this.levelData);
+        if (levelData.joints.length === 0) delete levelData.joints;
+        return levelData;
+    }
+
+    /** Pretty-printed level JSON, so exported levels are easy to read and diff */
+    exportJSON() {
+        return JSON.stringify(this.toLevelData(), null, 2);
+    }
+
+    /**
+     * Replaces the level with one from JSON.
+     * @param {string} text
+     * @throws {Error} If the text isn't a level
+     */
+    importJSON(text) {
+        this.load(parseLevel(text));
+    }
+
+    /** Recreates the preview entities after the level data changes */
+    rebuild() {
+        this.preview = buildLevel(this.levelData, new PhysicsWorld());
+    }
+
+    // --- Hit testing ---
+
+    /**
+     * Topmost object under a world point: enemies, then blocks (later ones are drawn on top), then the slingshot.
+     * @param {Vec2} point
+     * @returns {{kind: string, index: number}|null}
+     */
+    hitTest(point) {
+        const enemyIndex = this.preview.enemies.findLastIndex(enemy =>
+            point.sub(enemy.position).lenSq() <= enemy.collisionShape.radius ** 2);
+        if (enemyIndex !== -1) return { kind: 'enemy', index: enemyIndex };
+
+        const blockIndex = this.preview.blocks.findLastIndex(block => {
+            const local = point.sub(block.position).rotate(-block.angle);
+            return Math.abs(local.x) <= block.width / 2 && Math.abs(local.y) <= block.height / 2;
+        });
+        if (blockIndex !== -1) return { kind: 'block', index: blockIndex };
+
+        const sling = this.levelData.slingshotPos;
+        if (Math.abs(point.x - sling.x) <= 20 && point.y >= sling.y - 15 && point.y <= sling.y + 45) {
+            return { kind: 'slingshot', index: 0 };
+        }
+        return null;
+    }
+
+    /** World position of the selected block's resize handle (its bottom-right corner), or null */
+    getResizeHandle() {
+        if (this.selection?.kind !== 'block') return null;
+        const block = this.preview.blocks[this.selection.index];
+        return new Vec2(block.width / 2, block.height / 2).rotate(block.angle).add(block.position);
+    }
+
+    /** Level data for a selection */
+    getData(selection) {
+        if (selection.kind === 'block') return this.levelData.blocks[selection.index];
+        if (selection.kind === 'enemy') return this.levelData.enemies[selection.index];
+        return this.levelData.slingshotPos;
+    }
+
+    // --- Pointer input (world coordinates) ---
+
+    /**
+     * @param {Vec2} point
+     * @returns {boolean} True if the editor used the press (false: empty space, free to pan the view)
+     */
+    pointerDown(point) {
+        if (BLOCK_TOOLS.includes(this.tool) || this.tool === 'enemy') {
+            this.place(this.tool, point);
+            return true;
+        }
+        if (this.tool === 'slingshot') {
+            this.selection = { kind: 'slingshot', index: 0 };
+            this.drag = { mode: 'move', offset: Vec2.zero() };
+            this.pointerMove(point);
+            return true;
+        }
+
+        const handle = this.getResizeHandle();
+        if (this.tool === 'select' && handle && point.sub(handle).len() <= HANDLE_SIZE) {
+            this.drag = { mode: 'resize', offset: Vec2.zero() };
+            return true;
+        }
+
+        const hit = this.hitTest(point);
+        if (this.tool === 'delete') {
+            if (hit) this.remove(hit);
+            return Boolean(hit);
+        }
+        this.selection = hit;
+        if (!hit) return false;
+        const data = this.getData(hit);
+        this.drag = { mode: 'move', offset: point.sub(new Vec2(data.x, data.y)) };
+        return true;
+    }
+
+    /** @param {Vec2} point */
+    pointerMove(point) {
+        if (!this.drag || !this.selection) return;
+        if (this.drag.mode === 'resize') this.resizeSelection(point);
+        else this.moveSelection(point.sub(this.drag.offset));
+        this.rebuild();
+    }
+
+    pointerUp() {
+        this.drag = null;
+    }
+
+    // --- Editing operations ---
+
+    /**
+     * Adds a block of a material, or an enemy, centred on `point`, then lets it be dragged into place.
+     * @param {string} kind A material or 'enemy'
+     * @param {Vec2} point
+     */
+    place(kind, point) {
+        if (kind === 'enemy') {
+            this.levelData.enemies.push({ type: 'enemy', x: point.x, y: point.y });
+            this.selection = { kind: 'enemy', index: this.levelData.enemies.length - 1 };
+            this.drag = { mode: 'move', offset: Vec2.zero() };
+        } else {
+            const { width, height } = DEFAULT_BLOCK_SIZES[this.blockShape];
+            const shape = this.blockShape === 'box' ? {} : { shape: this.blockShape };
+            this.levelData.blocks.push({ type: kind, x: point.x - width / 2, y: point.y - height / 2, width, height, ...shape });
+            this.selection = { kind: 'block', index: this.levelData.blocks.length - 1 };
+            this.drag = { mode: 'move', offset: new Vec2(width / 2, height / 2) };
+        }
+        this.moveSelection(point.sub(this.drag.offset));
+        this.rebuild();
+    }
+
+    /**
+     * Moves the selection so its level-data position (top-left for blocks, centre otherwise)
+     * is at `position`, snapped to the grid and then to nearby surfaces.
+     */
+    moveSelection(position) {
+        const data = this.getData(this.selection);
+        data.x = this.snap(position.x);
+        data.y = this.snap(position.y);
+        if (this.selection.kind === 'block' && !data.angle) {
+            Object.assign(data, this.snapToSurfaces(data.x, data.y, data.width, data.height, 0));
+        } else if (this.selection.kind === 'enemy') {
+            const radius = this.preview.enemies[this.selection.index].collisionShape.radius; // Variants differ in size
+            const snapped = this.snapToSurfaces(data.x - radius, data.y - radius, radius * 2, radius * 2, ENEMY_SPAWN_GAP);
+            data.x = snapped.x + radius;
+            data.y = snapped.y + radius;
+        }
+    }
+
+    /** Drags the selected block's bottom-right corner (in its own rotated frame) to `point` */
+    resizeSelection(point) {
+        const block = this.preview.blocks[this.selection.index];
+        const data = this.levelData.blocks[this.selection.index];
+        const local = point.sub(block.position).rotate(-block.angle);
+        data.width = Math.max(MIN_BLOCK_SIZE, this.snap(local.x + block.width / 2));
+        data.height = Math.max(MIN_BLOCK_SIZE, this.snap(local.y + block.height / 2));
+    }
+
+    /** Removes an object (the slingshot stays: every level needs one) */
+    remove(selection) {
+        if (selection.kind === 'slingshot') {
+            console.warn("The slingshot can't be deleted, only moved.");
+            return;
+        }
+        if (selection.kind === 'enemy') {
+            this.levelData.enemies.splice(selection.index, 1);
+        } else {
+            this.levelData.blocks.splice(selection.index, 1);
+            // Joints index blocks: drop the ones on this block and shift the rest down
+            const shift = i => (i > selection.index ? i - 1 : i);
+            this.levelData.joints = this.levelData.joints
+                .filter(joint => joint.a !== selection.index && joint.b !== selection.index)
+                .map(joint => ({ ...joint, a: shift(joint.a), ...(joint.b !== undefined && { b: shift(joint.b) }) }));
+        }
+        if (this.selection?.kind === selection.kind && this.selection.index === selection.index) this.selection = null;
+        this.drag = null;
+        this.rebuild();
+    }
+
+    deleteSelected() {
+        if (this.selection) this.remove(this.selection);
+    }
+
+    /** Toggles whether the selected block is fixed in place (like the ground) */
+    toggleStatic() {
+        if (this.selection?.kind !== 'block') return;
+        const data = this.levelData.blocks[this.selection.index];
+        if (data.isStatic) delete data.isStatic;
+        else data.isStatic = true;
+        this.rebuild();
+    }
+
+    // --- Snapping ---
+
+    snap(value) {
+        return this.snapToGrid ? Math.round(value / GRID_SIZE) * GRID_SIZE : value;
+    }
+
+    /**
+     * Nudges an axis-aligned box onto the top of a block it is about to rest on, then flush
+     * against the side of a block it is about to touch. The selected object itself is skipped.
+     * @param {number} x Left edge
+     * @param {number} y Top edge
+     * @param {number} width
+     * @param {number} height
+     * @param {number} gap Space to leave above a surface
+     * @returns {{x: number, y: number}} Snapped top-left corner
+     */
+    snapToSurfaces(x, y, width, height, gap) {
+        const others = this.levelData.blocks.filter((b, i) =>
+            !b.angle && !(this.selection.kind === 'block' && this.selection.index === i));
+
+        let bestGap = SURFACE_SNAP;
+        for (const b of others) {
+            if (x >= b.x + b.width || x + width <= b.x) continue; // Not above it
+            const distance = Math.abs(b.y - gap - (y + height));
+            if (distance <= bestGap) {
+                bestGap = distance;
+                y = b.y - gap - height;
+            }
+        }
+
+        for (const b of others) {
+            if (y >= b.y + b.height || y + height <= b.y) continue; // Not beside it
+            if (Math.abs(x + width - b.x) <= SURFACE_SNAP) x = b.x - width;
+            else if (Math.abs(x - (b.x + b.width)) <= SURFACE_SNAP) x = b.x + b.width;
+        }
+        return { x, y };
+    }
+
+    // --- Drawing ---
+
+    /**
+     * Draws the grid, the level and the selection (call with the camera transform applied).
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {object} assets Loaded images (see loadAssets in main.js)
+     */
+    draw(ctx, assets) {
+        if (this.snapToGrid) this.drawGrid(ctx);
+
+        const { slingshot, enemies, blocks } = this.preview;
+        blocks.forEach(block => block.draw(ctx, assets));
+        enemies.forEach(enemy => enemy.draw(ctx, assets));
+        slingshot.draw(ctx);
+
+        if (!this.selection) return;
+        ctx.save();
+        ctx.strokeStyle = '#ffeb3b';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        if (this.selection.kind === 'block') {
+            const block = blocks[this.selection.index];
+            ctx.save();
+            ctx.translate(block.position.x, block.position.y);
+            ctx.rotate(block.angle);
+            ctx.strokeRect(-block.width / 2 - 2, -block.height / 2 - 2, block.width + 4, block.height + 4);
+            ctx.restore();
+            const handle = this.getResizeHandle();
+            ctx.setLineDash([]);
+            ctx.fillStyle = '#ffeb3b';
+            ctx.fillRect(handle.x - HANDLE_SIZE / 2, handle.y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+        } else if (this.selection.kind === 'enemy') {
+            const enemy = enemies[this.selection.index];
+            ctx.beginPath();
+            ctx.arc(enemy.position.x, enemy.position.y, enemy.collisionShape.radius + 3, 0, Math.PI * 2);
+            ctx.stroke();
+        } else {
+            const { x, y } = this.levelData.slingshotPos;
+            ctx.strokeRect(x - 20, y - 15, 40, 60);
+        }
+        ctx.restore();
+    }
+
+    drawGrid(ctx) {
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        const step = GRID_SIZE * 5; // Every fifth line; the snap grid itself is too dense to draw
+        for (let x = 0; x <= this.worldWidth; x += step) {
+            ctx.moveTo(x, -WORLD_HEIGHT);
+            ctx.lineTo(x, WORLD_HEIGHT);
+        }
+        for (let y = -WORLD_HEIGHT; y <= WORLD_HEIGHT; y += step) {
+            ctx.moveTo(0, y);
+            ctx.lineTo(this.worldWidth, y);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+export { LevelEditor, createEmptyLevel, parseLevel, EDITOR_TOOLS, GRID_SIZE };
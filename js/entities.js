@@ -2,31 +2,54 @@
  * @fileoverview Defines game entities like Birds, Enemies, Blocks, and the Slingshot.
  */
 
-import { Vec2, FRICTION } from './physics.js';
-import { loadAssets } from './main.js'; // We need access to loaded assets
+import { Vec2, momentOfInertia, createPolygonShape } from './physics.js';
+import { MATERIALS } from './materials.js';
+import { createRandom } from './random.js';
 
 // --- Constants ---
-export const LAUNCH_POWER = 21; // Centralized launch power (Tunable)
+export const LAUNCH_POWER = 13.3; // Centralized launch power (Tunable; a full pull at 30°, the old air drag's furthest angle, lands as far as it did: about 980px out at launch height)
+
+// --- Entity IDs ---
+
+let idRandom = Math.random; // Replaced by seedEntityIds for reproducible runs
+
+/**
+ * Makes entity IDs reproducible: after seeding, the same sequence of entity creations
+ * gets the same IDs (contact manifolds are keyed by ID, so this matters for determinism).
+ * @param {number} seed
+ */
+function seedEntityIds(seed) {
+    idRandom = createRandom(seed);
+}
 
 // --- Base Entity Class ---
 
 class Entity {
     constructor(x, y, options = {}) {
-        this.position = new Vec2(x, y);
+        this.position = new Vec2(x, y); // Always the centre of the shape
         this.velocity = Vec2.zero();
+        this.angle = options.angle ?? 0; // Radians, clockwise on screen
+        this.angularVelocity = 0;
         this.isStatic = options.isStatic ?? false;
         this.mass = options.mass ?? 1;
         this.restitution = options.restitution ?? 0.4;
-        this.collisionShape = options.collisionShape ?? { type: 'none' }; // e.g., { type: 'circle', radius: 20 } or { type: 'aabb', width: 40, height: 40 }
+        this.bouncy = options.bouncy ?? false; // Bounces whatever hits it, however dead the other surface is
+        this.staticFriction = options.staticFriction ?? 0.5;   // Coulomb friction before sliding starts
+        this.dynamicFriction = options.dynamicFriction ?? 0.3; // Coulomb friction while sliding
+        this.isBullet = options.isBullet ?? false; // Fast mover: swept each step so it can't tunnel through thin shapes
+        this.collisionShape = options.collisionShape ?? { type: 'none' }; // e.g., { type: 'circle', radius: 20 } or { type: 'box', width: 40, height: 40 }
+        this.inertia = this.isStatic ? 0 : momentOfInertia(this.collisionShape, this.mass);
         this.isSleeping = false;
         this.sleepTimer = 0;
         this.canSleep = options.canSleep ?? true;
-        this.id = options.id || Math.random().toString(36).substring(2, 9); // Unique ID
+        this.id = options.id || idRandom().toString(36).substring(2, 9); // Unique ID
         this.markedForRemoval = false; // Flag for removal from physics world/render list
         this.hp = options.hp ?? 100; // Health points
         this.maxHp = this.hp;
+        this.unscoredDamage = 0; // HP lost since the score last counted it (see scoring.js)
         this.damageThreshold = options.damageThreshold ?? 500; // Min impulse to cause damage
         this.canCollideStatic = options.canCollideStatic ?? false; // Can static objects collide?
+        this.debris = options.debris ?? 'dust'; // Particle emitter used when it breaks (see particles.js)
     }
 
     /** Placeholder for physics update */
@@ -35,6 +58,16 @@ class Entity {
     /** Placeholder for drawing */
     draw(ctx, assets) { /* Implemented by subclasses */ }
 
+    /**
+     * Lets an entity ignore certain others instead of colliding with them.
+     * @param {Entity} other
+     * @returns {boolean} True to pass through `other`
+     */
+    passesThrough(other) { return false; }
+
+    /** Called when the physics skips a touching pair because of passesThrough */
+    onPassThrough(other) { /* Implemented by subclasses */ }
+
     /**
      * Handles collision response.
      * @param {Entity} other The entity collided with.
@@ -52,6 +85,7 @@ class Entity {
 
     takeDamage(amount) {
         if (this.isStatic) return; // Static objects don't take damage this way
+        this.unscoredDamage += Math.max(0, Math.min(amount, this.hp)); // Overkill doesn't score
         this.hp -= amount;
         if (this.hp <= 0) {
             this.destroy();
@@ -61,7 +95,7 @@ class Entity {
     /** Marks entity for removal and potentially triggers effects */
     destroy() {
         this.markedForRemoval = true;
-        // TODO: Add particle effects or sounds here or in game manager
+        // Debris particles and break sounds are handled by the game when it removes the entity
         console.log(`${this.constructor.name} ${this.id} destroyed.`);
     }
 
@@ -70,16 +104,8 @@ class Entity {
         this.sleepTimer = 0;
     }
 
-    // Helper to get center position (assuming position is center for circles, top-left for AABB initially)
+    // Helper to get center position (position is the shape's centre for every shape type)
     get center() {
-        if (this.collisionShape.type === 'circle') {
-            return this.position;
-        } else if (this.collisionShape.type === 'aabb') {
-            return new Vec2(
-                this.position.x + this.collisionShape.width / 2,
-                this.position.y + this.collisionShape.height / 2
-            );
-        }
         return this.position;
     }
 }
@@ -88,19 +114,34 @@ class Entity {
 
 const BIRD_RADIUS = 20;
 const BIRD_MASS = 5;
+const BIRD_STATIC_FRICTION = 0.5;
+const BIRD_DYNAMIC_FRICTION = 0.3;
 
 class Bird extends Entity {
-    constructor(x, y) {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options] Overrides for special birds: { radius, mass, hp }
+     */
+    constructor(x, y, options = {}) {
         super(x, y, {
-            mass: BIRD_MASS,
-            collisionShape: { type: 'circle', radius: BIRD_RADIUS },
-            hp: 50, // Birds are relatively fragile
+            mass: options.mass ?? BIRD_MASS,
+            collisionShape: { type: 'circle', radius: options.radius ?? BIRD_RADIUS },
+            staticFriction: BIRD_STATIC_FRICTION,
+            dynamicFriction: BIRD_DYNAMIC_FRICTION,
+            isBullet: true,
+            debris: 'feathers', // Tinted with the bird's colour
+            hp: options.hp ?? 50, // Birds are relatively fragile
             damageThreshold: 100,
             canSleep: true,
         });
+        this.type = 'red'; // Key in BIRD_TYPES
+        this.color = 'red'; // Body colour for the fallback drawing
+        this.spriteName = 'redbird'; // Asset key; falls back to drawing if missing
         this.state = 'idle'; // 'idle', 'aiming', 'flying', 'landed'
         this.lifespan = 5; // Seconds before disappearing after landing
         this.landedTimer = 0;
+        this.abilityUsed = false;
     }
 
     update(dt) {
@@ -112,8 +153,8 @@ class Bird extends Entity {
             }
         }
 
-        // Destroy if out of bounds (adjust bounds as needed)
-        if (this.position.y > 800 || this.position.x < -100 || this.position.x > 1400) {
+        // Destroy if it falls out of the world (sideways limits depend on the level's width; the game checks those)
+        if (this.position.y > 800) {
             this.destroy();
         }
 
@@ -128,19 +169,10 @@ class Bird extends Entity {
     }
 
     draw(ctx, assets) {
-        const asset = assets.redbird;
-        if (!asset || !asset.complete) {
-            // Draw fallback circle if asset not loaded
-            ctx.fillStyle = 'red';
-            ctx.beginPath();
-            ctx.arc(this.position.x, this.position.y, this.collisionShape.radius, 0, Math.PI * 2);
-            ctx.fill();
-            return;
-        }
-
+        const asset = assets[this.spriteName];
         const radius = this.collisionShape.radius;
-        // Simple rotation based on velocity direction when flying
-        let angle = 0;
+        // Face the direction of travel when flying, otherwise show the body's rotation (rolling)
+        let angle = this.angle;
         if (this.state === 'flying' && this.velocity.lenSq() > 1) {
             angle = Math.atan2(this.velocity.y, this.velocity.x);
         }
@@ -148,21 +180,86 @@ class Bird extends Entity {
         ctx.save();
         ctx.translate(this.position.x, this.position.y);
         ctx.rotate(angle);
-        ctx.drawImage(asset, -radius, -radius, radius * 2, radius * 2);
+        if (asset && asset.complete) {
+            ctx.drawImage(asset, -radius, -radius, radius * 2, radius * 2);
+        } else {
+            this.drawFallback(ctx, radius);
+        }
         ctx.restore();
     }
 
+    /**
+     * Draws the bird without a sprite, facing +x in its local frame.
+     * Special birds add their own markings on top.
+     */
+    drawFallback(ctx, radius) {
+        // Body
+        ctx.fillStyle = this.color;
+        ctx.strokeStyle = 'rgba(0,0,0,0.6)';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+
+        // Eye
+        ctx.fillStyle = 'white';
+        ctx.beginPath();
+        ctx.arc(radius * 0.35, -radius * 0.3, radius * 0.25, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = 'black';
+        ctx.beginPath();
+        ctx.arc(radius * 0.42, -radius * 0.3, radius * 0.1, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Beak
+        ctx.fillStyle = '#F5A623'; // Orange
+        ctx.beginPath();
+        ctx.moveTo(radius * 0.7, -radius * 0.05);
+        ctx.lineTo(radius * 1.15, radius * 0.1);
+        ctx.lineTo(radius * 0.7, radius * 0.3);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * The velocity launch() gives the bird for a raw launch vector (see Slingshot.getLaunchVelocity).
+     * @param {Vec2} forceVector
+     */
+    launchVelocity(forceVector) {
+        return forceVector.mul(LAUNCH_POWER);
+    }
+
     launch(forceVector) {
         if (this.state === 'aiming') {
-            // Compensate for immediate friction applied in the first physics step
-            const FIRST_STEP_BOOST = 1 / FRICTION;
-            this.velocity = forceVector.mul(LAUNCH_POWER * FIRST_STEP_BOOST);
+            this.velocity = this.launchVelocity(forceVector);
             this.state = 'flying';
             this.wake(); // Ensure it's not sleeping when launched
-            // TODO: Play launch sound
+            // The game plays the launch sound (entities stay free of browser APIs)
         }
     }
 
+    /** True if the bird has a special ability it can still use right now */
+    canActivateAbility() {
+        return this.state === 'flying' && !this.abilityUsed && this.useAbility !== Bird.prototype.useAbility;
+    }
+
+    /**
+     * Triggers the bird's special ability (a second tap while it is flying). Works once per flight.
+     * @param {PhysicsWorld} world World to add anything the ability spawns to.
+     * @returns {Array<Entity>} Newly spawned entities (already in the world) for the game to track.
+     */
+    activateAbility(world) {
+        if (!this.canActivateAbility()) return [];
+        this.abilityUsed = true;
+        const spawned = this.useAbility(world) ?? [];
+        spawned.forEach(entity => world.addEntity(entity));
+        return spawned;
+    }
+
+    /** Ability implementation for subclasses; returns entities to spawn. Red birds have none. */
+    useAbility(world) { return []; }
+
      onCollision(other, impulseMagnitude) {
         super.onCollision(other, impulseMagnitude); // Call base collision logic (damage, wake)
 
@@ -172,116 +269,588 @@ class Bird extends Entity {
              // this.destroy(); // Or mark for removal after a short effect
         }
     }
+}
+
+// --- Special Birds ---
+
+const SPLIT_ANGLE = 0.2; // Radians between the three splitter birds
+
+/** Small blue bird that splits into three on tap */
+class SplitterBird extends Bird {
+    constructor(x, y) {
+        super(x, y, { radius: 14, mass: 3, hp: 30 });
+        this.type = 'blue';
+        this.color = '#4A90E2';
+        this.spriteName = 'bluebird';
+    }
+
+    useAbility(world) {
+        // Fan out either side of the current heading, spaced so the new birds don't overlap
+        const side = this.velocity.normalize().perp().mul(this.collisionShape.radius * 2 + 1);
+        return [-1, 1].map(direction => {
+            const spawnPos = this.position.add(side.mul(direction));
+            const child = new SplitterBird(spawnPos.x, spawnPos.y);
+            child.state = 'flying';
+            child.abilityUsed = true; // Only the original splits
+            child.velocity = this.velocity.rotate(SPLIT_ANGLE * direction);
+            return child;
+        });
+    }
+}
+
+const SPEED_DASH_FACTOR = 2.2;
+
+/** Yellow bird that dashes forward on tap */
+class SpeedBird extends Bird {
+    constructor(x, y) {
+        super(x, y, { radius: 18, mass: 4 });
+        this.type = 'yellow';
+        this.color = '#F8E71C';
+        this.spriteName = 'yellowbird';
+    }
+
+    useAbility(world) {
+        this.velocity = this.velocity.mul(SPEED_DASH_FACTOR);
+        return [];
+    }
+
+    drawFallback(ctx, radius) {
+        super.drawFallback(ctx, radius);
+        // Swept-back crest
+        ctx.fillStyle = 'black';
+        ctx.beginPath();
+        ctx.moveTo(-radius * 0.2, -radius * 0.9);
+        ctx.lineTo(-radius * 0.9, -radius * 1.3);
+        ctx.lineTo(-radius * 0.6, -radius * 0.7);
+        ctx.closePath();
+        ctx.fill();
+    }
+}
+
+const EGG_DROP_SPEED = 600;  // Downward speed of the egg (px/s)
+const BOMBER_LIFT = 700;     // Upward kick the bomber gets from dropping it (px/s)
+
+/** White bird that drops an explosive egg on tap and shoots upward */
+class BomberBird extends Bird {
+    constructor(x, y) {
+        super(x, y, { radius: 22, mass: 6 });
+        this.type = 'white';
+        this.color = '#F4F4F4';
+        this.spriteName = 'whitebird';
+    }
+
+    useAbility(world) {
+        const radius = this.collisionShape.radius;
+        const egg = new Egg(this.position.x, this.position.y + radius + EGG_RADIUS + 1);
+        egg.velocity = new Vec2(this.velocity.x * 0.2, EGG_DROP_SPEED);
+        this.velocity = new Vec2(this.velocity.x, -BOMBER_LIFT);
+        return [egg];
+    }
+}
+
+const HEAVY_DIVE_SPEED = 1200; // Downward speed of the heavy bird's dive (px/s)
+
+/** Big black bird: smashes straight through glass while flying, and dives on tap */
+class HeavyBird extends Bird {
+    constructor(x, y) {
+        super(x, y, { radius: 26, mass: 15, hp: 120 });
+        this.type = 'black';
+        this.color = '#2B2B2B';
+        this.spriteName = 'blackbird';
+    }
+
+    passesThrough(other) {
+        return this.state === 'flying' && other instanceof Block && other.type === 'glass' && !other.isStatic;
+    }
+
+    onPassThrough(other) {
+        other.destroy(); // Shatters whatever glass it flies through
+    }
+
+    useAbility(world) {
+        this.velocity = new Vec2(this.velocity.x * 0.3, Math.max(this.velocity.y, 0) + HEAVY_DIVE_SPEED);
+        return [];
+    }
+}
+
+// --- Egg (dropped by BomberBird) ---
+
+const EGG_RADIUS = 10;
+const EGG_MASS = 4;
+const EGG_BLAST_RADIUS = 120;
+const EGG_BLAST_IMPULSE = 3500;
+const EGG_BLAST_DAMAGE = 250;
+
+class Egg extends Entity {
+    constructor(x, y) {
+        super(x, y, {
+            mass: EGG_MASS,
+            collisionShape: { type: 'circle', radius: EGG_RADIUS },
+            isBullet: true,
+            debris: 'explosion',
+            hp: 1,
+            damageThreshold: 0,
+            canSleep: false,
+        });
+        this.isExplosive = true;
+        this.hasExploded = false;
+    }
+
+    update(dt) {
+        super.update(dt);
+        if (this.position.y > 800) {
+            this.destroy();
+        }
+    }
+
+    onCollision(other, impulseMagnitude) {
+        this.destroy(); // Bursts on whatever it hits first
+    }
 
     destroy() {
+        if (this.markedForRemoval) return; // Already burst
         super.destroy();
-        // TODO: Add particle effect (feathers?)
     }
+
+    /** Bursts like a small TNT crate (see TNTBlock.explode) */
+    explode(world) {
+        if (this.hasExploded) return;
+        this.hasExploded = true;
+        blast(world, this, EGG_BLAST_RADIUS, EGG_BLAST_IMPULSE, EGG_BLAST_DAMAGE);
+    }
+
+    draw(ctx) {
+        ctx.save();
+        ctx.translate(this.position.x, this.position.y);
+        ctx.fillStyle = '#FFFDF0';
+        ctx.strokeStyle = 'rgba(0,0,0,0.5)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.ellipse(0, 0, EGG_RADIUS * 0.85, EGG_RADIUS * 1.1, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+/**
+ * Bird classes by the names used in a level's `birds` array:
+ * red (no ability), blue (splits in three), yellow (speed dash),
+ * white (drops an egg bomb), black (heavy, smashes through glass, dives).
+ */
+const BIRD_TYPES = {
+    red: Bird,
+    blue: SplitterBird,
+    yellow: SpeedBird,
+    white: BomberBird,
+    black: HeavyBird,
+};
+
+/**
+ * Creates a bird from its level-data name.
+ * @param {string} type Key in BIRD_TYPES
+ * @param {number} [x]
+ * @param {number} [y]
+ * @returns {Bird} The bird (a red one if the type is unknown)
+ */
+function createBird(type, x = 0, y = 0) {
+    const BirdClass = BIRD_TYPES[type];
+    if (!BirdClass) {
+        console.warn(`Unknown bird type '${type}', using a red bird instead.`);
+        return new Bird(x, y);
+    }
+    return new BirdClass(x, y);
 }
 
-// --- Enemy Class ---
+// --- Enemy Classes ---
 
-const ENEMY_RADIUS = 25;
+const ENEMY_RADIUS = 25; // Regular enemy; variants are smaller or bigger (levels place enemies by their centre)
 const ENEMY_MASS = 6;
+const ENEMY_HP = 150;
+const ENEMY_DAMAGE_THRESHOLD = 300;
+const ENEMY_STATIC_FRICTION = 0.6;
+const ENEMY_DYNAMIC_FRICTION = 0.4;
 
 class Enemy extends Entity {
-    constructor(x, y) {
+    /**
+     * @param {number} x Centre
+     * @param {number} y
+     * @param {object} [options] Overrides for variants: { radius, mass, hp, damageThreshold }
+     */
+    constructor(x, y, options = {}) {
         super(x, y, {
-            mass: ENEMY_MASS,
-            collisionShape: { type: 'circle', radius: ENEMY_RADIUS },
-            hp: 150,
-            damageThreshold: 300,
+            mass: options.mass ?? ENEMY_MASS,
+            collisionShape: { type: 'circle', radius: options.radius ?? ENEMY_RADIUS },
+            staticFriction: ENEMY_STATIC_FRICTION,
+            dynamicFriction: ENEMY_DYNAMIC_FRICTION,
+            hp: options.hp ?? ENEMY_HP,
+            damageThreshold: options.damageThreshold ?? ENEMY_DAMAGE_THRESHOLD,
+            debris: 'poof',
             canSleep: true,
         });
+        this.type = 'enemy'; // Key in ENEMY_TYPES
+        this.color = '#4CAF50'; // Body colour for the fallback drawing
         this.scoreValue = 5000;
     }
 
     update(dt) {
         super.update(dt); // Call base class update if needed (currently empty)
 
-        // Destroy if out of bounds (adjust bounds as needed)
-        // Use slightly larger bounds than bird to ensure they are gone
-        if (this.position.y > 900 || this.position.x < -200 || this.position.x > 1500) {
+        // Destroy if it falls out of the world (sideways limits depend on the level's width; the game checks those)
+        // Use a slightly lower bound than the bird's to ensure they are gone
+        if (this.position.y > 900) {
             this.destroy();
         }
         // Note: No need to check for sleeping state transition like the bird does,
         // unless we want enemies to also disappear after landing for a while.
     }
 
+    /** How hurt it looks, from 0 (unharmed) to 1 (about to go) */
+    get damageLevel() {
+        return 1 - Math.max(this.hp, 0) / this.maxHp;
+    }
+
     draw(ctx, assets) {
         const asset = assets.greenbird; // Using greenbird sprite as enemy
-        if (!asset || !asset.complete) {
-             // Draw fallback circle
-            ctx.fillStyle = '#4CAF50'; // Green
+        const radius = this.collisionShape.radius;
+        ctx.save();
+        ctx.translate(this.position.x, this.position.y);
+        ctx.rotate(this.angle);
+        if (asset && asset.complete) {
+            ctx.drawImage(asset, -radius, -radius, radius * 2, radius * 2);
+        } else {
+            // Draw fallback circle
+            ctx.fillStyle = this.color;
             ctx.beginPath();
-            ctx.arc(this.position.x, this.position.y, this.collisionShape.radius, 0, Math.PI * 2);
+            ctx.arc(0, 0, radius, 0, Math.PI * 2);
             ctx.fill();
-            return;
         }
+        this.drawDamage(ctx, radius);
+        this.drawExtras(ctx, radius);
+        ctx.restore();
+    }
 
-        const radius = this.collisionShape.radius;
+    /**
+     * Bruises that build up as it gets hurt (in its local frame): a black eye past a third of
+     * its HP, then a bandage and a swollen bump past two thirds.
+     */
+    drawDamage(ctx, radius) {
+        const damage = this.damageLevel;
+        if (damage < 1 / 3) return;
+        ctx.fillStyle = 'rgba(60, 20, 80, 0.55)'; // Black eye
+        ctx.beginPath();
+        ctx.arc(radius * 0.35, -radius * 0.2, radius * 0.3, 0, Math.PI * 2);
+        ctx.fill();
+        if (damage < 2 / 3) return;
+
+        ctx.fillStyle = '#F3E5C8'; // Bandage across the forehead
+        ctx.strokeStyle = 'rgba(0,0,0,0.4)';
+        ctx.lineWidth = 1;
         ctx.save();
-        ctx.translate(this.position.x, this.position.y);
-         // Simple blink/damage effect
-        if (this.hp < this.maxHp * 0.5) {
-            ctx.globalAlpha = 0.7 + Math.sin(Date.now() / 100) * 0.3;
-        }
-        ctx.drawImage(asset, -radius, -radius, radius * 2, radius * 2);
+        ctx.rotate(-0.5);
+        ctx.fillRect(-radius * 0.8, -radius * 0.75, radius * 1.2, radius * 0.28);
+        ctx.strokeRect(-radius * 0.8, -radius * 0.75, radius * 1.2, radius * 0.28);
         ctx.restore();
+        ctx.fillStyle = 'rgba(200, 60, 60, 0.6)'; // Bump
+        ctx.beginPath();
+        ctx.arc(-radius * 0.45, radius * 0.35, radius * 0.2, 0, Math.PI * 2);
+        ctx.fill();
     }
 
+    /** Headgear and the like for variants, drawn over the body in its local frame */
+    drawExtras(ctx, radius) { /* Implemented by subclasses */ }
+
     onCollision(other, impulseMagnitude) {
          super.onCollision(other, impulseMagnitude);
          // Add enemy specific sounds or effects here
     }
+}
 
-     destroy() {
-        super.destroy();
-        // TODO: Add particle effect (poof?), play 'oink' sound
-        // The game manager should handle score increases
+/** Small, light enemy: easy to knock off a ledge, worth less */
+class SmallEnemy extends Enemy {
+    constructor(x, y) {
+        super(x, y, { radius: 17, mass: 3, hp: 80, damageThreshold: 200 });
+        this.type = 'small';
+        this.color = '#8BC34A';
+        this.scoreValue = 3000;
+    }
+}
+
+/** Big, heavy enemy with twice the HP */
+class LargeEnemy extends Enemy {
+    constructor(x, y) {
+        super(x, y, { radius: 36, mass: 14, hp: 300, damageThreshold: 400 });
+        this.type = 'large';
+        this.color = '#2E7D32';
+        this.scoreValue = 8000;
+    }
+}
+
+const HELMET_HP = 200;       // Damage the helmet soaks up before it breaks
+const HELMET_ARMOR = 0.6;    // Fraction of each hit the helmet takes while it's on
+
+/** Enemy in a helmet: the helmet takes most of each hit until it breaks and falls off */
+class HelmetEnemy extends Enemy {
+    constructor(x, y) {
+        super(x, y);
+        this.type = 'helmet';
+        this.scoreValue = 7000;
+        this.helmetHp = HELMET_HP;
+    }
+
+    takeDamage(amount) {
+        if (this.helmetHp > 0) {
+            const absorbed = Math.min(amount * HELMET_ARMOR, this.helmetHp);
+            this.helmetHp -= absorbed;
+            amount -= absorbed;
+        }
+        super.takeDamage(amount);
+    }
+
+    drawExtras(ctx, radius) {
+        if (this.helmetHp <= 0) return; // Knocked off
+        ctx.fillStyle = '#9E9E9E';
+        ctx.strokeStyle = 'rgba(0,0,0,0.6)';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(0, -radius * 0.15, radius * 1.05, Math.PI * 1.05, Math.PI * 1.95);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        // Dents, then a crack, as the helmet wears
+        const wear = 1 - this.helmetHp / HELMET_HP;
+        if (wear > 0.3) {
+            ctx.fillStyle = 'rgba(0,0,0,0.25)';
+            ctx.beginPath();
+            ctx.arc(-radius * 0.3, -radius * 0.7, radius * 0.12, 0, Math.PI * 2);
+            ctx.arc(radius * 0.35, -radius * 0.55, radius * 0.09, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        if (wear > 0.6) {
+            ctx.beginPath();
+            ctx.moveTo(0, -radius * 1.15);
+            ctx.lineTo(radius * 0.1, -radius * 0.85);
+            ctx.lineTo(-radius * 0.08, -radius * 0.6);
+            ctx.lineTo(radius * 0.05, -radius * 0.35);
+            ctx.stroke();
+        }
+    }
+}
+
+const BOSS_STAGES = 3;      // Times its HP bar has to be emptied
+const BOSS_STAGE_HP = 300;  // HP of each stage
+const BOSS_BAR_WIDTH = 70;
+const BOSS_BAR_HEIGHT = 8;
+
+/**
+ * Boss: a big enemy whose HP comes in stages. Emptying a stage only moves it on to the next
+ * (the rest of that hit is shrugged off); it's destroyed when the last one runs out.
+ */
+class BossEnemy extends Enemy {
+    constructor(x, y) {
+        super(x, y, { radius: 45, mass: 25, hp: BOSS_STAGE_HP, damageThreshold: 500 });
+        this.type = 'boss';
+        this.color = '#1B5E20';
+        this.scoreValue = 20000;
+        this.stage = 0; // Stages emptied so far
+    }
+
+    takeDamage(amount) {
+        if (this.stage < BOSS_STAGES - 1 && amount >= this.hp) {
+            this.unscoredDamage += Math.max(this.hp, 0);
+            this.stage++;
+            this.hp = this.maxHp;
+            return;
+        }
+        super.takeDamage(amount);
+    }
+
+    /** Bruises follow the HP left over all stages, not just the current one */
+    get damageLevel() {
+        return 1 - this.totalHp / (this.maxHp * BOSS_STAGES);
+    }
+
+    /** HP left in this stage and the ones after it */
+    get totalHp() {
+        return Math.max(this.hp, 0) + (BOSS_STAGES - 1 - this.stage) * this.maxHp;
+    }
+
+    draw(ctx, assets) {
+        super.draw(ctx, assets);
+        this.drawHealthBar(ctx);
+    }
+
+    drawExtras(ctx, radius) {
+        // Crown
+        ctx.fillStyle = '#FFC107';
+        ctx.strokeStyle = 'rgba(0,0,0,0.6)';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(-radius * 0.5, -radius * 0.8);
+        ctx.lineTo(-radius * 0.55, -radius * 1.3);
+        ctx.lineTo(-radius * 0.25, -radius * 1.05);
+        ctx.lineTo(0, -radius * 1.4);
+        ctx.lineTo(radius * 0.25, -radius * 1.05);
+        ctx.lineTo(radius * 0.55, -radius * 1.3);
+        ctx.lineTo(radius * 0.5, -radius * 0.8);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    /** HP bar above it (unrotated), split into one segment per stage */
+    drawHealthBar(ctx) {
+        const x = this.position.x - BOSS_BAR_WIDTH / 2;
+        const y = this.position.y - this.collisionShape.radius * 1.5 - BOSS_BAR_HEIGHT - 6;
+        const fraction = this.totalHp / (this.maxHp * BOSS_STAGES);
+        ctx.save();
+        ctx.fillStyle = 'rgba(0,0,0,0.6)';
+        ctx.fillRect(x - 1, y - 1, BOSS_BAR_WIDTH + 2, BOSS_BAR_HEIGHT + 2);
+        ctx.fillStyle = fraction > 1 / 3 ? '#E53935' : '#FF9800';
+        ctx.fillRect(x, y, BOSS_BAR_WIDTH * fraction, BOSS_BAR_HEIGHT);
+        ctx.strokeStyle = 'rgba(0,0,0,0.8)';
+        ctx.lineWidth = 1;
+        for (let i = 1; i < BOSS_STAGES; i++) {
+            const divider = x + (BOSS_BAR_WIDTH * i) / BOSS_STAGES;
+            ctx.beginPath();
+            ctx.moveTo(divider, y);
+            ctx.lineTo(divider, y + BOSS_BAR_HEIGHT);
+            ctx.stroke();
+        }
+        ctx.restore();
     }
 }
 
+/**
+ * Enemy classes by the `type` used in a level's `enemies` array:
+ * enemy (regular), small, large, helmet (armoured until its helmet breaks) and boss (HP in stages).
+ */
+const ENEMY_TYPES = {
+    enemy: Enemy,
+    small: SmallEnemy,
+    large: LargeEnemy,
+    helmet: HelmetEnemy,
+    boss: BossEnemy,
+};
+
+/**
+ * Creates an enemy from its level-data type.
+ * @param {string} [type] Key in ENEMY_TYPES (levels may leave it out for a regular enemy)
+ * @param {number} x Centre
+ * @param {number} y
+ * @returns {Enemy} The enemy (a regular one if the type is unknown)
+ */
+function createEnemy(type = 'enemy', x, y) {
+    const EnemyClass = ENEMY_TYPES[type];
+    if (!EnemyClass) {
+        console.warn(`Unknown enemy type '${type}', using a regular enemy instead.`);
+        return new Enemy(x, y);
+    }
+    return new EnemyClass(x, y);
+}
+
 // --- Block Class ---
 
-const BLOCK_HP = { wood: 100, stone: 300, glass: 50 };
-const BLOCK_MASS = { wood: 8, stone: 20, glass: 5 };
-const BLOCK_COLOR = { wood: '#8B4513', stone: '#808080', glass: '#ADD8E6' }; // SaddleBrown, Gray, LightBlue
-const BLOCK_RESTITUTION = { wood: 0.3, stone: 0.2, glass: 0.5 };
-const BLOCK_DAMAGE_THRESHOLD = { wood: 200, stone: 600, glass: 100 };
+const BLOCK_TYPES = Object.keys(MATERIALS); // Materials a level's blocks can use (see materials.js)
+const ROUNDED_END_SEGMENTS = 4; // Straight edges approximating each rounded end of a plank
+
+/**
+ * Collision shapes for a block's `shape`, filling its width x height (centred on its position):
+ * box; circle (a log seen end on; diameter is the smaller side); triangle (apex up, base along the
+ * bottom; it turns about the centre of its box, not its centroid); rounded (a plank whose short
+ * ends are semicircles, collided as a polygon with ROUNDED_END_SEGMENTS edges per end).
+ */
+const BLOCK_SHAPES = {
+    box: (width, height) => ({ type: 'box', width, height }),
+    circle: (width, height) => ({ type: 'circle', radius: Math.min(width, height) / 2 }),
+    triangle: (width, height) => createPolygonShape([
+        new Vec2(0, -height / 2), new Vec2(width / 2, height / 2), new Vec2(-width / 2, height / 2),
+    ]),
+    rounded: (width, height) => createPolygonShape(roundedPlankOutline(width, height)),
+};
+
+/**
+ * Outline of a plank with semicircular ends along its longer side, starting at the top right
+ * and going clockwise (on screen).
+ */
+function roundedPlankOutline(width, height) {
+    const horizontal = width >= height;
+    const radius = Math.min(width, height) / 2;
+    const reach = Math.max(width, height) / 2 - radius; // Centre to the middle of each rounded end
+    const points = [];
+    for (const end of [1, -1]) {
+        for (let i = 0; i <= ROUNDED_END_SEGMENTS; i++) {
+            const angle = -Math.PI / 2 + (Math.PI * i) / ROUNDED_END_SEGMENTS; // From the top of the end round to its bottom
+            const x = end * (reach + radius * Math.cos(angle));
+            const y = end * radius * Math.sin(angle);
+            points.push(horizontal ? new Vec2(x, y) : new Vec2(-y, x)); // Tall planks: the same outline turned a quarter
+        }
+    }
+    // A plank as long as it is wide is a circle: its ends share their end points
+    return points.filter((p, i) => p.sub(points[(i + 1) % points.length]).lenSq() > 1e-9);
+}
 
 class Block extends Entity {
-    constructor(x, y, width, height, type = 'wood', isStatic = false) {
+    /**
+     * @param {number} x Left edge
+     * @param {number} y Top edge
+     * @param {number} width
+     * @param {number} height
+     * @param {string} type Material (key in MATERIALS: 'wood', 'stone', 'glass', 'tnt', 'ice', 'metal', 'rubber')
+     * @param {boolean} isStatic
+     * @param {object} [options] Extra settings: { angle } in radians about the block's centre,
+     *        { shape } ('box', 'circle', 'triangle' or 'rounded'; see BLOCK_SHAPES)
+     */
+    constructor(x, y, width, height, type = 'wood', isStatic = false, options = {}) {
+        const material = MATERIALS[type];
+        const shape = options.shape ?? 'box';
         super(x + width / 2, y + height / 2, { // Position is center
-            mass: isStatic ? 0 : BLOCK_MASS[type],
+            mass: isStatic ? 0 : material.mass,
             isStatic: isStatic,
-            collisionShape: { type: 'aabb', width, height },
-            hp: BLOCK_HP[type],
-            restitution: BLOCK_RESTITUTION[type],
-            damageThreshold: BLOCK_DAMAGE_THRESHOLD[type],
+            angle: options.angle ?? 0,
+            collisionShape: BLOCK_SHAPES[shape](width, height),
+            hp: material.hp,
+            restitution: material.restitution,
+            bouncy: material.bouncy,
+            staticFriction: material.staticFriction,
+            dynamicFriction: material.dynamicFriction,
+            damageThreshold: material.damageThreshold,
+            debris: material.debris,
             canSleep: !isStatic,
         });
         this.type = type;
+        this.shape = shape;
         this.width = width;
         this.height = height;
         this.scoreValue = 500;
     }
 
     draw(ctx) {
-        const x = this.position.x - this.width / 2;
-        const y = this.position.y - this.height / 2;
+        // Draw in the block's local frame so the rotation applies to the body and the cracks
+        ctx.save();
+        ctx.translate(this.position.x, this.position.y);
+        ctx.rotate(this.angle);
+        const x = -this.width / 2;
+        const y = -this.height / 2;
 
-        ctx.fillStyle = BLOCK_COLOR[this.type];
+        ctx.fillStyle = MATERIALS[this.type].color;
         ctx.strokeStyle = 'rgba(0,0,0,0.5)';
         ctx.lineWidth = 1;
 
-        ctx.beginPath();
-        ctx.rect(x, y, this.width, this.height);
+        this.traceShape(ctx);
         ctx.fill();
         ctx.stroke();
+        if (this.shape === 'circle') {
+            // End grain of the log
+            ctx.beginPath();
+            ctx.arc(0, 0, this.collisionShape.radius * 0.6, 0, Math.PI * 2);
+            ctx.stroke();
+        }
 
         // Draw health bar or cracks based on HP
         if (this.hp < this.maxHp) {
+            this.traceShape(ctx);
+            ctx.clip(); // Keep the cracks inside round and slanted outlines
             const crackOpacity = 1 - (this.hp / this.maxHp);
             ctx.strokeStyle = `rgba(0, 0, 0, ${crackOpacity * 0.8})`;
             ctx.lineWidth = 1 + crackOpacity * 3;
@@ -297,12 +866,96 @@ class Block extends Entity {
             }
             ctx.stroke();
         }
+        ctx.restore();
     }
 
-     destroy() {
+    /** Starts a path around the block's outline, in its local frame */
+    traceShape(ctx) {
+        const shape = this.collisionShape;
+        ctx.beginPath();
+        if (shape.type === 'circle') {
+            ctx.arc(0, 0, shape.radius, 0, Math.PI * 2);
+        } else if (this.shape === 'rounded') {
+            ctx.roundRect(-this.width / 2, -this.height / 2, this.width, this.height, Math.min(this.width, this.height) / 2); // Truly round; it collides as a close polygon
+        } else if (shape.type === 'polygon') {
+            shape.vertices.forEach((v, i) => (i === 0 ? ctx.moveTo(v.x, v.y) : ctx.lineTo(v.x, v.y)));
+            ctx.closePath();
+        } else {
+            ctx.rect(-this.width / 2, -this.height / 2, this.width, this.height);
+        }
+    }
+}
+
+// --- TNT Block Class ---
+
+/**
+ * Pushes everything near `source` away and damages it by distance. Other explosives
+ * caught in the blast are set off too (they explode on the next cleanup pass).
+ */
+function blast(world, source, radius, impulse, damage) {
+    const hits = world.applyRadialImpulse(source.position, radius, impulse, source);
+    for (const { entity, falloff } of hits) {
+        if (entity.isExplosive) {
+            entity.destroy(); // Chain reaction
+        } else {
+            entity.takeDamage(damage * falloff);
+        }
+    }
+}
+
+const TNT_DETONATION_IMPULSE = 400; // A single hit this hard sets it off regardless of HP
+const TNT_BLAST_RADIUS = 160;
+const TNT_BLAST_IMPULSE = 5000; // Impulse at the centre of the blast (falls off with distance)
+const TNT_BLAST_DAMAGE = 350;   // Damage at the centre of the blast (falls off with distance)
+
+class TNTBlock extends Block {
+    constructor(x, y, width, height, isStatic = false, options = {}) {
+        super(x, y, width, height, 'tnt', isStatic, options);
+        this.isExplosive = true;
+        this.hasExploded = false;
+        this.scoreValue = 1000;
+    }
+
+    onCollision(other, impulseMagnitude) {
+        super.onCollision(other, impulseMagnitude);
+        if (impulseMagnitude > TNT_DETONATION_IMPULSE) {
+            this.destroy();
+        }
+    }
+
+    destroy() {
+        if (this.markedForRemoval) return; // Already detonated
         super.destroy();
-        // TODO: Add particle effect (wood splinters, glass shards, stone dust)
-        // The game manager should handle score increases
+    }
+
+    /**
+     * Detonates the crate: pushes nearby entities away and damages them by distance.
+     * Other TNT caught in the blast is set off too (it explodes on the next cleanup pass).
+     * Called by the game manager once the block has been marked for removal.
+     * @param {PhysicsWorld} world The world to apply the blast to.
+     */
+    explode(world) {
+        if (this.hasExploded) return;
+        this.hasExploded = true;
+
+        blast(world, this, TNT_BLAST_RADIUS, TNT_BLAST_IMPULSE, TNT_BLAST_DAMAGE);
+        // The fireball and bang come from its debris particles and break sound
+    }
+
+    draw(ctx) {
+        super.draw(ctx);
+
+        // Crate label
+        const fontSize = Math.max(10, Math.min(this.width, this.height) * 0.4);
+        ctx.save();
+        ctx.translate(this.position.x, this.position.y);
+        ctx.rotate(this.angle);
+        ctx.fillStyle = '#FFD700'; // Gold
+        ctx.font = `bold ${fontSize}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('TNT', 0, 0);
+        ctx.restore();
     }
 }
 
@@ -323,10 +976,10 @@ class Slingshot {
     get anchorBackPos() { return this.position.add(this.anchorOffsetBack); }
     get anchorFrontPos() { return this.position.add(this.anchorOffsetFront); }
 
-    /** Return the exact point the bird leaves the band */
+    /** Return the exact point the bird leaves the band (where it sits before being pulled) */
     getLaunchOrigin() {
-        // Matches the offset applied in attachBird
-        return this.anchorFrontPos.add(new Vec2(0, -BIRD_RADIUS));
+        const radius = this.aimingBird ? this.aimingBird.collisionShape.radius : BIRD_RADIUS;
+        return this.anchorFrontPos.add(new Vec2(0, -radius));
     }
 
     /** Binds a bird to the slingshot for aiming */
@@ -334,7 +987,7 @@ class Slingshot {
         if (!this.aimingBird) {
             this.aimingBird = bird;
             this.aimingBird.state = 'aiming';
-            this.aimingBird.position = this.anchorFrontPos.add(new Vec2(0, -BIRD_RADIUS)); // Initial bird pos
+            this.aimingBird.position = this.getLaunchOrigin(); // Initial bird pos
              this.aimingBird.velocity = Vec2.zero(); // Stop any previous motion
              this.aimingBird.wake();
         }
@@ -360,7 +1013,7 @@ class Slingshot {
 
             const dragVector = this.dragCurrentPos.sub(this.dragStartPos);
             // Calculate target position based on slingshot anchor and drag
-            let targetPos = this.anchorFrontPos.add(new Vec2(0, -BIRD_RADIUS)).add(dragVector);
+            let targetPos = this.getLaunchOrigin().add(dragVector);
 
             // Clamp distance to elasticLength
             const fromAnchor = targetPos.sub(this.anchorFrontPos);
@@ -373,6 +1026,30 @@ class Slingshot {
         }
     }
 
+    /**
+     * Pulls the band by direction and distance instead of by pointer (keyboard and gamepad aiming,
+     * scripted shots). Goes through startAim and updateAim exactly as a drag to that pull would.
+     * @param {number} angle Direction to launch in, radians (0 is straight right; negative is up, as on screen)
+     * @param {number} pull How far to pull, 0 to 1 of elasticLength
+     * @returns {boolean} False if there's no bird to aim
+     */
+    aimByAngle(angle, pull) {
+        if (!this.aimingBird) return false;
+        if (!this.dragStartPos && !this.startAim(this.aimingBird.position)) return false;
+        const direction = new Vec2(Math.cos(angle), Math.sin(angle));
+        const target = this.anchorFrontPos.sub(direction.mul(pull * this.elasticLength));
+        // updateAim places the bird at launch origin + drag, so drag from the start by that much
+        this.updateAim(this.dragStartPos.add(target.sub(this.getLaunchOrigin())));
+        return true;
+    }
+
+    /** Lets the band go slack without launching: the bird goes back to the pouch */
+    cancelAim() {
+        if (this.aimingBird) this.aimingBird.position = this.getLaunchOrigin();
+        this.dragStartPos = null;
+        this.dragCurrentPos = null;
+    }
+
     /**
      * Calculates the launch velocity based on the current aiming position.
      * @returns {Vec2} The calculated launch velocity vector.
@@ -387,15 +1064,18 @@ class Slingshot {
         return launchVector;
     }
 
-    endAim() {
+    /**
+     * Lets go of the band.
+     * @param {Vec2} [launchVelocity] Raw launch vector; defaults to the current pull. Replays pass the recorded one.
+     * @returns {boolean} True if the bird was launched
+     */
+    endAim(launchVelocity = this.getLaunchVelocity()) {
         if (this.aimingBird && this.dragStartPos) {
-            const launchVelocity = this.getLaunchVelocity();
             if (launchVelocity.lenSq() > 0) { // Only launch if there's velocity
                 this.aimingBird.launch(launchVelocity); // Launch the bird using the calculated velocity
                 this.aimingBird = null; // Release bird from slingshot
                 this.dragStartPos = null;
                 this.dragCurrentPos = null;
-                // TODO: Play twang sound
                 return true; // Launch occurred
             }
         }
@@ -425,7 +1105,7 @@ class Slingshot {
 
         const backAnchor = this.anchorBackPos;
         const frontAnchor = this.anchorFrontPos;
-        const birdPos = this.aimingBird ? this.aimingBird.position : frontAnchor.add(new Vec2(0, -BIRD_RADIUS));
+        const birdPos = this.aimingBird ? this.aimingBird.position : this.getLaunchOrigin();
 
         // Back band
         ctx.beginPath();
@@ -441,4 +1121,5 @@ class Slingshot {
     }
 }
 
-export { Entity, Bird, Enemy, Block, Slingshot }; 
\ No newline at end of file
+export { seedEntityIds, Entity, Bird, SplitterBird, SpeedBird, BomberBird, HeavyBird, Egg, BIRD_TYPES, createBird,
+    Enemy, SmallEnemy, LargeEnemy, HelmetEnemy, BossEnemy, ENEMY_TYPES, createEnemy, ENEMY_RADIUS, Block, BLOCK_TYPES, BLOCK_SHAPES, TNTBlock, Slingshot }; 
\ No newline at end of file
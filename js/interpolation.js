@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Interpolated drawing. Physics runs in fixed steps, but the screen refreshes at its
+ * own rate (often 120 or 144 Hz), so drawing bodies where the last step left them makes motion
+ * stutter. This remembers where every body was before each step and, while a frame is drawn,
+ * moves them part of the way from there to where they are now. Purely visual: the real state is
+ * put back before anything else can see it.
+ */
+
+/**
+ * Shortest signed difference between two angles, so a body spinning past ±π doesn't swing the
+ * long way round for a frame.
+ */
+function angleDifference(from, to) {
+    const diff = (to - from) % (Math.PI * 2);
+    if (diff > Math.PI) return diff - Math.PI * 2;
+    if (diff < -Math.PI) return diff + Math.PI * 2;
+    return diff;
+}
+
+class RenderInterpolator {
+    constructor() {
+        this.previous = new Map(); // Entity -> { position, angle } before the latest step
+        this.saved = []; // { entity, position, angle } of the real state while interpolated
+    }
+
+    /**
+     * Remembers where the bodies are; call just before each physics step.
+     * @param {Array<Entity>} entities
+     */
+    capture(entities) {
+        this.previous.clear();
+        for (const entity of entities) {
+            this.previous.set(entity, { position: entity.position, angle: entity.angle });
+        }
+    }
+
+    /**
+     * Moves the bodies to `alpha` of the way from their captured state to their current one.
+     * Bodies added since the last capture stay where they are. Call restore() once drawn.
+     * @param {Array<Entity>} entities
+     * @param {number} alpha 0 (previous step) to 1 (current step)
+     */
+    apply(entities, alpha) {
+        for (const entity of entities) {
+            const previous = this.previous.get(entity);
+            if (!previous) continue;
+            this.saved.push({ entity, position: entity.position, angle: entity.angle });
+            entity.position = previous.position.add(entity.position.sub(previous.position).mul(alpha));
+            entity.angle = previous.angle + angleDifference(previous.angle, entity.angle) * alpha;
+        }
+    }
+
+    /** Puts back the real state apply() replaced */
+    restore() {
+        for (const { entity, position, angle } of this.saved) {
+            entity.position = position;
+            entity.angle = angle;
+        }
+        this.saved = [];
+    }
+
+    /** Forgets every body (e.g. when a level is loaded, so nothing slides in from the last one) */
+    clear() {
+        this.previous.clear();
+        this.saved = [];
+    }
+}
+
+export { RenderInterpolator };
@@ -0,0 +1,366 @@
+/**
+ * @fileoverview Joints (constraints) between two entities, or an entity and a fixed
+ * point in the world. PhysicsWorld solves them alongside the contacts: a velocity pass
+ * every solver iteration and a position pass after integration.
+ *
+ * Anchors are given in world space when the joint is created and then stick to the
+ * bodies, so they follow them as they move and rotate.
+ */
+
+import { Vec2 } from './physics.js';
+
+const JOINT_CORRECTION = 0.3;      // Fraction of the joint's position error fixed per position iteration
+const MAX_JOINT_CORRECTION = 10;   // Largest positional push per iteration (px)
+
+/** Inverse mass as the solver sees it: static, sleeping and massless bodies don't move */
+function inverseMass(body) {
+    return body.isStatic || body.isSleeping || !(body.mass > 0) ? 0 : 1 / body.mass;
+}
+
+function inverseInertia(body) {
+    return body.isStatic || body.isSleeping || !body.inertia ? 0 : 1 / body.inertia;
+}
+
+/**
+ * Stand-in body for a world anchor: never moves, sits exactly on the anchor point.
+ */
+function worldBody(anchor) {
+    return {
+        position: anchor, velocity: Vec2.zero(), angle: 0, angularVelocity: 0,
+        mass: 0, inertia: 0, isStatic: true, isSleeping: false, isWorld: true,
+    };
+}
+
+/**
+ * Shared bookkeeping for every joint type: bodies, local anchors, breaking and
+ * impulse application. Subclasses implement preStep, solveVelocity and solvePosition.
+ */
+class Joint {
+    /**
+     * @param {object} bodyA First entity
+     * @param {object|null} bodyB Second entity, or null to pin to the world at anchorB
+     * @param {Vec2} anchorA World-space attachment point on A
+     * @param {Vec2} anchorB World-space attachment point on B (or the world)
+     * @param {object} [options]
+     * @param {number} [options.strength] Largest force the joint can take before it breaks
+     *        (mass·px/s²; a hanging body weighs mass × GRAVITY). Unbreakable by default.
+     * @param {boolean} [options.collideConnected] Let the two bodies still collide with each other
+     */
+    constructor(bodyA, bodyB, anchorA, anchorB, options = {}) {
+        this.bodyA = bodyA;
+        this.bodyB = bodyB ?? worldBody(anchorB);
+        this.localAnchorA = anchorA.sub(this.bodyA.position).rotate(-this.bodyA.angle);
+        this.localAnchorB = anchorB.sub(this.bodyB.position).rotate(-this.bodyB.angle);
+        this.strength = options.strength ?? Infinity;
+        this.collideConnected = options.collideConnected ?? false;
+        this.isBroken = false;
+        this.force = 0; // Constraint force from the last step, compared against strength
+    }
+
+    /** True if this joint ties `a` and `b` together (in either order) */
+    connects(a, b) {
+        return (this.bodyA === a && this.bodyB === b) || (this.bodyA === b && this.bodyB === a);
+    }
+
+    /** True if the joint is attached to `entity` */
+    involves(entity) {
+        return this.bodyA === entity || this.bodyB === entity;
+    }
+
+    /** Current world-space anchor on body A */
+    get worldAnchorA() {
+        return this.localAnchorA.rotate(this.bodyA.angle).add(this.bodyA.position);
+    }
+
+    /** Current world-space anchor on body B */
+    get worldAnchorB() {
+        return this.localAnchorB.rotate(this.bodyB.angle).add(this.bodyB.position);
+    }
+
+    /** Caches masses and lever arms for this step. Returns false if neither body can move. */
+    setUp() {
+        this.invMassA = inverseMass(this.bodyA);
+        this.invMassB = inverseMass(this.bodyB);
+        this.invInertiaA = inverseInertia(this.bodyA);
+        this.invInertiaB = inverseInertia(this.bodyB);
+        this.rA = this.localAnchorA.rotate(this.bodyA.angle);
+        this.rB = this.localAnchorB.rotate(this.bodyB.angle);
+        return this.invMassA + this.invMassB > 0;
+    }
+
+    /** Velocity of anchor B relative to anchor A */
+    relativeVelocity() {
+        const velA = this.bodyA.velocity.add(Vec2.crossSV(this.bodyA.angularVelocity, this.rA));
+        const velB = this.bodyB.velocity.add(Vec2.crossSV(this.bodyB.angularVelocity, this.rB));
+        return velB.sub(velA);
+    }
+
+    /** Applies an impulse at the anchors: pulls B along it and A against it */
+    applyImpulse(impulse) {
+        if (this.invMassA > 0) {
+            this.bodyA.velocity = this.bodyA.velocity.sub(impulse.mul(this.invMassA));
+            this.bodyA.angularVelocity -= this.rA.cross(impulse) * this.invInertiaA;
+        }
+        if (this.invMassB > 0) {
+            this.bodyB.velocity = this.bodyB.velocity.add(impulse.mul(this.invMassB));
+            this.bodyB.angularVelocity += this.rB.cross(impulse) * this.invInertiaB;
+        }
+    }
+
+    /** Moves the bodies directly (position pass) by a pseudo-impulse at the anchors */
+    applyPositionImpulse(impulse, rA, rB) {
+        if (this.invMassA > 0) {
+            this.bodyA.position = this.bodyA.position.sub(impulse.mul(this.invMassA));
+            this.bodyA.angle -= rA.cross(impulse) * this.invInertiaA;
+        }
+        if (this.invMassB > 0) {
+            this.bodyB.position = this.bodyB.position.add(impulse.mul(this.invMassB));
+            this.bodyB.angle += rB.cross(impulse) * this.invInertiaB;
+        }
+    }
+
+    /** Draws the joint as a line between its anchors (subclasses style it) */
+    draw(ctx) {
+        const a = this.worldAnchorA;
+        const b = this.worldAnchorB;
+        ctx.save();
+        ctx.strokeStyle = '#555555';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /** Marks the joint broken if last step's force exceeded its strength */
+    checkStrength(dt, impulseMagnitude) {
+        this.force = impulseMagnitude / dt;
+        if (this.force > this.strength) {
+            this.isBroken = true;
+            console.log(`${this.constructor.name} broke (force ${this.force.toFixed(0)} > ${this.strength})`);
+        }
+    }
+}
+
+/**
+ * Keeps the anchors a fixed distance apart, like a rigid rod.
+ * A rope (maxOnly) only stops them moving further apart than that length.
+ */
+class DistanceJoint extends Joint {
+    /**
+     * @param {object} [options] Joint options plus `length` (defaults to the current anchor distance)
+     */
+    constructor(bodyA, bodyB, anchorA, anchorB, options = {}) {
+        super(bodyA, bodyB, anchorA, anchorB, options);
+        this.length = options.length ?? anchorB.sub(anchorA).len();
+        this.maxOnly = false;
+        this.impulse = 0; // Accumulated along the axis, kept for warm starting
+    }
+
+    /** Unit axis from anchor A to anchor B, and the distance between them */
+    axis(rA, rB) {
+        const d = this.bodyB.position.add(rB).sub(this.bodyA.position.add(rA));
+        const distance = d.len();
+        return { u: distance > 1e-6 ? d.div(distance) : new Vec2(0, 1), distance };
+    }
+
+    preStep(dt) {
+        if (!this.setUp()) return false;
+        const { u, distance } = this.axis(this.rA, this.rB);
+        this.u = u;
+        this.distance = distance;
+
+        const crA = this.rA.cross(u);
+        const crB = this.rB.cross(u);
+        const invK = this.invMassA + this.invMassB + this.invInertiaA * crA * crA + this.invInertiaB * crB * crB;
+        this.mass = invK > 0 ? 1 / invK : 0;
+
+        // Warm start (a slack rope carries nothing)
+        if (this.maxOnly && distance < this.length) this.impulse = 0;
+        this.applyImpulse(u.mul(this.impulse));
+        return true;
+    }
+
+    solveVelocity(dt) {
+        let cdot = this.u.dot(this.relativeVelocity());
+        if (this.maxOnly) {
+            // While slack, let the ends approach the full length this step before pulling
+            const slack = this.distance - this.length;
+            if (slack < 0) cdot += slack / dt;
+        }
+
+        let lambda = -this.mass * cdot;
+        if (this.maxOnly) {
+            const old = this.impulse;
+            this.impulse = Math.min(0, old + lambda); // A rope can only pull
+            lambda = this.impulse - old;
+        } else {
+            this.impulse += lambda;
+        }
+        this.applyImpulse(this.u.mul(lambda));
+    }
+
+    finishStep(dt) {
+        this.checkStrength(dt, Math.abs(this.impulse));
+    }
+
+    solvePosition() {
+        if (!this.setUp()) return;
+        const { u, distance } = this.axis(this.rA, this.rB);
+        let error = distance - this.length;
+        if (this.maxOnly) error = Math.max(error, 0);
+        if (error === 0) return;
+        error = Math.max(-MAX_JOINT_CORRECTION, Math.min(error * JOINT_CORRECTION, MAX_JOINT_CORRECTION));
+
+        const crA = this.rA.cross(u);
+        const crB = this.rB.cross(u);
+        const invK = this.invMassA + this.invMassB + this.invInertiaA * crA * crA + this.invInertiaB * crB * crB;
+        if (invK === 0) return;
+        this.applyPositionImpulse(u.mul(-error / invK), this.rA, this.rB);
+    }
+}
+
+/**
+ * A rope: free to go slack, but never longer than its length.
+ */
+class RopeJoint extends DistanceJoint {
+    constructor(bodyA, bodyB, anchorA, anchorB, options = {}) {
+        super(bodyA, bodyB, anchorA, anchorB, options);
+        this.maxOnly = true;
+    }
+
+    draw(ctx) {
+        const a = this.worldAnchorA;
+        const b = this.worldAnchorB;
+        ctx.save();
+        ctx.strokeStyle = '#8B5A2B'; // Rope brown
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        // Sag a little when slack
+        const slack = Math.max(0, this.length - b.sub(a).len());
+        const mid = a.add(b).mul(0.5).add(new Vec2(0, slack / 2));
+        ctx.quadraticCurveTo(mid.x, mid.y, b.x, b.y);
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+/**
+ * Pins the two anchors together while letting the bodies turn freely (a hinge).
+ * Pass the same point for both anchors.
+ */
+class RevoluteJoint extends Joint {
+    constructor(bodyA, bodyB, anchor, options = {}) {
+        super(bodyA, bodyB, anchor, anchor, options);
+        this.impulse = Vec2.zero(); // Accumulated 2D impulse, kept for warm starting
+    }
+
+    /** 2x2 effective mass matrix of the point constraint for the given lever arms */
+    massMatrix(rA, rB) {
+        const mSum = this.invMassA + this.invMassB;
+        const iA = this.invInertiaA;
+        const iB = this.invInertiaB;
+        return {
+            k11: mSum + iA * rA.y * rA.y + iB * rB.y * rB.y,
+            k12: -iA * rA.x * rA.y - iB * rB.x * rB.y,
+            k22: mSum + iA * rA.x * rA.x + iB * rB.x * rB.x,
+        };
+    }
+
+    /** Solves K * x = v for x */
+    static solve(K, v) {
+        const det = K.k11 * K.k22 - K.k12 * K.k12;
+        if (det === 0) return Vec2.zero();
+        return new Vec2((K.k22 * v.x - K.k12 * v.y) / det, (K.k11 * v.y - K.k12 * v.x) / det);
+    }
+
+    preStep(dt) {
+        if (!this.setUp()) return false;
+        this.K = this.massMatrix(this.rA, this.rB);
+        this.applyImpulse(this.impulse);
+        return true;
+    }
+
+    solveVelocity(dt) {
+        const lambda = RevoluteJoint.solve(this.K, this.relativeVelocity()).mul(-1);
+        this.impulse = this.impulse.add(lambda);
+        this.applyImpulse(lambda);
+    }
+
+    finishStep(dt) {
+        this.checkStrength(dt, this.impulse.len());
+    }
+
+    draw(ctx) {
+        const pin = this.worldAnchorA;
+        ctx.save();
+        ctx.fillStyle = '#333333';
+        ctx.beginPath();
+        ctx.arc(pin.x, pin.y, 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#BBBBBB';
+        ctx.beginPath();
+        ctx.arc(pin.x, pin.y, 1.5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+
+    solvePosition() {
+        if (!this.setUp()) return;
+        const error = this.bodyB.position.add(this.rB).sub(this.bodyA.position.add(this.rA));
+        const length = error.len();
+        if (length === 0) return;
+        const correction = error.mul(Math.min(JOINT_CORRECTION, MAX_JOINT_CORRECTION / length));
+        const impulse = RevoluteJoint.solve(this.massMatrix(this.rA, this.rB), correction).mul(-1);
+        this.applyPositionImpulse(impulse, this.rA, this.rB);
+    }
+}
+
+/** Joint classes by the `type` used in level data */
+const JOINT_TYPES = {
+    distance: DistanceJoint,
+    rope: RopeJoint,
+    revolute: RevoluteJoint,
+};
+
+/**
+ * Builds a joint from a level's `joints` entry. Anchors are offsets from each body's
+ * centre in the body's own (unrotated) frame, so they stay put however the block's
+ * position was written.
+ * @param {object} data { type, a, b?, anchorA?, anchorB?, worldAnchor?, length?, strength?, collideConnected? }
+ *        `a`/`b` index the level's blocks; leave `b` out to attach to the world at `worldAnchor`
+ *        (a revolute joint without `b` pins A to the world at its own anchor).
+ * @param {Array<object>} bodies The level's blocks, in level order
+ * @returns {Joint|null} The joint, or null if the entry is invalid
+ */
+function createJoint(data, bodies) {
+    const JointClass = JOINT_TYPES[data.type];
+    if (!JointClass) {
+        console.warn(`Unknown joint type: ${data.type}`);
+        return null;
+    }
+    const bodyA = bodies[data.a];
+    const bodyB = data.b !== undefined ? bodies[data.b] : null;
+    if (!bodyA || (data.b !== undefined && !bodyB)) {
+        console.warn(`Joint refers to a missing block (a: ${data.a}, b: ${data.b})`);
+        return null;
+    }
+
+    const toWorld = (body, offset) => new Vec2(offset?.x ?? 0, offset?.y ?? 0).rotate(body.angle).add(body.position);
+    const anchorA = toWorld(bodyA, data.anchorA);
+    const options = { length: data.length, strength: data.strength, collideConnected: data.collideConnected };
+    if (JointClass === RevoluteJoint) {
+        return new RevoluteJoint(bodyA, bodyB, anchorA, options);
+    }
+
+    if (!bodyB && !data.worldAnchor) {
+        console.warn(`${data.type} joint needs either 'b' or 'worldAnchor'`);
+        return null;
+    }
+    const anchorB = bodyB ? toWorld(bodyB, data.anchorB) : new Vec2(data.worldAnchor.x, data.worldAnchor.y);
+    return new JointClass(bodyA, bodyB, anchorA, anchorB, options);
+}
+
+export { Joint, DistanceJoint, RopeJoint, RevoluteJoint, JOINT_TYPES, createJoint };
@@ -1,19 +1,31 @@
 /**
  * @fileoverview Level definitions for the game.
- * Each level object contains arrays of entities to spawn.
+ * Each level object contains a stable `id` (saved progress refers to it, so levels can be reordered
+ * or renamed freely), a display `name` and arrays of entities to spawn, plus optional `joints`
+ * linking blocks by index (see createJoint in joints.js) and an optional `worldWidth`
+ * for levels wider than the canvas (defaults to the canvas width).
+ * Blocks (including the ground) are placed by their top-left corner, enemies by their centre.
+ * A block's `type` is its material (see materials.js) and its optional `shape` is 'box' (the
+ * default), 'circle', 'triangle' or 'rounded' (see BLOCK_SHAPES in entities.js).
+ * Enemy `type`s are the keys of ENEMY_TYPES in entities.js: 'enemy' (regular), 'small', 'large',
+ * 'helmet' and 'boss'; ENEMY_RADIUS is the regular enemy's radius.
+ * `starThresholds` are in the points of scoring.js: each level's original thresholds scaled by how
+ * much more a strong simulated play of it scores with damage, material and combo points.
+ * The format is checked by js/validator.js; run `npm run lint:levels` after editing.
  */
 
+import { ENEMY_RADIUS } from './entities.js';
+
 const CANVAS_HEIGHT = 720;
 const GROUND_LEVEL = CANVAS_HEIGHT - 50; // Assuming a ground level for placement
 
-// Need to define ENEMY_RADIUS here or import it, let's define it locally for simplicity
-const ENEMY_RADIUS = 25; // Must match the value in entities.js
-
 export const LEVELS = [
     // Level 1: Simple structure
     {
         level: 1,
-        birds: ['red', 'red'], // Types of birds available
+        id: 'simple-structure', // Stable ID: progress is saved under it, so never change it
+        name: 'Simple Structure',
+        birds: ['red', 'red'], // Types of birds available (keys of BIRD_TYPES in entities.js)
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
         enemies: [
             { type: 'enemy', x: 800, y: GROUND_LEVEL - ENEMY_RADIUS - 1 }, // Spawn slightly above ground
@@ -25,17 +37,19 @@ export const LEVELS = [
             // Ground block
             { type: 'stone', x: 0, y: GROUND_LEVEL, width: 1280, height: 50, isStatic: true },
         ],
-        starThresholds: { 1: 1000, 2: 7000, 3: 10000 } // Score thresholds for stars
+        starThresholds: { 1: 1000, 2: 8000, 3: 11000 } // Score thresholds for stars
     },
 
     // Level 2: Small tower
     {
         level: 2,
+        id: 'small-tower',
+        name: 'Small Tower',
         birds: ['red', 'red', 'red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
         enemies: [
-            { type: 'enemy', x: 850, y: GROUND_LEVEL - ENEMY_RADIUS - 1 }, // On ground
-            { type: 'enemy', x: 850, y: GROUND_LEVEL - 90 - ENEMY_RADIUS - 1 }, 
+            { type: 'enemy', x: 775, y: GROUND_LEVEL - ENEMY_RADIUS - 1 }, // On ground, in front of the tower
+            { type: 'enemy', x: 800, y: GROUND_LEVEL - 90 - ENEMY_RADIUS - 1 }, 
         ],
         blocks: [
             // Tower structure
@@ -48,12 +62,14 @@ export const LEVELS = [
              // Ground block
              { type: 'stone', x: 0, y: GROUND_LEVEL, width: 1280, height: 50, isStatic: true },
         ],
-        starThresholds: { 1: 5000, 2: 12000, 3: 18000 }
+        starThresholds: { 1: 6000, 2: 15000, 3: 22000 }
     },
 
     // Level 3: More complex structure with stone
     {
         level: 3,
+        id: 'stone-structure',
+        name: 'Stone Structure',
         birds: ['red', 'red', 'red', 'red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
         enemies: [
@@ -75,17 +91,19 @@ export const LEVELS = [
              // Ground block
              { type: 'stone', x: 0, y: GROUND_LEVEL, width: 1280, height: 50, isStatic: true },
         ],
-        starThresholds: { 1: 10000, 2: 20000, 3: 28000 }
+        starThresholds: { 1: 14000, 2: 27000, 3: 38000 }
     },
 
     /* ----------  LEVEL 4 : "Glass Castle"  ---------- */
     {
         level: 4,
+        id: 'glass-castle',
+        name: 'Glass Castle',
         birds: ['red','red','red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
 
         enemies: [
-            { type:'enemy', x: 880, y: GROUND_LEVEL - ENEMY_RADIUS - 1 },
+            { type:'enemy', x: 805, y: GROUND_LEVEL - ENEMY_RADIUS - 1 }, // On ground, in front of the base
             { type:'enemy', x: 880, y: GROUND_LEVEL - 90  - ENEMY_RADIUS - 1 },
         ],
 
@@ -97,7 +115,7 @@ export const LEVELS = [
             { type:'glass', x: 880, y: GROUND_LEVEL - 80, width: 120, height: 20 },
             // Pillars
             { type:'glass', x: 830, y: GROUND_LEVEL - 120, width: 20, height: 60 },
-            { type:'glass', x: 930, y: GROUND_LEVEL - 120, width: 20, height: 60 },
+            { type:'glass', x: 930, y: GROUND_LEVEL - 140, width: 20, height: 60 }, // Stands on the middle span
             // Roof
             { type:'glass', x: 880, y: GROUND_LEVEL - 160, width: 120, height: 20 },
 
@@ -105,12 +123,14 @@ export const LEVELS = [
             { type:'stone', x:0, y:GROUND_LEVEL, width:1280, height:50, isStatic:true },
         ],
 
-        starThresholds: { 1: 7000, 2: 15000, 3: 23000 }
+        starThresholds: { 1: 10000, 2: 20000, 3: 31000 }
     },
 
     /* ----------  LEVEL 5 : "See-Saw"  ---------- */
     {
         level: 5,
+        id: 'see-saw',
+        name: 'See-Saw',
         birds: ['red','red','red','red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
 
@@ -125,34 +145,36 @@ export const LEVELS = [
             { type:'wood' , x: 830, y: GROUND_LEVEL - 100, width: 200, height: 20 },
             // Glass weights at ends
             { type:'glass', x: 730, y: GROUND_LEVEL - 120, width: 40, height: 40 },
-            { type:'glass', x: 930, y: GROUND_LEVEL - 120, width: 40, height: 40 },
+            { type:'glass', x: 930, y: GROUND_LEVEL - 140, width: 40, height: 40 }, // Rests on the plank
 
             // Ground
             { type:'stone', x:0, y:GROUND_LEVEL, width:1280, height:50, isStatic:true },
         ],
 
-        starThresholds: { 1: 8000, 2: 17000, 3: 26000 }
+        starThresholds: { 1: 8000, 2: 18000, 3: 27000 }
     },
 
     /* ----------  LEVEL 6 : "Twin Towers"  ---------- */
     {
         level: 6,
+        id: 'twin-towers',
+        name: 'Twin Towers',
         birds: ['red','red','red','red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
 
         enemies: [
             { type:'enemy', x: 760, y: GROUND_LEVEL - 110 - ENEMY_RADIUS - 1 },
-            { type:'enemy', x: 1000, y: GROUND_LEVEL - 110 - ENEMY_RADIUS - 1 },
+            { type:'enemy', x: 1000, y: GROUND_LEVEL - 140 - ENEMY_RADIUS - 1 }, // On the shared roof
         ],
 
         blocks: [
             // Left tower (wood)
-            { type:'wood', x: 720, y: GROUND_LEVEL -  40, width:  20, height: 80 },
-            { type:'wood', x: 760, y: GROUND_LEVEL -  40, width:  20, height: 80 },
+            { type:'wood', x: 720, y: GROUND_LEVEL -  80, width:  20, height: 80 },
+            { type:'wood', x: 760, y: GROUND_LEVEL -  80, width:  20, height: 80 },
             { type:'wood', x: 740, y: GROUND_LEVEL - 100, width:  60, height: 20 },
             // Right tower (glass)
-            { type:'glass', x: 960, y: GROUND_LEVEL -  40, width:  20, height: 80 },
-            { type:'glass', x:1000, y: GROUND_LEVEL -  40, width:  20, height: 80 },
+            { type:'glass', x: 960, y: GROUND_LEVEL -  80, width:  20, height: 80 },
+            { type:'glass', x:1000, y: GROUND_LEVEL -  80, width:  20, height: 80 },
             { type:'glass', x: 980, y: GROUND_LEVEL - 100, width:  60, height: 20 },
 
             // Shared stone roof
@@ -162,12 +184,14 @@ export const LEVELS = [
             { type:'stone', x:0, y:GROUND_LEVEL, width:1280, height:50, isStatic:true },
         ],
 
-        starThresholds: { 1: 10000, 2: 20000, 3: 30000 }
+        starThresholds: { 1: 12000, 2: 23000, 3: 35000 }
     },
 
     /* ----------  LEVEL 7 : "Domino Alley"  ---------- */
     {
         level: 7,
+        id: 'domino-alley',
+        name: 'Domino Alley',
         birds: ['red','red','red','red','red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
 
@@ -198,6 +222,8 @@ export const LEVELS = [
     /* ----------  LEVEL 8 : "Pit-Stop"  ---------- */
     {
         level: 8,
+        id: 'pit-stop',
+        name: 'Pit-Stop',
         birds: ['red','red','red','red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
 
@@ -208,8 +234,8 @@ export const LEVELS = [
 
         blocks: [
             // Vertical pit walls (Supports)
-            { type:'stone', x: 790, y: GROUND_LEVEL -  80, width: 20, height: 100 }, // Top edge at G - 130
-            { type:'stone', x: 970, y: GROUND_LEVEL -  80, width: 20, height: 100 }, // Top edge at G - 130
+            { type:'stone', x: 790, y: GROUND_LEVEL - 100, width: 20, height: 100 }, // Top edge at G - 100
+            { type:'stone', x: 970, y: GROUND_LEVEL - 100, width: 20, height: 100 }, // Top edge at G - 100
             // Bridge over pit (wood) - Corrected Y to sit on walls (Bottom edge at G-131)
             { type:'wood' , x: 880, y: GROUND_LEVEL - 141, width: 200, height: 20 },
             // Enemy platform above - Corrected Y to sit on bridge (Bottom edge at G-151)
@@ -219,17 +245,19 @@ export const LEVELS = [
             { type:'stone', x:0, y:GROUND_LEVEL, width:1280, height:50, isStatic:true },
         ],
 
-        starThresholds: { 1: 11000, 2: 22000, 3: 34000 }
+        starThresholds: { 1: 11000, 2: 22000, 3: 35000 }
     },
 
     /* ----------  LEVEL 9 : "Stonehenge"  ---------- */
     {
         level: 9,
+        id: 'stonehenge',
+        name: 'Stonehenge',
         birds: ['red','red','red','red','red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
 
         enemies: [
-            { type:'enemy', x: 860, y: GROUND_LEVEL - 150 - ENEMY_RADIUS - 1 },
+            { type:'enemy', x: 860, y: GROUND_LEVEL - 160 - ENEMY_RADIUS - 1 }, // On the capstone
         ],
 
         blocks: [
@@ -245,12 +273,14 @@ export const LEVELS = [
             { type:'stone', x:0, y:GROUND_LEVEL, width:1280, height:50, isStatic:true },
         ],
 
-        starThresholds: { 1: 12000, 2: 25000, 3: 37000 }
+        starThresholds: { 1: 12000, 2: 26000, 3: 38000 }
     },
 
     /* ----------  LEVEL 10 : "Stack Attack"  ---------- */
     {
         level: 10,
+        id: 'stack-attack',
+        name: 'Stack Attack',
         birds: ['red','red','red','red','red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
 
@@ -272,12 +302,14 @@ export const LEVELS = [
             { type:'stone', x:0, y:GROUND_LEVEL, width:1280, height:50, isStatic:true },
         ],
 
-        starThresholds: { 1: 15000, 2: 30000, 3: 45000 }
+        starThresholds: { 1: 18000, 2: 36000, 3: 53000 }
     },
 
     /* ----------  LEVEL 11 : "Catapult Counter"  ---------- */
     {
         level: 11,
+        id: 'catapult-counter',
+        name: 'Catapult Counter',
         birds: ['red','red','red','red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
 
@@ -291,7 +323,7 @@ export const LEVELS = [
             { type:'wood' , x: 860, y: GROUND_LEVEL - 100, width: 240, height: 20 },
 
             // Right-side counterweight (stone)
-            { type:'stone', x: 980, y: GROUND_LEVEL - 140, width: 60, height: 60 },
+            { type:'stone', x: 980, y: GROUND_LEVEL - 160, width: 60, height: 60 },
 
             // Enemy atop the stone weight (already positioned)
 
@@ -299,18 +331,20 @@ export const LEVELS = [
             { type:'stone', x:0, y:GROUND_LEVEL, width:1280, height:50, isStatic:true },
         ],
 
-        starThresholds: { 1: 14000, 2: 28000, 3: 42000 }
+        starThresholds: { 1: 15000, 2: 31000, 3: 46000 }
     },
 
     /* ----------  LEVEL 12 : "Glass & Grass"  ---------- */
     {
         level: 12,
+        id: 'glass-and-grass',
+        name: 'Glass & Grass',
         birds: ['red','red','red','red','red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
 
         enemies: [
             { type:'enemy', x: 780, y: GROUND_LEVEL - 92 - ENEMY_RADIUS - 1 },
-            { type:'enemy', x: 940, y: GROUND_LEVEL - 92 - ENEMY_RADIUS - 1 },
+            { type:'enemy', x: 940, y: GROUND_LEVEL - 95 - ENEMY_RADIUS - 1 },
         ],
 
         blocks: [
@@ -327,12 +361,14 @@ export const LEVELS = [
             { type:'stone', x:0, y:GROUND_LEVEL, width:1280, height:50, isStatic:true },
         ],
 
-        starThresholds: { 1: 16000, 2: 32000, 3: 48000 }
+        starThresholds: { 1: 20000, 2: 41000, 3: 61000 }
     },
 
     /* ----------  LEVEL 13 : "Fort Knox"  ---------- */
     {
         level: 13,
+        id: 'fort-knox',
+        name: 'Fort Knox',
         birds: ['red','red','red','red','red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
 
@@ -342,8 +378,8 @@ export const LEVELS = [
 
         blocks: [
             // Outer stone walls
-            { type:'stone', x: 720, y: GROUND_LEVEL - 100, width: 20, height: 200 },
-            { type:'stone', x:1000, y: GROUND_LEVEL - 100, width: 20, height: 200 },
+            { type:'stone', x: 720, y: GROUND_LEVEL - 200, width: 20, height: 200 },
+            { type:'stone', x:1160, y: GROUND_LEVEL - 200, width: 20, height: 200 }, // At the floors' right end
             // Floors
             { type:'wood' , x: 860, y: GROUND_LEVEL -  40, width: 300, height: 20 },
             { type:'wood' , x: 860, y: GROUND_LEVEL - 140, width: 300, height: 20 },
@@ -356,17 +392,19 @@ export const LEVELS = [
             { type:'stone', x:0, y:GROUND_LEVEL, width:1280, height:50, isStatic:true },
         ],
 
-        starThresholds: { 1: 20000, 2: 40000, 3: 60000 }
+        starThresholds: { 1: 20000, 2: 41000, 3: 61000 }
     },
 
     /* ----------  LEVEL 13 : "Triple Stack"  ---------- */
     {
         level: 13,
+        id: 'triple-stack',
+        name: 'Triple Stack',
         birds: ['red','red','red','red','red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
         enemies: [
-            { type:'enemy', x: 850, y: GROUND_LEVEL -  90 - ENEMY_RADIUS - 1 },
-            { type:'enemy', x: 850, y: GROUND_LEVEL - 190 - ENEMY_RADIUS - 1 },
+            { type:'enemy', x: 825, y: GROUND_LEVEL -  90 - ENEMY_RADIUS - 1 },
+            { type:'enemy', x: 825, y: GROUND_LEVEL - 190 - ENEMY_RADIUS - 1 },
             { type:'enemy', x: 850, y: GROUND_LEVEL - 290 - ENEMY_RADIUS - 1 },
         ],
         blocks: [
@@ -380,12 +418,14 @@ export const LEVELS = [
             // Ground
             { type:'stone', x:0, y:GROUND_LEVEL, width:1280, height:50, isStatic:true },
         ],
-        starThresholds: { 1: 15000, 2: 30000, 3: 45000 }
+        starThresholds: { 1: 19000, 2: 37000, 3: 56000 }
     },
 
     /* ---------- LEVEL 14: “Broken Bridge” ---------- */
     {
         level: 14,
+        id: 'broken-bridge',
+        name: 'Broken Bridge',
         birds: ['red', 'red', 'red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
         enemies: [
@@ -395,10 +435,10 @@ export const LEVELS = [
         ],
         blocks: [
             // Left pier
-            { type: 'stone', x: 700, y: GROUND_LEVEL - (120/2), width: 20, height: 120 }, // Base at GL
+            { type: 'stone', x: 700, y: GROUND_LEVEL - 120, width: 20, height: 120 }, // Base at GL
             { type: 'wood', x: 750 + (100/2), y: GROUND_LEVEL - 100 - (20/2), width: 100, height: 20 }, // Roadway segment
             // Right pier (identical structure, different x)
-            { type: 'stone', x: 940, y: GROUND_LEVEL - (120/2), width: 20, height: 120 }, // Base at GL
+            { type: 'stone', x: 940, y: GROUND_LEVEL - 120, width: 20, height: 120 }, // Base at GL
             { type: 'wood', x: 940 + (100/2), y: GROUND_LEVEL - 100 - (20/2), width: 100, height: 20 }, // Roadway segment
             // Fragile glass plate (bridging the gap, sits on right pier's roadway)
             // Plate Y should align with roadway Y = GL - 110
@@ -408,12 +448,14 @@ export const LEVELS = [
             // Ground block
             { type: 'stone', x: 0, y: GROUND_LEVEL, width: 1280, height: 50, isStatic: true },
         ],
-        starThresholds: { 1: 12000, 2: 24000, 3: 36000 }
+        starThresholds: { 1: 13000, 2: 27000, 3: 40000 }
     },
 
     /* ---------- LEVEL 15: “TNT Alley” ---------- */
     {
         level: 15,
+        id: 'tnt-alley',
+        name: 'TNT Alley',
         birds: ['red', 'red', 'red', 'red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
         enemies: [
@@ -427,31 +469,31 @@ export const LEVELS = [
             ...Array.from({ length: 10 }, (_, i) => ({
                 type: 'stone',
                 x: 420 + i * 50,
-                y: GROUND_LEVEL - (60/2), // Center Y
+                y: GROUND_LEVEL - 60, // Standing on the ground
                 width: 20,
                 height: 60
             })),
             // Three TNT crates (40x40) on alternate domino tops (1st, 3rd, 5th?)
-            // TNT Block needs implementation in entities.js/physics.js for explosion
             // Domino 1 (idx 0) x=420, top y = GL-60
             // Domino 3 (idx 2) x=520, top y = GL-60
             // Domino 5 (idx 4) x=620, top y = GL-60
-            { type: 'tnt', x: 420, y: GROUND_LEVEL - 60 - (40/2), width: 40, height: 40, }, // TNT on 1st domino (idx 0)
-            { type: 'tnt', x: 520, y: GROUND_LEVEL - 60 - (40/2), width: 40, height: 40, }, // TNT on 3rd domino (idx 2)
-            { type: 'tnt', x: 620, y: GROUND_LEVEL - 60 - (40/2), width: 40, height: 40, }, // TNT on 5th domino (idx 4)
+            { type: 'tnt', x: 420, y: GROUND_LEVEL - 60 - 40, width: 40, height: 40, }, // TNT on 1st domino (idx 0)
+            { type: 'tnt', x: 520, y: GROUND_LEVEL - 60 - 40, width: 40, height: 40, }, // TNT on 3rd domino (idx 2)
+            { type: 'tnt', x: 620, y: GROUND_LEVEL - 60 - 40, width: 40, height: 40, }, // TNT on 5th domino (idx 4)
             // Enemy pedestal (low glass)
             { type: 'glass', x: 900, y: GROUND_LEVEL - 100, width: 40, height: 40 },
 
              // Ground block
             { type: 'stone', x: 0, y: GROUND_LEVEL, width: 1280, height: 50, isStatic: true },
         ],
-        starThresholds: { 1: 14000, 2: 30000, 3: 46000 },
-        notes: "Requires TNT block implementation for explosions."
+        starThresholds: { 1: 16000, 2: 34000, 3: 52000 }
     },
 
     /* ---------- LEVEL 16: “Tilted Tower” ---------- */
     {
         level: 16,
+        id: 'tilted-tower',
+        name: 'Tilted Tower',
         birds: ['red', 'red', 'red', 'red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
         enemies: [
@@ -462,119 +504,114 @@ export const LEVELS = [
         ],
         blocks: [
             // Base block (index 0)
-            { type: 'wood', x: 780, y: GROUND_LEVEL - (20/2), width: 100, height: 20 }, // Bottom Y = GL
+            { type: 'wood', x: 780, y: GROUND_LEVEL - 20, width: 100, height: 20 }, // Bottom Y = GL
             // Five stacked wood blocks (100x20) with 5° rightward offset (+10 x shift per layer)
             // Assuming offset affects center x
             ...Array.from({ length: 5 }, (_, i) => ({
                 type: 'wood',
                 x: 780 + (i + 1) * 10, // Shift center x rightwards
-                y: GROUND_LEVEL - 20 - (i * 20) - (20/2), // Stacked: layer i starts at y=GL-20-i*20
+                y: GROUND_LEVEL - 40 - (i * 20), // Stacked: layer i's top is at y=GL-40-i*20
                 width: 100,
                 height: 20,
                 // angle: 5 * (Math.PI / 180) // Small angle might be unstable, layout shift preferred
             })),
-            // Stone counter-weight (60x60) on top of 5th block (index 4)
-            // Top of 5th block (i=4) center Y = GL - 20 - 4*20 - 10 = GL - 110
-            // Top surface Y = GL - 110 - 10 = GL - 120
-            // Weight center Y = GL - 120 - 60/2 = GL - 150
-            // Weight center X = 780 + 5*10 = 830
-            { type: 'stone', x: 830, y: GROUND_LEVEL - 150, width: 60, height: 60 },
+            // Stone counter-weight (60x60) on top of the 5th stacked block (i=4)
+            // Top surface Y = GL - 40 - 4*20 = GL - 120, so the weight's top Y = GL - 180
+            { type: 'stone', x: 830, y: GROUND_LEVEL - 180, width: 60, height: 60 },
 
             // Ground block
             { type: 'stone', x: 0, y: GROUND_LEVEL, width: 1280, height: 50, isStatic: true },
         ],
-        starThresholds: { 1: 17000, 2: 34000, 3: 51000 }
+        starThresholds: { 1: 17000, 2: 34000, 3: 52000 }
     },
 
     /* ---------- LEVEL 17: “Suspension Hazard” ---------- */
     {
         level: 17,
+        id: 'suspension-hazard',
+        name: 'Suspension Hazard',
         birds: ['red', 'red', 'red', 'red', 'red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
         enemies: [
-            // Left enemy on roadway at support column x=770
-            // Roadway center Y = GL - 160. Top surface = GL - 160 - 10 = GL - 170
-            // Enemy Y = GL - 170 - ER - 1 = GL - 196
-            { type: 'enemy', x: 770, y: GROUND_LEVEL - 170 - ENEMY_RADIUS - 1 },
-            // Right enemy on roadway at support column x=950
-            { type: 'enemy', x: 950, y: GROUND_LEVEL - 170 - ENEMY_RADIUS - 1 },
+            // Two enemies on the bridge deck. Deck top Y = GL - 156
+            // Enemy Y = GL - 156 - ER - 1
+            { type: 'enemy', x: 835, y: GROUND_LEVEL - 156 - ENEMY_RADIUS - 1 },
+            { type: 'enemy', x: 885, y: GROUND_LEVEL - 156 - ENEMY_RADIUS - 1 },
         ],
         blocks: [
-            // Faking suspension with two vertical glass "cables" (10x140)
-            // Roadway center Y = GL - 160. Bottom surface = GL - 160 + 10 = GL - 150
-            // Cable center Y = GL - 150 + 140/2 = GL - 80? Let's place them so top aligns with roadway bottom.
-            // Cable top Y = GL - 150. Cable center Y = GL - 150 - 140/2 = GL - 220. Seems too high.
-            // Let's place cable base on ground. Center Y = GL - 140/2 = GL - 70.
-            // Left cable
-            { type: 'glass', x: 770, y: GROUND_LEVEL - 70, width: 10, height: 140 },
-            // Right cable
-            { type: 'glass', x: 950, y: GROUND_LEVEL - 70, width: 10, height: 140 },
-            // Wood roadway (220x20) centered at (860, GL-160), resting on cables
-            // Check: Cable top Y = GL - 70 + 70 = GL. Roadway bottom must be > GL.
-            // Let's adjust: Cables support the roadway from below.
-            // Roadway bottom Y = GL - 160 + 10 = GL - 150.
-            // Cables should go from Ground up to GL - 150. Height = 150.
-            // Cable center Y = GL - 150/2 = GL - 75.
-            { type: 'glass', x: 770, y: GROUND_LEVEL - 75, width: 10, height: 150 }, // Adjusted height
-            { type: 'glass', x: 950, y: GROUND_LEVEL - 75, width: 10, height: 150 }, // Adjusted height
-            // Roadway
-            { type: 'wood', x: 860, y: GROUND_LEVEL - 160, width: 220, height: 20 },
+            // Bridge deck: 7 wood planks (40x12), top-left X = 720 + i*40, top Y = GL - 156.
+            // Indices 0-6, pinned end to end by the joints below.
+            ...Array.from({ length: 7 }).map((_, i) => (
+                { type: 'wood', x: 720 + i * 40, y: GROUND_LEVEL - 156, width: 40, height: 12 }
+            )),
+            // Static stone pylons either side (20x260), tops at GL - 260
+            { type: 'stone', x: 690, y: GROUND_LEVEL - 260, width: 20, height: 260, isStatic: true },
+            { type: 'stone', x: 1010, y: GROUND_LEVEL - 260, width: 20, height: 260, isStatic: true },
 
             // Ground block
             { type: 'stone', x: 0, y: GROUND_LEVEL, width: 1280, height: 50, isStatic: true },
         ],
-        starThresholds: { 1: 20000, 2: 40000, 3: 60000 },
-        notes: "Suspension faked with glass columns. Joint physics not implemented."
+        joints: [
+            // Deck ends pinned to the world at the pylons, planks pinned to each other.
+            // The deck holds ~110000 at rest, so a solid hit snaps a pin.
+            { type: 'revolute', a: 0, anchorA: { x: -20, y: 0 }, strength: 200000 },
+            ...Array.from({ length: 6 }).map((_, i) => (
+                { type: 'revolute', a: i, b: i + 1, anchorA: { x: 20, y: 0 }, strength: 200000 }
+            )),
+            { type: 'revolute', a: 6, anchorA: { x: 20, y: 0 }, strength: 200000 },
+            // Suspension ropes from the pylon tops to the second plank from each end (~52000 at rest)
+            { type: 'rope', a: 2, worldAnchor: { x: 700, y: GROUND_LEVEL - 260 }, strength: 120000 },
+            { type: 'rope', a: 4, worldAnchor: { x: 1020, y: GROUND_LEVEL - 260 }, strength: 120000 },
+        ],
+        starThresholds: { 1: 20000, 2: 40000, 3: 61000 },
     },
 
     /* ---------- LEVEL 18: “Wrecking Pendulum” ---------- */
     {
         level: 18,
+        id: 'wrecking-pendulum',
+        name: 'Wrecking Pendulum',
         birds: ['red', 'red', 'red', 'red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
         enemies: [
              // Assuming enemy is inside or on top of the house. Let's place on top.
              // House top approx GL - 50? Enemy Y = GL-50-ER-1 = GL-76
-             { type: 'enemy', x: 880, y: GROUND_LEVEL - 76 }
+             { type: 'enemy', x: 880, y: GROUND_LEVEL - 100 - ENEMY_RADIUS - 1 } // On the roof (top Y = GL-100)
         ],
         blocks: [
-            // Fake Pendulum: Stone ball (rect block) on long glass rod pivoting on hinge hack
-            // Pivot point (invisible joint) at (650, GL-240)
-            // Rope length 140px. Ball radius 30. Mass 30.
-            // Stone "ball" block (60x60 rectangle, mass 30)
-            // Ball center approx (650, GL-240 + 140) = (650, GL-100)
-            { type: 'stone', x: 650, y: GROUND_LEVEL - 100, width: 60, height: 60, mass: 30 },
-            // Long glass "rod" connecting pivot to ball (10 wide)
-            // Length = 140 - 30 (ball radius) = 110? Or just 140? Use 140.
-            // Rod connects (650, GL-240) to (650, GL-100). Center = (650, GL-170).
-            { type: 'glass', x: 650, y: GROUND_LEVEL - 170, width: 10, height: 140, mass: 1 }, // Low mass rod
-            // Hinge hack: small, low-mass static block at pivot point? Or just let rod swing freely near it.
-            // Add a small static block to visually anchor it.
-            { type: 'stone', x: 650, y: GROUND_LEVEL - 240, width: 10, height: 10, isStatic: true, mass: 1 },
+            // Pendulum: 60x60 stone weight (index 0) hanging on a rope from (700, GL-340).
+            // Top-left (670, GL-140), so its top centre (700, GL-140) is 200px below the anchor.
+            { type: 'stone', x: 670, y: GROUND_LEVEL - 140, width: 60, height: 60 },
 
             // Enemy Structure: Glass/wood mixed house at x=880 (< 200px tall)
             // Let's make a simple 2-story house. Base: 100x20 stone. Walls: 2x (20x60 wood). Roof: 100x20 glass. Total H=100.
-            // Base Y = GL - 10. Walls Y = GL-20-30=GL-50. Roof Y = GL-80-10=GL-90.
-            { type: 'stone', x: 880, y: GROUND_LEVEL - 10, width: 100, height: 20 }, // Base
-            { type: 'wood', x: 880 - 40, y: GROUND_LEVEL - 50, width: 20, height: 60 }, // Left Wall
-            { type: 'wood', x: 880 + 40, y: GROUND_LEVEL - 50, width: 20, height: 60 }, // Right Wall
-            { type: 'glass', x: 880, y: GROUND_LEVEL - 90, width: 100, height: 20 }, // Roof
+            // Base on the ground (top Y = GL-20). The left wall stands on the ground beside it, the right wall on it.
+            // Roof on the right wall (top Y = GL-100).
+            { type: 'stone', x: 880, y: GROUND_LEVEL - 20, width: 100, height: 20 }, // Base
+            { type: 'wood', x: 880 - 40, y: GROUND_LEVEL - 60, width: 20, height: 60 }, // Left Wall
+            { type: 'wood', x: 880 + 40, y: GROUND_LEVEL - 80, width: 20, height: 60 }, // Right Wall
+            { type: 'glass', x: 880, y: GROUND_LEVEL - 100, width: 100, height: 20 }, // Roof
 
             // Ground block
             { type: 'stone', x: 0, y: GROUND_LEVEL, width: 1280, height: 50, isStatic: true },
         ],
-        starThresholds: { 1: 22000, 2: 44000, 3: 66000 },
-        notes: "Pendulum faked with blocks. Joint physics not implemented."
+        joints: [
+            // Knock the weight into the house, or snap the rope (~20000 at rest)
+            { type: 'rope', a: 0, anchorA: { x: 0, y: -30 }, worldAnchor: { x: 700, y: GROUND_LEVEL - 340 }, strength: 80000 },
+        ],
+        starThresholds: { 1: 22000, 2: 45000, 3: 67000 },
     },
 
      /* ---------- LEVEL 19: “Glass Labyrinth” ---------- */
     {
         level: 19,
+        id: 'glass-labyrinth',
+        name: 'Glass Labyrinth',
         birds: ['red', 'red', 'red', 'red', 'red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
         enemies: [
-            // Enemy in center pocket (860, GL-120 - ER - 1) = (860, GL - 146)
-            { type: 'enemy', x: 860, y: GROUND_LEVEL - 146 },
+            // Enemy in center pocket (860, GL-120 - ER - 1) = (860, GL - 146); the pocket is filled, so it sits on the roof block
+            { type: 'enemy', x: 860, y: GROUND_LEVEL - 166 }, // On the roof block (top Y = GL-140)
         ],
         blocks: [
             // 7x3 grid of glass blocks (40x20) forming staggered staircase
@@ -583,15 +620,15 @@ export const LEVELS = [
             // x = 860 - 120, 860 - 80, 860 - 40, 860, 860 + 40, 860 + 80, 860 + 120
             // x = 740, 780, 820, 860, 900, 940, 980. Y = GL - 10
             ...Array.from({ length: 7 }, (_, i) => ({
-                type: 'glass', x: 740 + i * 40, y: GROUND_LEVEL - 10, width: 40, height: 20
+                type: 'glass', x: 740 + i * 40, y: GROUND_LEVEL - 20, width: 40, height: 20
             })),
             // Layer 1: Staggered. Blocks above gaps of Layer 0. x = 760, 800, 840, 880, 920, 960. Y = GL - 10 - 20 = GL - 30
              ...Array.from({ length: 6 }, (_, i) => ({
-                type: 'glass', x: 760 + i * 40, y: GROUND_LEVEL - 30, width: 40, height: 20
+                type: 'glass', x: 760 + i * 40, y: GROUND_LEVEL - 40, width: 40, height: 20
             })),
              // Layer 2: Staggered. Blocks above gaps of Layer 1. x = 780, 820, 860, 900, 940. Y = GL - 30 - 20 = GL - 50
             ...Array.from({ length: 5 }, (_, i) => ({
-                type: 'glass', x: 780 + i * 40, y: GROUND_LEVEL - 50, width: 40, height: 20
+                type: 'glass', x: 780 + i * 40, y: GROUND_LEVEL - 60, width: 40, height: 20
             })),
             // Enemy pocket needs modification. Remove block at (860, GL-50)?
             // Let's rebuild slightly differently. Grid around enemy pocket.
@@ -603,43 +640,45 @@ export const LEVELS = [
             // Let's retry the staircase to surround the enemy position.
             // Enemy at (860, GL-146). Center Y = GL - 146.
             // Blocks are 40x20.
-            // Level 0 (bottom): y=GL-10. 7 blocks x=740..980
-            ...Array.from({ length: 7 }, (_, i) => ({ type: 'glass', x: 740 + i * 40, y: GROUND_LEVEL - 10, width: 40, height: 20 })),
-            // Level 1: y=GL-30. 6 blocks x=760..960
-            ...Array.from({ length: 6 }, (_, i) => ({ type: 'glass', x: 760 + i * 40, y: GROUND_LEVEL - 30, width: 40, height: 20 })),
-            // Level 2: y=GL-50. 5 blocks x=780..940
-            ...Array.from({ length: 5 }, (_, i) => ({ type: 'glass', x: 780 + i * 40, y: GROUND_LEVEL - 50, width: 40, height: 20 })),
-            // Level 3: y=GL-70. 4 blocks x=800..920
-            ...Array.from({ length: 4 }, (_, i) => ({ type: 'glass', x: 800 + i * 40, y: GROUND_LEVEL - 70, width: 40, height: 20 })),
-            // Level 4: y=GL-90. 3 blocks x=820..900
-            ...Array.from({ length: 3 }, (_, i) => ({ type: 'glass', x: 820 + i * 40, y: GROUND_LEVEL - 90, width: 40, height: 20 })),
-            // Level 5: y=GL-110. 2 blocks x=840, 880 (leaves gap at 860 for pocket below)
-            { type: 'glass', x: 840, y: GROUND_LEVEL - 110, width: 40, height: 20 },
-            { type: 'glass', x: 880, y: GROUND_LEVEL - 110, width: 40, height: 20 },
-             // Level 6: y=GL-130. 1 block x=860 (roof over pocket)
-            { type: 'glass', x: 860, y: GROUND_LEVEL - 130, width: 40, height: 20 },
+            // Level 0 (bottom): y=GL-20. 7 blocks x=740..980
+            ...Array.from({ length: 7 }, (_, i) => ({ type: 'glass', x: 740 + i * 40, y: GROUND_LEVEL - 20, width: 40, height: 20 })),
+            // Level 1: y=GL-40. 6 blocks x=760..960
+            ...Array.from({ length: 6 }, (_, i) => ({ type: 'glass', x: 760 + i * 40, y: GROUND_LEVEL - 40, width: 40, height: 20 })),
+            // Level 2: y=GL-60. 5 blocks x=780..940
+            ...Array.from({ length: 5 }, (_, i) => ({ type: 'glass', x: 780 + i * 40, y: GROUND_LEVEL - 60, width: 40, height: 20 })),
+            // Level 3: y=GL-80. 4 blocks x=800..920
+            ...Array.from({ length: 4 }, (_, i) => ({ type: 'glass', x: 800 + i * 40, y: GROUND_LEVEL - 80, width: 40, height: 20 })),
+            // Level 4: y=GL-100. 3 blocks x=820..900
+            ...Array.from({ length: 3 }, (_, i) => ({ type: 'glass', x: 820 + i * 40, y: GROUND_LEVEL - 100, width: 40, height: 20 })),
+            // Level 5: y=GL-120. 2 blocks x=840, 880 (leaves gap at 860 for pocket below)
+            { type: 'glass', x: 840, y: GROUND_LEVEL - 120, width: 40, height: 20 },
+            { type: 'glass', x: 880, y: GROUND_LEVEL - 120, width: 40, height: 20 },
+             // Level 6: y=GL-140. 1 block x=860 (roof over pocket)
+            { type: 'glass', x: 860, y: GROUND_LEVEL - 140, width: 40, height: 20 },
             // This puts enemy at GL-146 roughly inside pocket below block 860,GL-130.
 
             // Ground block
             { type: 'stone', x: 0, y: GROUND_LEVEL, width: 1280, height: 50, isStatic: true },
         ],
-        starThresholds: { 1: 25000, 2: 50000, 3: 75000 }
+        starThresholds: { 1: 25000, 2: 51000, 3: 76000 }
     },
 
     /* ---------- LEVEL 20: “Stone Spiral” ---------- */
     {
         level: 20,
+        id: 'stone-spiral',
+        name: 'Stone Spiral',
         birds: ['red', 'red', 'red', 'red', 'red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
         enemies: [
             // Perched on layer 4 outer tip.
             // Layer 4: y=GL-80 - 4*20 = GL-160. Angle=80deg. Tip position needs calc.
             // Approx enemy pos: x=860+60, y=GL-160-ER-1? Let's place at (920, GL-186)
-             { type: 'enemy', x: 920, y: GROUND_LEVEL - 186 }
+             { type: 'enemy', x: 970, y: GROUND_LEVEL - 186 } // Beside the tower, clear of layers 2 and 3
         ],
         blocks: [
              // Helix-looking tower: 5 layers of 120x20 stone planks.
-             // High mass (20), isStatic: false.
+             // Dynamic (isStatic: false), with stone's usual mass.
              // Center point (860, GL-80). Rotation 20 deg per layer.
              // Layer 0: y=GL-80, angle=0
              // Layer 1: y=GL-100, angle=20
@@ -649,10 +688,9 @@ export const LEVELS = [
              ...Array.from({ length: 5 }, (_, i) => ({
                 type: 'stone',
                 x: 860, // Centered horizontally
-                y: GROUND_LEVEL - 80 - (i * 20), // Stacked vertically
+                y: GROUND_LEVEL - [80, 120, 163, 216, 296][i], // Stacked vertically, each just clear of the one below once turned
                 width: 120,
                 height: 20,
-                mass: 20, // Use default stone mass if not customizable per instance
                 angle: i * 20 * (Math.PI / 180), // Angle in radians
                 isStatic: false
             })),
@@ -660,12 +698,14 @@ export const LEVELS = [
             // Ground block
             { type: 'stone', x: 0, y: GROUND_LEVEL, width: 1280, height: 50, isStatic: true },
         ],
-        starThresholds: { 1: 28000, 2: 56000, 3: 84000 }
+        starThresholds: { 1: 33000, 2: 65000, 3: 98000 }
     },
 
     /* ---------- LEVEL 21: “Royal Vault” ---------- */
     {
         level: 21,
+        id: 'royal-vault',
+        name: 'Royal Vault',
         birds: ['red', 'red', 'red', 'red', 'red', 'red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
         enemies: [
@@ -674,28 +714,28 @@ export const LEVELS = [
             // Inner bottom Y = GL - 180? Inner floor Y=GL-190 center?
             // Place enemies on floor: y = GL-190-10-ER-1 = GL-226
             { type: 'enemy', x: 860 - 50, y: GROUND_LEVEL - 200 - ENEMY_RADIUS - 1 }, // Place relative to vault center. Vault floor Y = GL-200?
-            { type: 'enemy', x: 860, y: GROUND_LEVEL - 200 - ENEMY_RADIUS - 1 },
-            { type: 'enemy', x: 860 + 50, y: GROUND_LEVEL - 200 - ENEMY_RADIUS - 1 },
+            { type: 'enemy', x: 860, y: GROUND_LEVEL - 240 - ENEMY_RADIUS - 1 }, // On the ceiling
+            { type: 'enemy', x: 860 + 50, y: GROUND_LEVEL - 240 - ENEMY_RADIUS - 1 }, // On the ceiling
         ],
         blocks: [
             // Large rectangular stone bunker. Inner 320x180. Walls 20 thick. Center x=860?
             // Outer dimensions: Width = 320 + 2*20 = 360. Height = 180 + 2*20 = 220.
             // Base position: Bottom Y = GL. Center Y = GL - 110.
             // Assume vault base rests on ground. Bottom Y = GL. Top Y = GL - 220. Center Y = GL - 110.
-            // Floor: x=860, y=GL-10, w=360, h=20, stone
-            { type: 'stone', x: 860, y: GROUND_LEVEL - 10, width: 360, height: 20 },
-            // Left Wall: x=860-180+10=690, y=GL-10-110=GL-120, w=20, h=200 (from floor to ceiling bottom)
-            { type: 'stone', x: 860 - 170, y: GROUND_LEVEL - 10 - 100, width: 20, height: 200 },
-            // Right Wall: x=860+180-10=1030, y=GL-120, w=20, h=200
-            { type: 'stone', x: 860 + 170, y: GROUND_LEVEL - 10 - 100, width: 20, height: 200 },
-            // Ceiling (Glass): x=860, y=GL-10-200-10=GL-220, w=360, h=20
-            { type: 'glass', x: 860, y: GROUND_LEVEL - 10 - 200 - 10, width: 360, height: 20 },
+            // Floor: x=860, y=GL-20, w=360, h=20, stone (bottom on the ground)
+            { type: 'stone', x: 860, y: GROUND_LEVEL - 20, width: 360, height: 20 },
+            // Left Wall: x=860-170=690, y=GL-200, w=20, h=200 (left of the floor, so it stands on the ground)
+            { type: 'stone', x: 860 - 170, y: GROUND_LEVEL - 200, width: 20, height: 200 },
+            // Right Wall: x=860+170=1030, y=GL-220, w=20, h=200 (stands on the floor)
+            { type: 'stone', x: 860 + 170, y: GROUND_LEVEL - 20 - 200, width: 20, height: 200 },
+            // Ceiling (Glass): x=860, y=GL-20-200-20=GL-240, w=360, h=20 (on top of the right wall)
+            { type: 'glass', x: 860, y: GROUND_LEVEL - 20 - 200 - 20, width: 360, height: 20 },
             // Two vertical wooden doors (20x120) at center. Center x=860.
-            // Door Y: Centered vertically? Base on floor? Y = GL-10-60=GL-70.
-            // Door 1: x=860-10, y=GL-70, w=20, h=120
-            { type: 'wood', x: 860 - 10, y: GROUND_LEVEL - 10 - 60, width: 20, height: 120 },
-            // Door 2: x=860+10, y=GL-70, w=20, h=120
-            { type: 'wood', x: 860 + 10, y: GROUND_LEVEL - 10 - 60, width: 20, height: 120 },
+            // Door Y: Base on the floor, Y = GL-20-120=GL-140.
+            // Door 1: x=860-10, y=GL-140, w=20, h=120
+            { type: 'wood', x: 860 - 10, y: GROUND_LEVEL - 20 - 120, width: 20, height: 120 },
+            // Door 2: x=860+10, y=GL-140, w=20, h=120
+            { type: 'wood', x: 860 + 10, y: GROUND_LEVEL - 20 - 120, width: 20, height: 120 },
              // Enemy Y pos check: Floor top = GL-20. Vault inner height 180. Ceiling bottom = GL-200.
              // Place enemies at y=GL-30-ER-1=GL-56.
             // Let's re-adjust enemy Y pos to be on the floor { type: 'enemy', x: 860, y: GROUND_LEVEL - 20 - ENEMY_RADIUS - 1 },
@@ -703,14 +743,16 @@ export const LEVELS = [
             // Ground block
             { type: 'stone', x: 0, y: GROUND_LEVEL, width: 1280, height: 50, isStatic: true },
         ],
-        starThresholds: { 1: 32000, 2: 64000, 3: 96000 },
-        notes: "Requires TNT block implementation if roof break-in involves explosion." // Added note about TNT dependency
+        starThresholds: { 1: 35000, 2: 70000, 3: 105000 }
     },
 
     /* ---------- LEVEL 22: “Domino Doomsday” ---------- */
     {
         level: 22,
+        id: 'domino-doomsday',
+        name: 'Domino Doomsday',
         birds: ['red', 'red', 'red', 'red', 'red', 'red'],
+        worldWidth: 1800, // Dominoes run past the right edge of the screen; the camera scrolls
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
         enemies: [
             // Sits on pedestal after last domino. Last domino x=400+19*60 = 1540. Pedestal x=1600?
@@ -722,30 +764,31 @@ export const LEVELS = [
             ...Array.from({ length: 20 }, (_, i) => ({
                 type: 'stone',
                 x: 400 + i * 60,
-                y: GROUND_LEVEL - (80/2), // Center Y
+                y: GROUND_LEVEL - 80, // Standing on the ground
                 width: 20,
                 height: 80
             })),
             // Two TNT among dominoes (positions 8 and 16 - means index 7 and 15)
-            // TNT needs implementation. Size 40x40? Placed on top of dominoes?
-            // Domino 8 (idx 7) x=400+7*60 = 820. Top Y = GL-80. TNT Y = GL-80-20 = GL-100.
-            // Domino 16 (idx 15) x=400+15*60 = 1300. Top Y = GL-80. TNT Y = GL-100.
-            { type: 'tnt', x: 820, y: GROUND_LEVEL - 80 - (40/2), width: 40, height: 40 }, // On domino 8 (idx 7)
-            { type: 'tnt', x: 1300, y: GROUND_LEVEL - 80 - (40/2), width: 40, height: 40 }, // On domino 16 (idx 15)
+            // TNT crates are 40x40, resting on top of the dominoes.
+            // Domino 8 (idx 7) x=400+7*60 = 820. Top Y = GL-80. TNT Y = GL-80-40 = GL-120.
+            // Domino 16 (idx 15) x=400+15*60 = 1300. Top Y = GL-80. TNT Y = GL-120.
+            { type: 'tnt', x: 820, y: GROUND_LEVEL - 80 - 40, width: 40, height: 40 }, // On domino 8 (idx 7)
+            { type: 'tnt', x: 1300, y: GROUND_LEVEL - 80 - 40, width: 40, height: 40 }, // On domino 16 (idx 15)
 
-            // Enemy pedestal (glass 40x40?) at x=1600
-            { type: 'glass', x: 1600, y: GROUND_LEVEL - (40/2), width: 40, height: 40 },
+            // Enemy pedestal (glass 40x40?) at x=1600, on the ground
+            { type: 'glass', x: 1600, y: GROUND_LEVEL - 40, width: 40, height: 40 },
 
             // Ground block
-            { type: 'stone', x: 0, y: GROUND_LEVEL, width: 1280, height: 50, isStatic: true },
+            { type: 'stone', x: 0, y: GROUND_LEVEL, width: 1800, height: 50, isStatic: true },
         ],
-        starThresholds: { 1: 35000, 2: 70000, 3: 105000 },
-        notes: "Requires TNT block implementation for explosions."
+        starThresholds: { 1: 42000, 2: 84000, 3: 126000 }
     },
 
     /* ---------- LEVEL 23: “Tower of Babel” ---------- */
     {
         level: 23,
+        id: 'tower-of-babel',
+        name: 'Tower of Babel',
         birds: ['red', 'red', 'red', 'red', 'red', 'red', 'red'],
         slingshotPos: { x: 150, y: GROUND_LEVEL - 100 },
         enemies: [
@@ -754,20 +797,20 @@ export const LEVELS = [
             // Floor 2 top Y = GL - 2*80 = GL - 160. Enemy Y = GL-160-ER-1 = GL-186
             // Floor 5 top Y = GL - 5*80 = GL - 400. Enemy Y = GL-400-ER-1 = GL-426
             // Floor 8 top Y = GL - 8*80 = GL - 640. Enemy Y = GL-640-ER-1 = GL-666
-            { type: 'enemy', x: 860, y: GROUND_LEVEL - 160 - ENEMY_RADIUS - 1 }, // Floor 3 (idx 2)
-            { type: 'enemy', x: 860, y: GROUND_LEVEL - 400 - ENEMY_RADIUS - 1 }, // Floor 6 (idx 5)
+            { type: 'enemy', x: 785, y: GROUND_LEVEL - 160 - ENEMY_RADIUS - 1 }, // Floor 3 (idx 2), outside the left pillars: a 40px storey is too low for an enemy
+            { type: 'enemy', x: 785, y: GROUND_LEVEL - 400 - ENEMY_RADIUS - 1 }, // Floor 6 (idx 5), outside the left pillars too
             { type: 'enemy', x: 860, y: GROUND_LEVEL - 640 - ENEMY_RADIUS - 1 }, // Floor 9 (idx 8)
         ],
         blocks: [
             // 9-storey alternating material tower. Center x=860?
             // Each storey: frame = wood/stone (120x20 plank) + 2 glass pillars (20x60). Height = 80.
             // Total height 9*80=720? Desc says 540 (top at GL-560). Maybe pillar height is 40? 40+20=60 per floor. 9*60=540. Use H=60 per floor.
-            // Floor 0: Plank Y=GL-10. Pillars Y=GL-20-20=GL-40.
-            // Floor 1: Plank Y=GL-10-60=GL-70. Pillars Y=GL-70-10-20=GL-100.
-            // Floor i: Plank Y=GL-10-i*60. Pillars Y=GL-40-i*60.
+            // Floor 0: Plank Y=GL-20 (bottom on the ground). Pillars Y=GL-20-40=GL-60.
+            // Floor 1: Plank Y=GL-20-60=GL-80. Pillars Y=GL-80-40=GL-120.
+            // Floor i: Plank Y=GL-20-i*60. Pillars Y=GL-60-i*60.
             ...Array.from({ length: 9 }).flatMap((_, i) => {
-                const floorY = GROUND_LEVEL - 10 - (i * 60);
-                const pillarY = GROUND_LEVEL - 40 - (i * 60);
+                const floorY = GROUND_LEVEL - 20 - (i * 60);
+                const pillarY = GROUND_LEVEL - 60 - (i * 60);
                 const plankType = (i % 3 === 0) ? 'stone' : 'wood'; // Every third floor (0, 3, 6) is stone
 
                 return [
@@ -779,15 +822,24 @@ export const LEVELS = [
                     { type: 'glass', x: 860 + 50, y: pillarY, width: 20, height: 40 }, // Adjusted pillar height
                 ];
             }),
-            // Hidden TNT in floor 5 core (index 4). Plank Y = GL-10-4*60 = GL-250.
-            // Needs TNT implementation. Size 40x40?
-            { type: 'tnt', x: 860, y: GROUND_LEVEL - 250, width: 40, height: 40 }, // Place centered on floor 5 plank
+            // Hidden TNT in floor 5 core (index 4). Plank Y = GL-20-4*60 = GL-260.
+            { type: 'tnt', x: 860, y: GROUND_LEVEL - 300, width: 40, height: 40 }, // Standing on the floor 5 plank
 
             // Ground block
             { type: 'stone', x: 0, y: GROUND_LEVEL, width: 1280, height: 50, isStatic: true },
         ],
-        starThresholds: { 1: 50000, 2: 100000, 3: 150000 },
-        notes: "Requires TNT block implementation. Tower height adjusted based on description."
+        starThresholds: { 1: 55000, 2: 110000, 3: 166000 }
     },
 
-]; // End of LEVELS array 
\ No newline at end of file
+]; // End of LEVELS array
+
+/**
+ * Worlds group consecutive LEVELS on the level select screen: `levelCount` levels each, in order.
+ * A world unlocks once the player has collected `starsToUnlock` stars in total (levels inside a
+ * world still unlock one after another).
+ */
+export const WORLDS = [
+    { name: 'Green Hills', levelCount: 8, starsToUnlock: 0 },
+    { name: 'Stone Quarry', levelCount: 8, starsToUnlock: 12 },
+    { name: 'Sky Fortress', levelCount: 8, starsToUnlock: 30 },
+]; 
\ No newline at end of file
@@ -3,10 +3,23 @@
  * Initializes the game, manages the game loop, levels, input, and UI updates.
  */
 
-import { PhysicsWorld, Vec2, pixelsPerMeter, GRAVITY, TIME_STEP, FRICTION } from './physics.js';
-import { Bird, Enemy, Block, Slingshot, LAUNCH_POWER } from './entities.js';
-import { LEVELS } from './levels.js';
-import { initUI, updateScore, updateBirdsLeft, updateStars, setNextLevelButtonEnabled, showLevelCompleteDialog, showGameOverDialog, saveProgress, loadProgress, updateMuteButton, updateLevelDisplay } from './ui.js';
+import { PhysicsWorld, Vec2, pixelsPerMeter, TIME_STEP } from './physics.js';
+import { seedEntityIds } from './entities.js';
+import { buildLevel, removeDeadEntities, isOutOfWorld, launchWithVector, UNUSED_BIRD_BONUS, NEXT_BIRD_DELAY_FRAMES, LEVEL_COMPLETE_DELAY } from './simulation.js';
+import { Camera } from './camera.js';
+import { ParticleSystem } from './particles.js';
+import { ScorePopups } from './popups.js';
+import { ShotTrail } from './trail.js';
+import { RenderInterpolator } from './interpolation.js';
+import { ScoreKeeper } from './scoring.js';
+import { AudioEngine, volumeForImpulse } from './audio.js';
+import { ReplayRecorder, ReplayPlayer, serializeReplay, parseReplay } from './replay.js';
+import { LevelEditor, createEmptyLevel } from './editor.js';
+import { validateLevel, hasErrors, logLevelIssues } from './validator.js';
+import { CAMPAIGN_PACK, parsePack, loadPackFromUrl } from './packs.js';
+import { SaveGame, levelIdOf } from './save.js';
+import { StateMachine, GameTimers } from './state.js';
+import { initUI, updateScore, updateBirdsLeft, updateStars, setNextLevelButtonEnabled, showLevelCompleteDialog, showGameOverDialog, updateMuteButton, updateLevelDisplay, setHudMode, updateReplayControls, updateEditorToolbar, downloadTextFile, pickTextFile, updatePackDisplay, describeWorlds, showLevelSelect, showPauseMenu, hidePauseMenu } from './ui.js';
 
 // --- Constants & Game State ---
 const DEBUG = true;
@@ -14,41 +27,135 @@ const CANVAS_ID = 'gameCanvas';
 const ASSET_PATHS = {
     redbird: 'assets/redbird.webp',
     greenbird: 'assets/greenbird.png',
-    // Add paths for audio files if using separate files
-    // launchSound: 'assets/launch.mp3',
-    // ... other sounds
+};
+// Optional sound files; any that are missing are synthesized by the audio engine instead
+const SOUND_PATHS = {
+    launch: 'assets/sounds/launch.mp3',
+    twang: 'assets/sounds/twang.mp3',
+    impact: 'assets/sounds/impact.mp3',
+    breakWood: 'assets/sounds/break-wood.mp3',
+    breakStone: 'assets/sounds/break-stone.mp3',
+    breakGlass: 'assets/sounds/break-glass.mp3',
+    explosion: 'assets/sounds/explosion.mp3',
+    enemyDestroyed: 'assets/sounds/enemy-destroyed.mp3',
+    ability: 'assets/sounds/ability.mp3',
+};
+// Sound played when an entity breaks, by its debris kind (see particles.js)
+const BREAK_SOUNDS = {
+    splinters: 'breakWood',
+    dust: 'breakStone',
+    shards: 'breakGlass',
+    frost: 'breakGlass',
+    scrap: 'breakStone',
+    explosion: 'explosion',
+    poof: 'enemyDestroyed',
 };
 
 let canvas, ctx;
+let camera;
+let particles; // Visual-only debris, drawn over the level
+let popups; // Floating score text, drawn over the particles
+let shotTrail; // Where the last launched bird flew, drawn faded while aiming the next one
+const interpolation = new RenderInterpolator(); // Draws bodies between physics steps (see render())
+let worldWidth = 1280; // Width of the current level's world (levels may be wider than the canvas)
 let physicsWorld;
 let slingshot;
-let currentLevelIndex = 0;
-let score = 0;
+let currentPack = CAMPAIGN_PACK; // Level pack being played (see packs.js)
+let currentLevelIndex = 0; // Index into currentPack.levels
+let scoreKeeper = null; // Score of the current attempt, shot by shot
 let birds = []; // Birds available for the current level
 let enemies = [];
 let blocks = [];
 let currentBird = null; // The bird currently in the slingshot or flying
-let gameState = 'loading'; // loading, ready, playing, aiming, levelComplete, gameOver
+let projectiles = []; // Extra entities spawned by bird abilities (split birds, eggs)
+// What the game is doing. `to` lists where each state can go; every state can go back to 'ready'
+// because loading a level (a restart, the level select, a pack...) can happen from anywhere.
+const gameState = new StateMachine({
+    loading: { to: ['*'] }, // Until the assets are in
+    ready: { to: ['aiming', 'levelComplete', 'paused', 'editing', 'gameOver'] }, // A bird waits in the slingshot
+    aiming: { // The band is being pulled (by pointer, keys, gamepad or a replay)
+        to: ['ready', 'playing', 'levelComplete', 'paused', 'editing', 'gameOver'],
+        exit: () => { isDragging = false; keyAim = null; },
+    },
+    playing: { to: ['ready', 'levelComplete', 'gameOver', 'paused', 'editing'] }, // A bird is out
+    paused: {
+        to: ['ready', 'playing', 'editing', 'gameOver'],
+        enter: from => {
+            resumeState = from;
+            showPauseMenu({ muted: isMuted, volume: audio.busVolume });
+        },
+        exit: () => hidePauseMenu(),
+    },
+    levelComplete: { to: ['ready', 'editing', 'gameOver'], enter: onLevelComplete },
+    gameOver: { to: ['ready', 'editing'], enter: onGameOver },
+    editing: { to: ['ready', 'gameOver'], enter: () => setHudMode('edit') },
+    error: { to: [] },
+}, 'loading');
+let resumeState = null; // State the pause menu goes back to
+const timers = new GameTimers(); // Run on game time: they stop while paused (see update())
 let loadedAssets = {};
+let baseAssets = {}; // The game's own images (loadedAssets adds the current pack's on top)
+let packSounds = {}; // Sounds the current pack replaced: name -> URL
 let isMuted = false;
-let gameProgress = { highestLevelUnlocked: 1, highScores: {} };
+const audio = new AudioEngine();
+let save = null; // The player's progress in every pack (SaveGame)
 let lastTime = 0;
 let accumulator = 0;
-let levelCompleteTimer = null; // Timer ID for delayed level completion
-const LEVEL_COMPLETE_DELAY = 2000; // ms delay after last enemy destroyed
+const MAX_STEPS_PER_FRAME = 8; // Catch-up cap: after a stall the game slows down instead of spiralling (4x replays at 30 fps still fit)
+let timeScale = 1; // Game seconds per real second (below 1 during slow motion)
+let slowMotionTime = 0; // Real seconds of slow motion left
+const SLOW_MOTION_SCALE = 0.3; // Time scale of the slow motion big impacts trigger
+const SLOW_MOTION_DURATION = 0.8; // Real seconds it lasts
+const SLOW_MOTION_IMPULSE = 4000; // Impacts this hard (and explosions) trigger it
+let levelCompleteTimer = null; // Game timer ID for delayed level completion
+let frame = 0; // Physics steps taken in the current attempt (replay inputs are stamped with it)
+let nextBirdFrames = 0; // Physics steps until the next bird is loaded (0 = none pending)
+
+// Replays
+let recorder = null; // Records the inputs of the current attempt
+let replayPlayer = null; // Set while a replay is playing instead of the player
+let lastReplay = null; // Recording of the last finished attempt, for "Watch Replay"
+let isSeeking = false; // Fast-forwarding through a replay (no sounds)
+
+// Level editor
+let editor = null; // Created the first time the editor is opened
+let testLevelData = null; // Level being test-played from the editor (played instead of the pack's level)
 
 // Input state
 let isDragging = false;
 let pointerPos = new Vec2();
+let isPanning = false; // Dragging empty space to move the camera
+let lastPanPos = new Vec2(); // Screen position of the previous pan event
+const activePointers = new Map(); // Pointer ID -> screen position of every pointer pressed on the canvas
+let primaryPointerId = null; // The pointer that aims, pans or drags in the editor (a second finger can't take over)
+let pinch = null; // { distance, center } of two fingers pinching to zoom and panning together
+const heldKeys = new Set(); // Arrow keys (and Shift) currently down
+let keyAim = null; // { angle, pull } while aiming with the keyboard or a gamepad (see Slingshot.aimByAngle)
+let gamepadPressed = []; // Gamepad buttons down at the last poll, so a press is only acted on once
+const KEY_PAN_SPEED = 600; // Screen px/s when panning with the arrow keys
+const WHEEL_ZOOM_SPEED = 0.0015; // Zoom change per wheel delta unit
+const PINCH_ZOOM_SPEED = 0.01; // Trackpad pinches arrive as ctrl+wheel with much smaller deltas
+const MIN_LAUNCH_PULL = 20; // A shorter pull (px) is the bird dragged back onto the slingshot: letting go cancels the shot
+const AIM_TURN_SPEED = 1.2;  // Radians/s the keyboard/gamepad aim turns (arrow held or stick fully over)
+const AIM_PULL_SPEED = 1;    // Full pulls per second
+const FINE_AIM_FACTOR = 0.2; // Shift (or a gamepad shoulder button) slows both down to this
+const KEY_AIM_START = { angle: -Math.PI / 4, pull: 0.5 }; // Keyboard aiming starts 45 degrees up at half pull
+const GAMEPAD_DEADZONE = 0.2; // Stick deflection ignored as drift
+const GAMEPAD_BUTTONS = { fire: 0, cancel: 1, fine: [4, 5], pause: 9 }; // Standard mapping: A, B, shoulder buttons, Start
+
+// Aiming guide
+const GUIDE_STEPS = 150; // Physics steps the aiming guide looks ahead (2.5 seconds of flight)
+const GUIDE_DOT_SPACING = 3; // Steps between the guide's dots
 
 // --- Asset Loading ---
 
 /**
  * Loads all game assets (images, sounds).
+ * @param {object} [paths] - Asset name -> URL (defaults to the game's own assets).
  * @returns {Promise<object>} A promise that resolves with the loaded assets.
  */
-export function loadAssets() {
-    const promises = Object.entries(ASSET_PATHS).map(([name, src]) => {
+export function loadAssets(paths = ASSET_PATHS) {
+    const promises = Object.entries(paths).map(([name, src]) => {
         return new Promise((resolve, reject) => {
             if (src.endsWith('.webp') || src.endsWith('.png') || src.endsWith('.jpg')) {
                 const img = new Image();
@@ -104,35 +211,78 @@ async function initGame() {
         console.error('Failed to get 2D rendering context.');
         return;
     }
+    camera = new Camera(canvas.width, canvas.height);
+    particles = new ParticleSystem();
+    popups = new ScorePopups();
+    shotTrail = new ShotTrail();
 
     // Load Progress
-    gameProgress = loadProgress();
-    currentLevelIndex = Math.max(0, gameProgress.highestLevelUnlocked - 1); // Start at highest unlocked or level 1
-    currentLevelIndex = Math.min(currentLevelIndex, LEVELS.length - 1); // Clamp to available levels
+    save = SaveGame.load();
 
     // Init UI (pass callbacks)
     initUI({
         restartLevel: restartCurrentLevel,
         nextLevel: loadNextLevel,
-        toggleMute: toggleMute
+        toggleMute: toggleMute,
+        watchReplay: () => { if (lastReplay) watchReplay(lastReplay); },
+        loadReplay: importReplay,
+        toggleReplayPause: toggleReplayPause,
+        setReplaySpeed: speed => { if (replayPlayer) replayPlayer.setSpeed(speed); },
+        seekReplay: seekReplay,
+        downloadReplay: downloadReplay,
+        exitReplay: exitReplay,
+        openEditor: openEditor,
+        editorSetTool: tool => { editor.setTool(tool); refreshEditorToolbar(); },
+        editorSetGrid: enabled => { editor.snapToGrid = enabled; },
+        editorToggleStatic: () => { editor.toggleStatic(); refreshEditorToolbar(); },
+        editorSetShape: shape => { editor.setBlockShape(shape); refreshEditorToolbar(); },
+        editorSetBirds: types => editor.setBirds(types),
+        editorSetWorldWidth: setEditorWorldWidth,
+        editorNew: () => { editor.load(createEmptyLevel()); setEditorWorldWidth(editor.worldWidth); },
+        editorImport: importEditorLevel,
+        editorExport: () => downloadTextFile('level.json', editor.exportJSON()),
+        editorTest: testPlayEditorLevel,
+        editorExit: closeEditor,
+        loadPackUrl: async url => { playPack(await loadPackFromUrl(url)); return true; },
+        loadPackFile: openPackFile,
+        playCampaign: () => { playPack(CAMPAIGN_PACK); return true; },
+        openLevelSelect: openLevelSelect,
+        selectLevel: selectLevel,
+        watchBestReplay: watchBestReplay,
+        exportSave: () => downloadTextFile('angry-birds-save.json', save.exportText()),
+        importSave: importSave,
+        pauseGame: pauseGame,
+        resumeGame: resumeGame,
+        setVolume: (bus, volume) => audio.setBusVolume(bus, volume),
     });
 
-    // Load Assets
+    // Load Assets (sounds load in the background; missing ones fall back to synthesized audio)
+    audio.load(SOUND_PATHS);
     try {
-        loadedAssets = await loadAssets();
-        gameState = 'ready';
+        baseAssets = await loadAssets();
+        loadedAssets = baseAssets;
+        gameState.transition('ready');
     } catch (error) {
         console.error("Failed to load assets. Game cannot start.", error);
         // Display error message to user?
-        gameState = 'error';
+        gameState.transition('error');
         return;
     }
 
     // Setup Input Listeners
     setupInputListeners();
 
-    // Load initial level
-    loadLevel(currentLevelIndex);
+    // Load the campaign, or the level pack linked in the page URL (?pack=<url>), at its highest unlocked level
+    let pack = CAMPAIGN_PACK;
+    const packUrl = new URLSearchParams(window.location.search).get('pack');
+    if (packUrl) {
+        try {
+            pack = await loadPackFromUrl(packUrl);
+        } catch (error) {
+            console.error(`Could not load level pack from ${packUrl}:`, error.message);
+        }
+    }
+    playPack(pack);
 
     // Start the game loop
     lastTime = performance.now();
@@ -149,79 +299,79 @@ async function initGame() {
 
 /**
  * Loads a specific level configuration.
- * @param {number} levelIndex - The index of the level in the LEVELS array.
+ * @param {number} levelIndex - The index of the level in the current pack (CAMPAIGN_PACK is LEVELS).
+ * @param {ReplayPlayer} [player] - Play this replay back instead of taking player input.
  */
-function loadLevel(levelIndex) {
-    if (levelIndex < 0 || levelIndex >= LEVELS.length) {
+function loadLevel(levelIndex, player = null) {
+    if (!testLevelData && (levelIndex < 0 || levelIndex >= currentPack.levels.length)) {
         console.error(`Invalid level index: ${levelIndex}`);
         // Maybe show a "Game Complete" screen?
-        gameState = 'gameOver'; // Or a new 'gameComplete' state
+        gameState.transition('gameOver'); // Or a new 'gameComplete' state
         return;
     }
 
     console.log(`Loading Level ${levelIndex + 1}`);
+    const levelData = testLevelData ?? currentPack.levels[levelIndex];
+
+    // Check the level data (replays reload levels that were already checked when played)
+    if (!player) {
+        const issues = validateLevel(levelData);
+        logLevelIssues(testLevelData ? 'Test level' : `Level ${levelIndex + 1}`, issues);
+        if (hasErrors(issues)) {
+            console.error("Level has errors and can't be loaded.");
+            if (testLevelData) openEditor(); // Back to fix it
+            return;
+        }
+    }
     currentLevelIndex = levelIndex;
-    const levelData = LEVELS[levelIndex];
+    if (levelData !== shotTrail.level) shotTrail.clear(); // A restart keeps the last shot's path to aim against
 
     // Reset game state for the new level
-    physicsWorld = new PhysicsWorld();
-    birds = [];
-    enemies = [];
-    blocks = [];
+    physicsWorld = new PhysicsWorld({ onImpact: handleImpact });
+    interpolation.clear();
+    resetSlowMotion();
+    particles.clear();
+    popups.clear();
     currentBird = null;
-    score = 0;
+    projectiles = [];
+    scoreKeeper = new ScoreKeeper(onScore);
+    frame = 0;
+    nextBirdFrames = 0;
     isDragging = false;
-    gameState = 'ready';
-
-    // Create Slingshot
-    slingshot = new Slingshot(levelData.slingshotPos.x, levelData.slingshotPos.y);
-
-    // Populate birds queue
-    levelData.birds.forEach(birdType => {
-        // For now, only 'red' bird
-        if (birdType === 'red') {
-            birds.push(new Bird(0, 0)); // Position set when attached to slingshot
-        }
-        // TODO: Add other bird types here
-    });
-
-    // Create Enemies
-    levelData.enemies.forEach(enemyData => {
-        const enemy = new Enemy(enemyData.x, enemyData.y);
-        enemies.push(enemy);
-        physicsWorld.addEntity(enemy);
+    keyAim = null;
+    gameState.transition('ready');
+
+    // Entity IDs decide the order bodies are solved in, so a replay needs the attempt's seed
+    const seed = player ? player.replay.seed : Math.floor(Math.random() * 0x7fffffff);
+    seedEntityIds(seed);
+    replayPlayer = player;
+    recorder = player || testLevelData ? null : new ReplayRecorder(levelIndex, seed, {
+        packId: currentPack === CAMPAIGN_PACK ? null : currentPack.id, // Campaign replays leave the pack out, as before packs existed
+        levelId: levelIdOf(levelData, levelIndex),
     });
+    setHudMode(player ? 'replay' : 'play');
 
-    // Create Blocks
-    levelData.blocks.forEach(blockData => {
-        const block = new Block(blockData.x, blockData.y, blockData.width, blockData.height, blockData.type, blockData.isStatic);
-        blocks.push(block);
-        physicsWorld.addEntity(block);
-    });
+    // Create the slingshot, bird queue, enemies, blocks and joints
+    ({ slingshot, birds, enemies, blocks } = buildLevel(levelData, physicsWorld));
 
-    // --- Force initial sleep state for stability ---
-    physicsWorld.entities.forEach(entity => {
-        // Revert: Put all non-static, sleepable entities to sleep initially.
-        if (!entity.isStatic && entity.canSleep) { 
-            entity.isSleeping = true;
-            entity.velocity = Vec2.zero();
-        }
-    });
-    // -----------------------------------------------
+    // Camera: levels may declare a world wider than the canvas
+    worldWidth = levelData.worldWidth ?? canvas.width;
+    camera.setWorldSize(worldWidth, canvas.height);
+    camera.moveTo(slingshot.getLaunchOrigin(), true);
 
     // Update UI
-    updateScore(score);
+    updateScore(0);
     updateBirdsLeft(birds.length, birds.length);
     updateStars(0); // Reset stars for the level
-    updateLevelDisplay(currentLevelIndex + 1);
+    updateLevelDisplay(testLevelData ? 'Test' : currentLevelLabel());
     // Enable if the next level exists AND is unlocked
-    const nextLevelIndex = currentLevelIndex + 1;
-    setNextLevelButtonEnabled(nextLevelIndex < LEVELS.length && nextLevelIndex < gameProgress.highestLevelUnlocked);
+    setNextLevelButtonEnabled(!testLevelData && isLevelUnlocked(currentLevelIndex + 1));
 
     // Prepare the first bird
     prepareNextBird();
 
     resetLevelCompleteTimer(); // Reset timer when loading a new level
+    timers.clear();
 }
 
 function restartCurrentLevel() {
@@ -231,28 +381,64 @@ function restartCurrentLevel() {
 }
 
 function loadNextLevel() {
-     if (currentLevelIndex < LEVELS.length - 1) {
+     if (isLevelUnlocked(currentLevelIndex + 1)) {
         console.log("Loading Next Level");
         loadLevel(currentLevelIndex + 1);
+    } else if (currentLevelIndex < currentPack.levels.length - 1) {
+        console.log("Next level is locked");
+        openLevelSelect(); // Shows what it takes to unlock it
     } else {
         console.log("No more levels!");
         // TODO: Show Game Complete screen
     }
 }
 
+/**
+ * True if the current pack has a level at `levelIndex` and the player has unlocked it
+ * (reached it, and collected enough stars for its world).
+ */
+function isLevelUnlocked(levelIndex) {
+    const { worlds } = describeWorlds(currentPack.levels, currentPack.worlds, save.packProgress(currentPack));
+    return worlds.some(world => world.levels.some(level => level.index === levelIndex && level.unlocked));
+}
+
+/** Shows the level select screen for the current pack */
+function openLevelSelect() {
+    showLevelSelect(currentPack.name, describeWorlds(currentPack.levels, currentPack.worlds, save.packProgress(currentPack)), currentLevelIndex);
+}
+
+/** Plays a level picked on the level select screen */
+function selectLevel(levelIndex) {
+    if (!isLevelUnlocked(levelIndex)) return;
+    testLevelData = null;
+    loadLevel(levelIndex);
+}
+
+/** The level being played: the editor's test level, or the current one from the pack */
+function currentLevelData() {
+    return testLevelData ?? currentPack.levels[currentLevelIndex];
+}
+
+/** Level number for the HUD; levels from a pack are labelled with the pack's name */
+function currentLevelLabel() {
+    const number = currentLevelIndex + 1;
+    return currentPack === CAMPAIGN_PACK ? number : `${number} (${currentPack.name})`;
+}
+
 /** Attaches the next available bird to the slingshot */
 function prepareNextBird() {
     if (birds.length > 0) {
         currentBird = birds.shift(); // Get the next bird from the queue
         slingshot.attachBird(currentBird);
         physicsWorld.addEntity(currentBird); // Add to physics ONLY when it's active
-        gameState = 'ready'; // Ready to aim
-        updateBirdsLeft(birds.length + (currentBird ? 1 : 0), LEVELS[currentLevelIndex].birds.length);
+        camera.moveTo(slingshot.getLaunchOrigin()); // Glide back for the next shot
+        gameState.transition('ready'); // Ready to aim
+        updateBirdsLeft(birds.length + (currentBird ? 1 : 0), currentLevelData().birds.length);
     } else {
         currentBird = null;
         // Check if level should end (no birds left, but enemies might still be falling)
         // The check for level end condition is handled in the game loop update.
-         updateBirdsLeft(0, LEVELS[currentLevelIndex].birds.length);
+         updateBirdsLeft(0, currentLevelData().birds.length);
          console.log("No birds left in queue");
     }
 }
@@ -266,18 +452,30 @@ function prepareNextBird() {
 function gameLoop(currentTime) {
     const deltaTime = (currentTime - lastTime) / 1000; // Delta time in seconds
     lastTime = currentTime;
-    accumulator += deltaTime;
-
-    // Fixed timestep update for physics
-    while (accumulator >= TIME_STEP) {
+    pollGamepad(deltaTime); // Every frame, even paused (Start resumes)
+    // Replays can be paused or played faster/slower, and slow motion scales time too; the steps
+    // themselves stay fixed (so replays and the time scale never change the outcome). Nothing runs while paused.
+    let speed = replayPlayer ? (replayPlayer.paused ? 0 : replayPlayer.speed) : 1;
+    if (gameState.is('paused')) speed = 0;
+    if (speed > 0) updateSlowMotion(deltaTime);
+    accumulator += deltaTime * speed * timeScale;
+
+    // Fixed timestep update for physics, catching up at most MAX_STEPS_PER_FRAME steps
+    let steps = 0;
+    while (accumulator >= TIME_STEP && steps < MAX_STEPS_PER_FRAME) {
         update(TIME_STEP);
         accumulator -= TIME_STEP;
+        steps++;
+    }
+    if (accumulator >= TIME_STEP) accumulator %= TIME_STEP; // Drop what couldn't be caught up
+    if (replayPlayer) {
+        updateReplayControls(frame, replayPlayer.length, replayPlayer.paused, replayPlayer.speed);
     }
 
-    render();
+    render(accumulator / TIME_STEP); // Leftover time: how far into the next step to draw
 
     // Continue the loop
-    if (gameState !== 'error') {
+    if (!gameState.is('error')) {
         requestAnimationFrame(gameLoop);
     }
 }
@@ -289,81 +487,138 @@ function gameLoop(currentTime) {
  * @param {number} dt - The fixed delta time (TIME_STEP).
  */
 function update(dt) {
-    if (gameState === 'playing' || gameState === 'aiming') {
+    // Where everything is before the step, so frames drawn before the next one can interpolate
+    interpolation.capture(physicsWorld.entities);
+    camera.capture();
+
+    if (replayPlayer) applyReplayInputs();
+    timers.update(dt);
+
+    if (gameState.is('playing', 'aiming')) {
         physicsWorld.update(dt);
+        frame++;
+        shotTrail.update(currentBird);
 
         // Update entity logic (like bird lifespan)
         if (currentBird) currentBird.update(dt);
+        projectiles.forEach(p => p.update(dt));
         enemies.forEach(e => e.update(dt));
         blocks.forEach(b => b.update(dt));
 
         // Handle entity removal and score updates
         cleanupEntities();
 
-        // Check win/loss conditions
-        checkLevelEndConditions();
+        // Load the next bird once the last one has been gone for a moment (lets physics settle)
+        if (nextBirdFrames > 0 && --nextBirdFrames === 0) prepareNextBird();
+
+        // Check win/loss conditions; a replay just stops where the recording does
+        if (!replayPlayer) {
+            checkLevelEndConditions();
+        } else if (replayPlayer.isFinished(frame)) {
+            replayPlayer.paused = true;
+        }
+    }
+    // If aiming, hold the bird where it's pulled to, or gravity drags it out of the pouch between steps:
+    // at the pointer, at the keyboard/gamepad aim (even with no key held), or, in a replay, in the
+    // pouch until the launch
+    if (gameState.is('aiming') && currentBird && slingshot) {
+        if (isDragging) slingshot.updateAim(pointerPos);
+        else if (keyAim) slingshot.aimByAngle(keyAim.angle, keyAim.pull);
+        else if (replayPlayer) currentBird.position = slingshot.getLaunchOrigin();
     }
-     // If aiming, update bird position based on pointer
-     if (gameState === 'aiming' && isDragging && currentBird && slingshot) {
-        slingshot.updateAim(pointerPos);
+
+    // Arrow keys aim while aiming with the keyboard (up/down turn, left/right pull), otherwise they pan the view
+    const keyX = (heldKeys.has('ArrowRight') ? 1 : 0) - (heldKeys.has('ArrowLeft') ? 1 : 0);
+    const keyY = (heldKeys.has('ArrowDown') ? 1 : 0) - (heldKeys.has('ArrowUp') ? 1 : 0);
+    if (keyAim) {
+        if (keyX || keyY) adjustKeyAim(-keyY, -keyX, heldKeys.has('Shift'), dt);
+    } else if (keyX || keyY) {
+        camera.panBy(keyX * KEY_PAN_SPEED * dt, keyY * KEY_PAN_SPEED * dt);
     }
+    camera.update(dt);
+    particles.update(dt);
+    popups.update(dt);
 }
 
-/** Removes entities marked for removal and updates score */
-function cleanupEntities() {
-    let scoreToAdd = 0;
-    const outOfBoundsY = canvas.height + 100; // Define a lower boundary
-
-    const checkAndRemove = (entityArray) => {
-        for (let i = entityArray.length - 1; i >= 0; i--) {
-            const entity = entityArray[i];
-
-            // Remove if marked or if fallen out of bounds
-            if (entity.markedForRemoval || entity.position.y > outOfBoundsY) {
-                // Add a console log for debugging out-of-bounds removal
-                if (entity.position.y > outOfBoundsY) {
-                    console.log(`Removing ${entity.constructor.name} at ${entity.position.y} (out of bounds)`);
-                }
+/** Physics impact callback: chips fly off both bodies on hard hits */
+function handleImpact(a, b, impulseMagnitude, point) {
+    particles.emitImpact(a, point, impulseMagnitude);
+    particles.emitImpact(b, point, impulseMagnitude);
+    playSound('impact', { volume: volumeForImpulse(impulseMagnitude) });
+    if (impulseMagnitude >= SLOW_MOTION_IMPULSE) slowMotion();
+}
 
-                physicsWorld.removeEntity(entity);
-                if (entity.scoreValue && entity.markedForRemoval) { // Only score if marked (not just out of bounds)
-                    scoreToAdd += entity.scoreValue;
-                    // TODO: Play destruction sound
-                }
-                entityArray.splice(i, 1);
-                // Special handling for the current bird being removed
-                if (entity === currentBird) {
-                    currentBird = null;
-                    // Delay slightly before preparing next bird to let physics settle
-                    setTimeout(prepareNextBird, 500);
-                }
-            }
-        }
+/**
+ * Slows the game down for a moment (longer or slower calls win over one in progress).
+ * Only how fast steps are taken changes, never their size, so a replay plays out the same.
+ * @param {number} [scale] Game seconds per real second
+ * @param {number} [duration] Real seconds
+ */
+function slowMotion(scale = SLOW_MOTION_SCALE, duration = SLOW_MOTION_DURATION) {
+    if (isSeeking) return; // Fast-forwarding isn't watched
+    timeScale = Math.min(timeScale, scale);
+    slowMotionTime = Math.max(slowMotionTime, duration);
+}
+
+/** Counts slow motion down in real time and goes back to normal speed when it's over */
+function updateSlowMotion(realDt) {
+    if (slowMotionTime <= 0) return;
+    slowMotionTime -= realDt;
+    if (slowMotionTime <= 0) resetSlowMotion();
+}
+
+/** Back to normal speed (e.g. when a level is loaded) */
+function resetSlowMotion() {
+    timeScale = 1;
+    slowMotionTime = 0;
+}
+
+
+/** Scores the step's damage, removes entities marked for removal and scores the destroyed ones */
+function cleanupEntities() {
+    scoreKeeper.collectDamage(enemies);
+    scoreKeeper.collectDamage(blocks);
+
+    // Debris and break sounds for whatever was destroyed (not for things that just fell out)
+    const onRemoved = entity => {
+        if (!entity.markedForRemoval) return;
+        particles.emitDebris(entity);
+        if (BREAK_SOUNDS[entity.debris]) playSound(BREAK_SOUNDS[entity.debris]);
+        if (entity.debris === 'explosion') slowMotion();
     };
 
-    checkAndRemove(enemies);
-    checkAndRemove(blocks); // Check blocks too, although dynamic ones shouldn't fall off usually
-    if (currentBird && (currentBird.markedForRemoval || currentBird.position.y > outOfBoundsY)) {
+    scoreKeeper.addDestroyed(removeDeadEntities(enemies, physicsWorld, worldWidth, onRemoved));
+    scoreKeeper.addDestroyed(removeDeadEntities(blocks, physicsWorld, worldWidth, onRemoved)); // Check blocks too, although dynamic ones shouldn't fall off usually
+    scoreKeeper.addDestroyed(removeDeadEntities(projectiles, physicsWorld, worldWidth, onRemoved));
+    if (currentBird && (currentBird.markedForRemoval || isOutOfWorld(currentBird, worldWidth))) {
         // Add a console log for debugging out-of-bounds removal
-        if (currentBird.position.y > outOfBoundsY) {
-            console.log(`Removing currentBird at ${currentBird.position.y} (out of bounds)`);
+        if (isOutOfWorld(currentBird, worldWidth)) {
+            console.log(`Removing currentBird at (${currentBird.position.x}, ${currentBird.position.y}) (out of bounds)`);
         }
         physicsWorld.removeEntity(currentBird);
+        if (currentBird.markedForRemoval) particles.emitDebris(currentBird);
         currentBird = null;
-        setTimeout(prepareNextBird, 500);
+        nextBirdFrames = NEXT_BIRD_DELAY_FRAMES; // Counted in steps (not wall time) so replays line up
     }
+}
 
-    if (scoreToAdd > 0) {
-        score += scoreToAdd;
-        updateScore(score);
-        // TODO: Add score animation/popup
-    }
+/**
+ * ScoreKeeper callback: updates the HUD and floats the points up from where they were earned.
+ * @param {number} points
+ * @param {Vec2|null} position Null for bonuses, which rise from the slingshot
+ * @param {string} kind 'damage', 'destroy' or 'bonus'
+ * @param {number} combo
+ */
+function onScore(points, position, kind, combo) {
+    updateScore(scoreKeeper.total);
+    if (isSeeking) return; // Popups from the skipped part would all be on screen at once
+    popups.spawn(points, position ?? slingshot.getLaunchOrigin(), kind, combo);
 }
 
 /** Resets the level complete timer */
 function resetLevelCompleteTimer() {
     if (levelCompleteTimer !== null) {
-        clearTimeout(levelCompleteTimer);
+        timers.cancel(levelCompleteTimer);
         levelCompleteTimer = null;
     }
 }
@@ -371,37 +626,27 @@ function resetLevelCompleteTimer() {
 /** Checks if the level is won or lost */
 function checkLevelEndConditions() {
     // --- Win Condition Check ---
-    if (enemies.length === 0 && (gameState === 'playing' || gameState === 'ready')) {
+    if (enemies.length === 0 && (gameState.is('playing', 'ready'))) {
         // Check if physics has settled OR player has no more moves
         const physicsSettled = physicsWorld.entities.every(e => e.isStatic || e.isSleeping || e.markedForRemoval);
         const noMoreActionsPossible = !currentBird && birds.length === 0;
 
-        // Add specific logging for Level 8 (index 7)
-        if (currentLevelIndex === 7) {
-            console.log(`L8 Check: Enemies=${enemies.length}, Settled=${physicsSettled}, NoMoreActions=${noMoreActionsPossible}, Timer=${levelCompleteTimer}, State=${gameState}`);
-        }
-
         // Condition 1: Immediate win if everything is settled OR no birds left
         if (physicsSettled || noMoreActionsPossible) {
-            if (gameState !== 'levelComplete') { // Prevent multiple triggers
-                console.log("Level Complete! Condition met (Settled or No Birds Left).");
-                triggerLevelComplete();
-            }
+            console.log("Level Complete! Condition met (Settled or No Birds Left).");
+            gameState.transition('levelComplete');
         } 
         // Condition 2: Start a timer if enemies are gone but things might still be settling
         else if (levelCompleteTimer === null) { 
             console.log("Enemies gone, starting level complete timer...");
-            levelCompleteTimer = setTimeout(() => {
-                // Add specific logging for Level 8 timer fire
-                if (currentLevelIndex === 7) {
-                     console.log(`L8 Timer Fired: Enemies=${enemies.length}, gameState=${gameState}`);
-                }
+            levelCompleteTimer = timers.after(LEVEL_COMPLETE_DELAY, () => {
+                levelCompleteTimer = null;
                 // Re-check enemy count after delay, in case something weird happened
-                if (enemies.length === 0 && gameState !== 'levelComplete') { 
+                if (enemies.length === 0) {
                     console.log("Level Complete! Timer expired.");
-                    triggerLevelComplete();
+                    gameState.transition('levelComplete');
                 }
-            }, LEVEL_COMPLETE_DELAY);
+            });
         }
     } else {
         // If enemies reappear (shouldn't happen, but safety), cancel the timer
@@ -409,63 +654,360 @@ function checkLevelEndConditions() {
     }
 
     // --- Lose Condition Check ---
-    if (birds.length === 0 && !currentBird && enemies.length > 0 && gameState === 'playing') {
+    if (birds.length === 0 && !currentBird && enemies.length > 0 && gameState.is('playing')) {
          // Ensure all physics activity has settled down before declaring game over
         const allSleeping = physicsWorld.entities.every(e => e.isStatic || e.isSleeping || e.markedForRemoval);
 
-         if (allSleeping) {
-            resetLevelCompleteTimer(); // Ensure win timer is cleared if we lose
-            if (gameState !== 'gameOver') { // Prevent multiple triggers
-                gameState = 'gameOver';
-                console.log("Game Over!");
-                showGameOverDialog();
-            }
-        }
+         if (allSleeping) gameState.transition('gameOver');
     }
 }
 
-/** Contains the logic to execute when a level is won */
-function triggerLevelComplete() {
+/** Entering 'gameOver': the last bird is spent and enemies are left */
+function onGameOver() {
+    resetLevelCompleteTimer(); // Ensure win timer is cleared if we lose
+    lastReplay = recorder ? recorder.toReplay(frame) : null;
+    console.log("Game Over!");
+    showGameOverDialog();
+}
+
+/** Entering 'levelComplete': scores the level, saves the result and shows the dialog */
+function onLevelComplete() {
     resetLevelCompleteTimer(); // Clear timer just in case
-    gameState = 'levelComplete';
+    lastReplay = recorder ? recorder.toReplay(frame) : null;
 
     // Add bonus for remaining birds (will be 0 if noMoreActionsPossible triggered it)
-    score += birds.length * 10000;
-    // if (currentBird) score += 10000; // This check becomes redundant if noMoreActionsPossible triggers the win
+    scoreKeeper.addBonus('Unused birds', birds.length * UNUSED_BIRD_BONUS);
+    const score = scoreKeeper.total;
+    const breakdown = scoreKeeper.describe();
+
+    if (testLevelData) {
+        // Test plays from the editor don't count towards progress
+        showLevelCompleteDialog(score, testLevelData.starThresholds, true, breakdown);
+        return;
+    }
+    // Save the result if it's a new best (beating the level also unlocks the next one)
+    if (save.recordWin(currentPack, currentLevelIndex, score, lastReplay)) console.log(`New best score: ${score}`);
+
+    const nextUnlocked = isLevelUnlocked(currentLevelIndex + 1);
+    setNextLevelButtonEnabled(nextUnlocked);
+    showLevelCompleteDialog(score, currentPack.levels[currentLevelIndex].starThresholds, !nextUnlocked, breakdown);
 
-    updateScore(score);
-    // Update high score if needed
-    const currentHighScore = gameProgress.highScores[currentLevelIndex] || 0;
-    if (score > currentHighScore) {
-        gameProgress.highScores[currentLevelIndex] = score;
+}
+
+// --- Pause ---
+
+/**
+ * Pauses the game and opens the pause menu. A bird being aimed goes back to the pouch.
+ * Replays have their own pause (the replay bar), so this pauses those instead.
+ */
+function pauseGame() {
+    if (replayPlayer) {
+        replayPlayer.paused = true;
+        return;
+    }
+    if (!gameState.is('ready', 'aiming', 'playing')) return;
+    if (gameState.is('aiming')) cancelAim();
+    gameState.transition('paused');
+}
+
+/** Closes the pause menu and carries on where the game left off */
+function resumeGame() {
+    if (gameState.is('paused')) gameState.transition(resumeState);
+}
+
+function togglePause() {
+    if (gameState.is('paused')) resumeGame();
+    else pauseGame();
+}
+
+/** Switching tabs or minimizing pauses the game, so nothing happens unseen */
+function handleVisibilityChange() {
+    if (document.hidden) pauseGame();
+}
+
+// --- Replays ---
+
+/**
+ * Feeds the replay's inputs for the current frame into the game, the way the player gave them.
+ * Called at the start of each fixed step, before the physics moves.
+ */
+function applyReplayInputs() {
+    // The player held the bird from the moment it was ready until the launch, and the world kept stepping meanwhile
+    if (gameState.is('ready') && currentBird && replayPlayer.hasLaunchFrom(frame)) gameState.transition('aiming');
+
+    const launch = replayPlayer.launchAt(frame);
+    if (launch && gameState.is('aiming') && currentBird) {
+        if (launch.birdIndex !== currentBirdIndex()) {
+            console.warn(`Replay launches bird ${launch.birdIndex} at frame ${frame}, but bird ${currentBirdIndex()} is in the slingshot.`);
+        }
+        if (launchWithVector(slingshot, launch.vector)) onBirdLaunched(new Vec2(launch.vector.x, launch.vector.y));
+    }
+    if (replayPlayer.abilityAt(frame) && gameState.is('playing') && currentBird && currentBird.canActivateAbility()) {
+        activateBirdAbility();
+    }
+}
+
+/**
+ * Plays a recorded attempt from the start.
+ * @param {object} replay Parsed replay (see replay.js)
+ */
+function watchReplay(replay) {
+    const packId = replay.pack ?? CAMPAIGN_PACK.id;
+    if (packId !== currentPack.id) {
+        console.error(`Replay is for level pack '${packId}', but '${currentPack.id}' is loaded. Load that pack first.`);
+        return;
+    }
+    // Find the level by its ID if the replay has one (the pack's order may have changed since)
+    const levelIndex = replay.levelId === undefined
+        ? replay.level
+        : currentPack.levels.findIndex((levelData, index) => levelIdOf(levelData, index) === replay.levelId);
+    if (levelIndex < 0 || levelIndex >= currentPack.levels.length) {
+        console.error(`Replay is for level ${replay.levelId ?? replay.level + 1}, which doesn't exist.`);
+        return;
+    }
+    console.log(`Watching replay of Level ${levelIndex + 1} (${replay.length} frames)`);
+    testLevelData = null;
+    loadLevel(levelIndex, new ReplayPlayer(replay));
+}
+
+/** Stops the replay and goes back to playing its level */
+function exitReplay() {
+    if (!replayPlayer) return;
+    loadLevel(currentLevelIndex);
+}
+
+/** Plays the saved replay of a level's best score */
+function watchBestReplay(levelIndex) {
+    const record = save.levelRecord(currentPack, levelIndex);
+    if (record?.replay) watchReplay(record.replay);
+}
+
+function toggleReplayPause() {
+    if (!replayPlayer) return;
+    // Pressing play at the end starts over
+    if (replayPlayer.paused && replayPlayer.isFinished(frame)) seekReplay(0);
+    replayPlayer.paused = !replayPlayer.paused;
+}
+
+/**
+ * Jumps to a frame of the replay. The simulation can't run backwards, so this reloads the
+ * level and fast-forwards through the same update() steps (silently) up to the target.
+ * @param {number} targetFrame
+ */
+function seekReplay(targetFrame) {
+    if (!replayPlayer) return;
+    const player = replayPlayer;
+    loadLevel(currentLevelIndex, player);
+    isSeeking = true;
+    while (frame < Math.min(targetFrame, player.length)) {
+        const previousFrame = frame;
+        update(TIME_STEP);
+        if (frame === previousFrame) break; // Nothing left to step (the recording ended early)
+    }
+    isSeeking = false;
+    particles.clear(); // Debris from the skipped part would all be on screen at once
+    accumulator = 0;
+}
+
+/** Saves the replay being watched (or the last finished attempt) as a JSON file */
+function downloadReplay() {
+    const replay = replayPlayer ? replayPlayer.replay : lastReplay;
+    if (!replay) return;
+    downloadTextFile(`level-${replay.level + 1}-replay.json`, serializeReplay(replay));
+}
+
+/** Asks for a replay file and plays it */
+async function importReplay() {
+    const text = await pickTextFile('.json,application/json');
+    if (text === null) return; // Cancelled
+    try {
+        watchReplay(parseReplay(text));
+    } catch (error) {
+        console.error("Could not load replay:", error.message);
+    }
+}
+
+// --- Save Data ---
+
+/**
+ * Asks for an exported save file and replaces the current save with it.
+ * @returns {Promise<boolean>} False if no file was picked
+ * @throws {Error} If the file isn't a save that can be loaded (the current save is kept)
+ */
+async function importSave() {
+    const text = await pickTextFile('.json,application/json');
+    if (text === null) return false; // Cancelled
+    save.importText(text);
+    console.log("Save imported");
+    setNextLevelButtonEnabled(!testLevelData && isLevelUnlocked(currentLevelIndex + 1));
+    openLevelSelect(); // Redraws it with the imported progress
+    return true;
+}
+
+// --- Level Packs ---
+
+/**
+ * Switches to a level pack: loads its progress and assets, starts its highest unlocked level
+ * and opens the level select.
+ * @param {object} pack CAMPAIGN_PACK or a pack from packs.js
+ */
+function playPack(pack) {
+    currentPack = pack;
+    testLevelData = null;
+    lastReplay = null; // Its level may not be in this pack
+    applyPackAssets(pack);
+    updatePackDisplay(pack.name, pack.version, pack === CAMPAIGN_PACK);
+    console.log(`Playing level pack '${pack.name}' v${pack.version} (${pack.levels.length} levels)`);
+
+    // Start at the highest unlocked level
+    const unlocked = describeWorlds(pack.levels, pack.worlds, save.packProgress(pack)).worlds
+        .flatMap(world => world.levels)
+        .filter(level => level.unlocked);
+    loadLevel(unlocked.length > 0 ? unlocked[unlocked.length - 1].index : 0);
+    openLevelSelect();
+}
+
+/**
+ * Swaps the previous pack's images and sounds for the ones `pack` provides (by ASSET_PATHS and
+ * SOUND_PATHS name). Images that fail to load leave the game's own in place.
+ * @param {object} pack
+ */
+async function applyPackAssets(pack) {
+    const images = {};
+    const sounds = {};
+    for (const [name, url] of Object.entries(pack.assets)) {
+        if (name in SOUND_PATHS) sounds[name] = url;
+        else if (name in ASSET_PATHS) images[name] = url;
+        else console.warn(`Level pack asset '${name}' doesn't replace any game asset; ignored.`);
     }
-    // Unlock next level
-    const nextLevel = currentLevelIndex + 1;
-    if (nextLevel < LEVELS.length && nextLevel + 1 > gameProgress.highestLevelUnlocked) {
-         gameProgress.highestLevelUnlocked = nextLevel + 1;
+
+    // Sounds the last pack replaced go back to the game's own files (or synthesized fallbacks)
+    const restored = Object.keys(packSounds).filter(name => !(name in sounds));
+    audio.forget(restored);
+    audio.load(Object.fromEntries(restored.map(name => [name, SOUND_PATHS[name]])));
+    audio.load(sounds);
+    packSounds = sounds;
+
+    loadedAssets = baseAssets;
+    try {
+        const packImages = await loadAssets(images);
+        if (currentPack === pack) loadedAssets = { ...baseAssets, ...packImages };
+    } catch (error) {
+        console.warn(`Level pack '${pack.name}' images failed to load; using the game's own.`, error);
     }
-    saveProgress(gameProgress.highestLevelUnlocked, gameProgress.highScores);
+}
 
-    setNextLevelButtonEnabled(currentLevelIndex < LEVELS.length - 1);
-    showLevelCompleteDialog(score, LEVELS[currentLevelIndex].starThresholds, currentLevelIndex === LEVELS.length - 1);
+/** Asks for a level pack file and plays it. Resolves to false if nothing was picked. */
+async function openPackFile() {
+    const text = await pickTextFile('.json,application/json');
+    if (text === null) return false; // Cancelled
+    playPack(parsePack(text));
+    return true;
+}
+
+// --- Level Editor ---
+
+/**
+ * Switches to the level editor. It starts from the level being played, or picks up where it
+ * left off when coming back from a test play.
+ */
+function openEditor() {
+    if (!editor) editor = new LevelEditor(currentLevelData());
+    else if (!testLevelData) editor.load(currentLevelData());
+
+    resetLevelCompleteTimer();
+    replayPlayer = null;
+    recorder = null;
+    isDragging = false;
+    isPanning = false;
+    gameState.transition('editing'); // Switches the HUD to the editor's
+    setEditorWorldWidth(editor.worldWidth);
+    updateLevelDisplay('Editor');
+    console.log("Level editor opened");
+}
+
+/** Leaves the editor (the edited level is kept for next time) and goes back to the current level */
+function closeEditor() {
+    testLevelData = null;
+    loadLevel(currentLevelIndex);
+}
+
+/** Plays the level in the editor; the ✏️ button returns to the editor */
+function testPlayEditorLevel() {
+    testLevelData = editor.toLevelData();
+    loadLevel(currentLevelIndex);
+}
+
+/** Resizes the edited level's world and fits the camera to it */
+function setEditorWorldWidth(width) {
+    editor.setWorldWidth(width);
+    worldWidth = editor.worldWidth;
+    camera.setWorldSize(worldWidth, canvas.height);
+    refreshEditorToolbar();
+}
+
+/** Asks for a level JSON file and opens it in the editor */
+async function importEditorLevel() {
+    const text = await pickTextFile('.json,application/json');
+    if (text === null) return; // Cancelled
+    try {
+        editor.importJSON(text);
+        setEditorWorldWidth(editor.worldWidth);
+    } catch (error) {
+        console.error("Could not load level:", error.message);
+    }
+}
 
+function refreshEditorToolbar() {
+    const selected = editor.selection?.kind === 'block' ? editor.levelData.blocks[editor.selection.index] : null;
+    updateEditorToolbar({
+        tool: editor.tool,
+        snapToGrid: editor.snapToGrid,
+        birds: editor.levelData.birds,
+        worldWidth: editor.worldWidth,
+        selectedBlockIsStatic: selected ? Boolean(selected.isStatic) : null,
+        blockShape: selected ? (selected.shape ?? 'box') : editor.blockShape,
+    });
 }
 
 // --- Rendering ---
 
 /**
  * Renders the current game state to the canvas.
+ * @param {number} [alpha] How far between the last two physics steps to draw bodies and the view
+ *        (0 = the previous step, 1 = the latest), so motion stays smooth on screens faster than the physics.
  */
-function render() {
+function render(alpha = 1) {
     if (!ctx) return;
 
     // Clear canvas
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-    // Draw background (simple sky blue for now)
+    // Draw background (simple sky blue for now, fixed to the screen)
     ctx.fillStyle = '#70c5ce';
     ctx.fillRect(0, 0, canvas.width, canvas.height);
 
+    // Everything else is drawn in world coordinates through the camera
+    ctx.save();
+    camera.applyTransform(ctx, alpha);
+
+    if (gameState.is('editing')) {
+        editor.draw(ctx, loadedAssets);
+        ctx.restore();
+        return;
+    }
+
+    // The guide is predicted from the real state, before the bodies are moved for drawing
+    let prediction = null;
+    if (gameState.is('aiming') && currentBird && slingshot) {
+        const launchVelRaw = slingshot.getLaunchVelocity(); // Get raw, unscaled velocity
+        if (launchVelRaw.len() >= MIN_LAUNCH_PULL) { // No guide while letting go would cancel
+            // Run the physics on a stand-in for the bird, from where it's pulled to, with the velocity it will launch with
+            prediction = physicsWorld.predictPath(currentBird, currentBird.launchVelocity(launchVelRaw), GUIDE_STEPS, { state: 'flying' });
+        }
+    }
+    interpolation.apply(physicsWorld.entities, alpha);
+
     // Draw ground (use the static ground block if available)
     const ground = blocks.find(b => b.isStatic && b.position.y > canvas.height / 2); // Simple ground check
     if (ground) {
@@ -473,28 +1015,24 @@ function render() {
     } else {
         // Fallback ground drawing
         ctx.fillStyle = '#a0522d'; // Sienna
-        ctx.fillRect(0, canvas.height - 50, canvas.width, 50);
+        ctx.fillRect(0, canvas.height - 50, worldWidth, 50);
     }
 
-    // Draw entities (blocks first, then enemies, then bird)
-    blocks.forEach(block => { if (!block.isStatic) block.draw(ctx, loadedAssets); }); // Draw dynamic blocks
+    // Draw entities (blocks first, then joints, then enemies, then bird)
+    blocks.forEach(block => { if (block !== ground) block.draw(ctx, loadedAssets); }); // Draw everything but the ground
+    physicsWorld.joints.forEach(joint => joint.draw(ctx));
     enemies.forEach(enemy => enemy.draw(ctx, loadedAssets));
 
     // Draw slingshot FIRST, so trajectory is behind it
     if (slingshot) slingshot.draw(ctx);
 
-    // Draw trajectory line if aiming (Using step-by-step simulation matching physics engine)
-    if (gameState === 'aiming' && currentBird && slingshot) {
-        const launchVelRaw = slingshot.getLaunchVelocity(); // Get raw, unscaled velocity
-        if (launchVelRaw.lenSq() > 0) {
-            const trajectoryStartPos = slingshot.getLaunchOrigin(); // Use bird's actual launch point
-            // Simulate trajectory using the exact same physics steps
-            // Scale the velocity here before passing to the predictor
-            const launchVelScaled = launchVelRaw.mul(LAUNCH_POWER);
-            const trajectoryPoints = simulateTrajectory(trajectoryStartPos, launchVelScaled);
-            drawGuide(ctx, trajectoryPoints); // Use the same drawing function
-        }
-    }
+    // The last shot's path, then the guide for this one
+    shotTrail.draw(ctx);
+    if (prediction) drawGuide(ctx, prediction);
+
+    projectiles.forEach(p => p.draw(ctx, loadedAssets));
+    particles.draw(ctx);
+    popups.draw(ctx);
 
     // Draw the aiming bird LAST so it's on top of the trajectory and slingshot bands
     if (currentBird && !currentBird.markedForRemoval) currentBird.draw(ctx, loadedAssets);
@@ -508,86 +1046,37 @@ function render() {
     }
     // --- DEBUG: Draw actual path --- END
 
+    interpolation.restore();
+    ctx.restore(); // Back to screen coordinates
+
     // Draw debug info (optional)
     // drawDebugInfo(); // Temporarily disable if it obscures things
 }
 
 /**
- * Simulates the trajectory step-by-step, mirroring the core physics loop.
- * Ensures the prediction uses the exact same constants and logic (including friction).
- * @param {Vec2} startPos - Starting position {x, y}.
- * @param {Vec2} startVel - Initial velocity {x, y}.
- * @param {number} steps - Maximum number of physics steps to simulate.
- * @returns {Array<{x: number, y: number}>} Array of points along the path.
- */
-function simulateTrajectory(startPos, startVel, steps = 150) { // Steps = duration / TIME_STEP
-    const pts = [ { x: startPos.x, y: startPos.y } ]; // Start with the initial position
-    const dt = TIME_STEP; // Use the exact physics time step
-    let currentPos = startPos; // No clone needed for immutable Vec2
-    let currentVel = startVel; // No clone needed for immutable Vec2
-    const groundY = canvas.height - 50; // Approximate ground level
-
-    // Pre-calculate gravity force per step for efficiency
-    const gravityForce = new Vec2(0, GRAVITY * dt);
-
-    for (let i = 0; i < steps; i++) {
-        // --- Mirror PhysicsWorld.applyForces --- START
-        // Apply gravity
-        currentVel = currentVel.add(gravityForce);
-        // Apply linear damping (friction)
-        currentVel = currentVel.mul(FRICTION);
-        // --- Mirror PhysicsWorld.applyForces --- END
-
-        // --- Mirror PhysicsWorld.integrate --- START
-        currentPos = currentPos.add(currentVel.mul(dt));
-        // --- Mirror PhysicsWorld.integrate --- END
-
-        // Add point every few steps for visual clarity
-        if (i % 3 === 0) { // Adjust frequency as needed
-             pts.push({ x: currentPos.x, y: currentPos.y });
-        }
-
-        // Stop if it hits the ground (basic check)
-        if (currentPos.y > groundY) {
-             // Optional: Add last point at ground intersection
-             if (pts.length === 0 || pts[pts.length - 1].y < groundY) {
-                 pts.push({ x: currentPos.x, y: groundY });
-             }
-             break;
-        }
-
-        // Stop if trajectory goes way off screen
-        if (currentPos.x < -100 || currentPos.x > canvas.width + 100) {
-            break;
-        }
-    }
-    // Ensure the very first point is included if simulation was very short
-    // NO LONGER NEEDED: if (pts.length === 0) pts.push({ x: startPos.x, y: startPos.y });
-
-    return pts;
-}
-
-/**
- * Draws a dotted line guide based on sampled trajectory points.
+ * Draws the aiming guide: a dot every few steps of the predicted flight, and a ring where it
+ * first hits something.
  * @param {CanvasRenderingContext2D} ctx - The canvas context.
- * @param {Array<{x: number, y: number}>} points - The points to draw.
+ * @param {{points: Array<Vec2>, hit: object|null}} prediction - From PhysicsWorld.predictPath.
  */
-function drawGuide(ctx, points) {
+function drawGuide(ctx, { points, hit }) {
     if (points.length < 2) return;
 
     ctx.save();
-    ctx.setLineDash([4, 6]); // Dash pattern: 4px line, 6px gap
-    ctx.lineWidth = 2;
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)'; // White with transparency
-
-    ctx.beginPath();
-    ctx.moveTo(points[0].x, points[0].y);
-    for (let i = 1; i < points.length; i++) {
-        ctx.lineTo(points[i].x, points[i].y);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    for (let i = GUIDE_DOT_SPACING; i < points.length; i += GUIDE_DOT_SPACING) {
+        ctx.beginPath();
+        ctx.arc(points[i].x, points[i].y, 3, 0, Math.PI * 2);
+        ctx.fill();
     }
-    ctx.stroke();
-
-    ctx.restore(); // Restores line dash, lineWidth, strokeStyle
+    if (hit) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(hit.point.x, hit.point.y, 6, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+    ctx.restore();
 }
 
 /** DEBUG: Draw physics outlines */
@@ -601,13 +1090,18 @@ function setupInputListeners() {
     canvas.addEventListener('pointerdown', handlePointerDown);
     canvas.addEventListener('pointermove', handlePointerMove);
     canvas.addEventListener('pointerup', handlePointerUp);
-    canvas.addEventListener('pointerleave', handlePointerLeave); // Handle pointer leaving canvas
+    canvas.addEventListener('pointercancel', handlePointerCancel); // The browser took the pointer (e.g. a system gesture)
+    canvas.addEventListener('wheel', handleWheel, { passive: false }); // Zoom (not passive so the page doesn't scroll)
 
     // Keyboard events
     window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
 }
 
-function getPointerPosition(event) {
+/** Pointer position in canvas pixels (before the camera transform) */
+function getScreenPosition(event) {
     const rect = canvas.getBoundingClientRect();
     // Adjust for canvas scaling
     const scaleX = canvas.width / rect.width;
@@ -618,59 +1112,318 @@ function getPointerPosition(event) {
     );
 }
 
-function handlePointerDown(event) {
-     if (gameState !== 'ready' || !currentBird) return;
+/** Pointer position in world coordinates */
+function getPointerPosition(event) {
+    return camera.screenToWorld(getScreenPosition(event));
+}
 
+function handlePointerDown(event) {
+    audio.unlock(); // Browsers only allow audio to start from a user gesture
+    activePointers.set(event.pointerId, getScreenPosition(event));
+    canvas.setPointerCapture(event.pointerId); // Aiming and panning keep working off the canvas
+    if (activePointers.size > 1) {
+        // A second finger pinches and pans the view, unless the first is aiming (it keeps the aim)
+        if (activePointers.size === 2 && !isDragging) startPinch();
+        return;
+    }
+    primaryPointerId = event.pointerId;
+    if (replayPlayer) {
+        // Watching a replay: the view can be moved, nothing else
+        isPanning = true;
+        lastPanPos = getScreenPosition(event);
+        return;
+    }
+    if (gameState.is('editing')) {
+        // Presses that miss every object pan the view, as in the game
+        if (!editor.pointerDown(getPointerPosition(event))) {
+            isPanning = true;
+            lastPanPos = getScreenPosition(event);
+        }
+        refreshEditorToolbar();
+        return;
+    }
+    // A second tap while the bird is flying triggers its special ability
+    if (gameState.is('playing') && currentBird && currentBird.canActivateAbility()) {
+        activateBirdAbility();
+        return;
+    }
     pointerPos = getPointerPosition(event);
-    if (slingshot.startAim(pointerPos)) {
+    if (gameState.is('ready') && currentBird && slingshot.startAim(pointerPos)) {
         isDragging = true;
-        gameState = 'aiming';
+        gameState.transition('aiming');
          canvas.style.cursor = 'grabbing';
+    } else if (gameState.is('ready', 'playing')) {
+        // Dragging empty space pans the view
+        isPanning = true;
+        lastPanPos = getScreenPosition(event);
     }
 }
 
 function handlePointerMove(event) {
-    if (!isDragging || gameState !== 'aiming') return;
+    if (activePointers.has(event.pointerId)) activePointers.set(event.pointerId, getScreenPosition(event));
+    if (pinch) {
+        if (activePointers.has(event.pointerId)) updatePinch();
+        return;
+    }
+    if (primaryPointerId !== null && event.pointerId !== primaryPointerId) return; // Another finger
+    if (isPanning) {
+        const screenPos = getScreenPosition(event);
+        const delta = lastPanPos.sub(screenPos); // Content follows the pointer, so the camera moves the other way
+        camera.panBy(delta.x, delta.y);
+        lastPanPos = screenPos;
+        return;
+    }
+    if (gameState.is('editing')) {
+        editor.pointerMove(getPointerPosition(event));
+        return;
+    }
+    if (!isDragging || !gameState.is('aiming')) return;
     pointerPos = getPointerPosition(event);
     // Aim update happens in the update() function based on pointerPos
 }
 
 function handlePointerUp(event) {
-    if (!isDragging || gameState !== 'aiming') return;
+    activePointers.delete(event.pointerId);
+    if (pinch) {
+        if (activePointers.size < 2) pinch = null; // The finger left behind doesn't go on panning (the view would jump)
+        return;
+    }
+    if (event.pointerId !== primaryPointerId) return;
+    primaryPointerId = null;
+    isPanning = false;
+    if (gameState.is('editing')) {
+        editor.pointerUp();
+        return;
+    }
+    if (!isDragging || !gameState.is('aiming')) return;
 
     pointerPos = getPointerPosition(event);
-    if (slingshot.endAim()) {
-        gameState = 'playing'; // Bird is launched
-        currentBird.canSleep = true; // Allow bird to sleep after launch
-        // currentBird reference is kept until it's destroyed or next bird prepared
-    }
+    releaseSlingshot();
     isDragging = false;
     canvas.style.cursor = 'grab';
 
     // Don't immediately prepare next bird here, wait for the launched bird to land/disappear
 }
 
-function handlePointerLeave(event) {
-    // If dragging and pointer leaves, treat it as releasing the slingshot
-    if (isDragging && gameState === 'aiming') {
-         console.log("Pointer left canvas while aiming, launching.");
-        handlePointerUp(event);
+/** A pointer the browser took away never fires the shot; the bird goes back to the pouch */
+function handlePointerCancel(event) {
+    activePointers.delete(event.pointerId);
+    if (pinch && activePointers.size < 2) pinch = null;
+    if (event.pointerId !== primaryPointerId) return;
+    primaryPointerId = null;
+    isPanning = false;
+    if (gameState.is('editing')) editor.pointerUp();
+    else if (isDragging && gameState.is('aiming')) cancelAim();
+    canvas.style.cursor = 'grab';
+}
+
+/** Two fingers are down: they take over from the first finger's pan (or editor drag) */
+function startPinch() {
+    if (gameState.is('editing')) editor.pointerUp();
+    isPanning = false;
+    primaryPointerId = null;
+    pinch = measurePinch();
+}
+
+/** Distance between the first two pressed pointers and the point halfway between them (screen px) */
+function measurePinch() {
+    const [a, b] = activePointers.values();
+    return { distance: a.sub(b).len(), center: a.add(b).mul(0.5) };
+}
+
+/** Moves the view with the pinch: the fingers' midpoint pans it, their spread zooms it */
+function updatePinch() {
+    const { distance, center } = measurePinch();
+    camera.panBy(pinch.center.x - center.x, pinch.center.y - center.y); // Content follows the fingers
+    if (pinch.distance > 0 && distance > 0) camera.zoomAt(distance / pinch.distance, center);
+    pinch = { distance, center };
+}
+
+/**
+ * Lets go of the band, however it was pulled. Letting go with the bird back on the slingshot
+ * (less than MIN_LAUNCH_PULL) cancels the shot instead.
+ */
+function releaseSlingshot() {
+    const launchVector = slingshot.getLaunchVelocity();
+    if (launchVector.len() >= MIN_LAUNCH_PULL && slingshot.endAim(launchVector)) {
+        if (recorder) recorder.recordLaunch(frame, currentBirdIndex(), launchVector);
+        onBirdLaunched(launchVector);
+    } else {
+        cancelAim();
+    }
+}
+
+/** Lets the band go slack without a shot: the bird goes back to the pouch, ready to aim again */
+function cancelAim() {
+    slingshot.cancelAim();
+    gameState.transition('ready'); // Leaving 'aiming' ends the drag or key aim
+}
+
+// --- Keyboard and Gamepad Aiming ---
+
+/** Space or the gamepad's A button: takes hold of the bird, fires it, or uses the flying bird's ability */
+function pressAimButton() {
+    if (gameState.is('ready') && currentBird) {
+        keyAim = { ...KEY_AIM_START };
+        if (!slingshot.aimByAngle(keyAim.angle, keyAim.pull)) {
+            keyAim = null;
+            return;
+        }
+        gameState.transition('aiming');
+    } else if (gameState.is('aiming') && keyAim) {
+        keyAim = null;
+        releaseSlingshot();
+    } else if (gameState.is('playing') && currentBird && currentBird.canActivateAbility()) {
+        activateBirdAbility();
+    }
+}
+
+/** Escape or the gamepad's B button: puts the bird back without launching it */
+function cancelKeyAim() {
+    if (keyAim && gameState.is('aiming')) cancelAim();
+}
+
+/**
+ * Turns and pulls the keyboard/gamepad aim.
+ * @param {number} turn -1 to 1; positive turns the shot upwards
+ * @param {number} pull -1 to 1; positive pulls further back
+ * @param {boolean} fine Adjust at FINE_AIM_FACTOR of the speed
+ * @param {number} dt
+ */
+function adjustKeyAim(turn, pull, fine, dt) {
+    const scale = (fine ? FINE_AIM_FACTOR : 1) * dt;
+    keyAim.angle -= turn * AIM_TURN_SPEED * scale;
+    keyAim.pull = Math.max(0, Math.min(1, keyAim.pull + pull * AIM_PULL_SPEED * scale));
+    slingshot.aimByAngle(keyAim.angle, keyAim.pull);
+}
+
+/** Stick deflection with the deadzone taken out (0 inside it, then rising from 0 to 1) */
+function stickAxis(value = 0) {
+    if (Math.abs(value) < GAMEPAD_DEADZONE) return 0;
+    return Math.sign(value) * (Math.abs(value) - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE);
+}
+
+/**
+ * Reads the first connected gamepad: A grabs/fires (like Space), B cancels, the left stick aims
+ * like the arrow keys, either shoulder button is the fine-adjust modifier and Start pauses.
+ * @param {number} dt
+ */
+function pollGamepad(dt) {
+    const pad = navigator.getGamepads ? [...navigator.getGamepads()].find(p => p && p.connected) : null;
+    if (!pad) return;
+    const pressed = pad.buttons.map(button => button.pressed);
+    const justPressed = index => pressed[index] && !gamepadPressed[index];
+    gamepadPressed = pressed;
+    if (replayPlayer || gameState.is('editing')) return;
+
+    if (justPressed(GAMEPAD_BUTTONS.pause)) togglePause();
+    else if (justPressed(GAMEPAD_BUTTONS.fire)) pressAimButton();
+    else if (justPressed(GAMEPAD_BUTTONS.cancel)) cancelKeyAim();
+
+    const stickX = stickAxis(pad.axes[0]);
+    const stickY = stickAxis(pad.axes[1]);
+    if (keyAim && (stickX || stickY)) {
+        adjustKeyAim(-stickY, -stickX, GAMEPAD_BUTTONS.fine.some(index => pressed[index]), dt);
     }
 }
 
+/**
+ * Index of the current bird in the level's bird list (replays identify birds by it).
+ * @returns {number}
+ */
+function currentBirdIndex() {
+    return currentLevelData().birds.length - birds.length - 1;
+}
+
+/**
+ * Everything that follows the bird leaving the slingshot, whether the player or a replay launched it.
+ * @param {Vec2} launchVector Raw launch vector the slingshot was released with
+ */
+function onBirdLaunched(launchVector) {
+    const pull = launchVector.len() / slingshot.elasticLength; // 0..1, louder twang for a longer pull
+    playSound('twang', { volume: 0.4 + 0.6 * Math.min(pull, 1) });
+    playSound('launch');
+    gameState.transition('playing'); // Bird is launched
+    currentBird.canSleep = true; // Allow bird to sleep after launch
+    scoreKeeper.startShot(currentBird.type);
+    shotTrail.start(currentBird, currentLevelData());
+    camera.follow(currentBird);
+    // currentBird reference is kept until it's destroyed or next bird prepared
+}
+
+/** Uses the flying bird's special ability (recorded for the replay) */
+function activateBirdAbility() {
+    if (recorder) recorder.recordAbility(frame, currentBirdIndex());
+    projectiles.push(...currentBird.activateAbility(physicsWorld));
+    playSound('ability');
+}
+
+/** Mouse wheel and trackpad pinch (ctrl+wheel) zoom around the pointer */
+function handleWheel(event) {
+    event.preventDefault();
+    const speed = event.ctrlKey ? PINCH_ZOOM_SPEED : WHEEL_ZOOM_SPEED;
+    camera.zoomAt(Math.exp(-event.deltaY * speed), getScreenPosition(event));
+}
+
 function handleKeyDown(event) {
+    audio.unlock();
+    if (event.key.startsWith('Arrow')) {
+        heldKeys.add(event.key); // Panned (or aimed) in update() while held
+        event.preventDefault();
+        return;
+    }
+    if (event.key === 'Shift') heldKeys.add(event.key); // Fine aim adjustment
+    if (gameState.is('editing')) {
+        if (event.target instanceof HTMLInputElement) return; // Typing in the toolbar
+        if (event.key === 'Delete' || event.key === 'Backspace') {
+            editor.deleteSelected();
+            event.preventDefault();
+        } else if (event.key === 'g' || event.key === 'G') {
+            editor.snapToGrid = !editor.snapToGrid;
+        } else if (event.key === 'Escape') {
+            editor.selection = null;
+        }
+        refreshEditorToolbar();
+        return;
+    }
+    if (replayPlayer) {
+        if (event.key === ' ') {
+            toggleReplayPause();
+            event.preventDefault();
+        } else if (event.key === 'Escape') {
+            exitReplay();
+        }
+        return;
+    }
+    if (event.target instanceof HTMLInputElement) return; // Typing in a field (e.g. a pack URL)
+    if (event.key === ' ' && gameState.is('ready', 'aiming', 'playing')) {
+        if (!event.repeat) pressAimButton();
+        event.preventDefault(); // Not a click on whichever button has focus
+        return;
+    }
+    if (event.key === 'Escape') {
+        // Escape first lets go of a key aim; otherwise it pauses and resumes
+        if (keyAim && gameState.is('aiming')) cancelKeyAim();
+        else togglePause();
+    } else if (event.key === 'p' || event.key === 'P') {
+        togglePause();
+    }
     if (event.key === 'r' || event.key === 'R') {
-        if (gameState !== 'levelComplete' && gameState !== 'gameOver') {
-            actions.restartLevel();
+        if (!gameState.is('levelComplete', 'gameOver')) {
+            restartCurrentLevel();
         }
     }
     if (event.key === 'n' || event.key === 'N') {
-        // Only allow next level if button is enabled (i.e., level unlocked)
-        if (!nextLevelButton.disabled && gameState !== 'playing' && gameState !== 'aiming') {
-            actions.nextLevel();
+        // Only allow next level if it's unlocked (as the Next Level button is)
+        if (!testLevelData && isLevelUnlocked(currentLevelIndex + 1) && !gameState.is('playing', 'aiming')) {
+            loadNextLevel();
         }
     }
-    // Add other keyboard shortcuts if needed (e.g., panning with arrows)
+    // Add other keyboard shortcuts if needed
+}
+
+function handleKeyUp(event) {
+    heldKeys.delete(event.key);
 }
 
 // --- Canvas Resizing ---
@@ -700,22 +1453,21 @@ function resizeCanvas() {
 
 // --- Sound Management ---
 
-function playSound(soundName) {
-    if (!isMuted && loadedAssets[soundName]) {
-        // Basic sound playback (reset time for overlapping sounds)
-        loadedAssets[soundName].currentTime = 0;
-        loadedAssets[soundName].play().catch(e => console.warn(`Sound playback error for ${soundName}:`, e));
-    } else if (!loadedAssets[soundName]){
-         console.warn(`Sound asset not found: ${soundName}`);
-    }
+/**
+ * Plays a sound effect through the audio engine (silently does nothing while muted).
+ * @param {string} soundName Key in SOUND_PATHS
+ * @param {object} [options] { volume, pitch } (see AudioEngine.play)
+ */
+function playSound(soundName, options = {}) {
+    if (isSeeking) return;
+    audio.play(soundName, options);
 }
 
 function toggleMute() {
     isMuted = !isMuted;
     console.log(`Sound ${isMuted ? 'Muted' : 'Unmuted'}`);
     updateMuteButton(isMuted);
-    // Optionally stop all currently playing sounds if muted
-    // if (isMuted) { ... stop sounds ... }
+    audio.setMuted(isMuted); // Master gain to zero; buses keep their volumes for unmuting
     return isMuted;
 }
 
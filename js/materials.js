@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Block materials: everything that differs between a wooden plank and a metal girder.
+ * Blocks (see Block in entities.js) look their material up here by the `type` in level data, so a
+ * new material only needs an entry in MATERIALS. DOM-free.
+ *
+ * hp: damage it takes to break; mass: regardless of size (so a plank and a pillar weigh the same);
+ * restitution: bounciness (the less bouncy of two surfaces wins unless one is `bouncy`);
+ * damageThreshold: weakest impulse that hurts it; staticFriction/dynamicFriction: Coulomb
+ * coefficients; debris: particle emitter when it breaks (see particles.js); color: fill colour;
+ * scoreMultiplier: scales its damage and destruction points (see scoring.js).
+ */
+
+const MATERIALS = {
+    wood: {
+        hp: 100, mass: 8, restitution: 0.3, damageThreshold: 200, staticFriction: 0.6, dynamicFriction: 0.4,
+        debris: 'splinters', color: '#8B4513', scoreMultiplier: 1, // SaddleBrown
+    },
+    stone: {
+        hp: 300, mass: 20, restitution: 0.2, damageThreshold: 600, staticFriction: 0.7, dynamicFriction: 0.5,
+        debris: 'dust', color: '#808080', scoreMultiplier: 1.5, // Gray
+    },
+    glass: {
+        hp: 50, mass: 5, restitution: 0.5, damageThreshold: 100, staticFriction: 0.3, dynamicFriction: 0.2,
+        debris: 'shards', color: '#ADD8E6', scoreMultiplier: 1, // LightBlue
+    },
+    tnt: {
+        hp: 40, mass: 6, restitution: 0.2, damageThreshold: 150, staticFriction: 0.6, dynamicFriction: 0.4,
+        debris: 'explosion', color: '#C0392B', scoreMultiplier: 1, // Crimson
+    },
+    // Slippery and brittle: things slide off it, and it shatters almost as easily as glass
+    ice: {
+        hp: 60, mass: 6, restitution: 0.25, damageThreshold: 120, staticFriction: 0.05, dynamicFriction: 0.03,
+        debris: 'frost', color: '#D6F1FF', scoreMultiplier: 1.2,
+    },
+    // Very heavy and all but indestructible: only explosions and the hardest hits dent it
+    metal: {
+        hp: 2000, mass: 45, restitution: 0.15, damageThreshold: 2500, staticFriction: 0.5, dynamicFriction: 0.35,
+        debris: 'scrap', color: '#6E7B8B', scoreMultiplier: 3,
+    },
+    // Very bouncy: birds and blocks spring off it
+    rubber: {
+        hp: 250, mass: 7, restitution: 0.9, bouncy: true, damageThreshold: 900, staticFriction: 0.9, dynamicFriction: 0.8,
+        debris: 'scrap', color: '#3B3B3B', scoreMultiplier: 1.5,
+    },
+};
+
+export { MATERIALS };
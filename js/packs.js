@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Level packs: sets of levels loaded at runtime instead of compiled into LEVELS.
+ * The built-in campaign is a pack too (CAMPAIGN_PACK), so the game plays every level the same way,
+ * and each pack keeps its own progress (saved under the pack's ID; see save.js).
+ *
+ * JSON format:
+ *   {
+ *     "manifest": {
+ *       "id": "spring-2026",        // Optional; progress is stored under it (defaults to the name)
+ *       "name": "Spring Fling",
+ *       "version": "1.0.0",
+ *       "author": "...", "description": "...",  // Optional
+ *       "levels": ["meadow", "greenhouse"],     // Play order (keys of "levels" below)
+ *       "assets": { "greenbird": "images/flower-pig.png", "launch": "sounds/boing.mp3" },
+ *       "worlds": [{ "name": "Meadows", "levelCount": 2, "starsToUnlock": 0 }]  // Optional, as WORLDS in levels.js
+ *     },
+ *     "levels": { "meadow": { <level in the levels.js format> }, "greenhouse": { ... } }
+ *   }
+ * The keys of "levels" are the levels' stable IDs (they replace any `id` inside the level).
+ * Assets are optional and replace the game's images/sounds of the same name for the pack's levels.
+ * Their URLs are relative to the pack's URL (or, for a pack opened from a file, to the game's page).
+ * Without "worlds", the level select shows all of a pack's levels as one world named after the pack.
+ */
+
+import { LEVELS, WORLDS } from './levels.js';
+import { validatePack, formatIssue } from './validator.js';
+
+/** The levels in levels.js */
+const CAMPAIGN_PACK = {
+    id: 'campaign',
+    name: 'Campaign',
+    version: '1',
+    levels: LEVELS,
+    worlds: WORLDS,
+    assets: {},
+};
+
+/**
+ * Parses and checks pack JSON.
+ * Warnings are logged; the pack can still be played.
+ * @param {string} text
+ * @param {string} [baseUrl] URL the pack came from; asset URLs are resolved against it
+ * @returns {{id: string, name: string, version: string, levels: Array<object>, worlds: Array<object>, assets: object}}
+ *          The pack, with its levels in play order
+ * @throws {Error} If the text isn't a valid pack (the message lists the errors)
+ */
+function parsePack(text, baseUrl = null) {
+    const data = JSON.parse(text);
+    const issues = validatePack(data);
+    const errors = issues.filter(issue => issue.severity === 'error');
+    if (errors.length > 0) throw new Error(`Invalid level pack: ${errors.map(formatIssue).join('; ')}`);
+
+    const { manifest } = data;
+    const id = manifest.id ?? manifest.name;
+    if (id === CAMPAIGN_PACK.id) throw new Error(`Invalid level pack: the ID '${id}' is reserved for the built-in levels`);
+    issues.forEach(issue => console.warn(`Pack '${manifest.name}': ${formatIssue(issue)}`));
+
+    const assets = {};
+    Object.entries(manifest.assets ?? {}).forEach(([name, url]) => {
+        assets[name] = baseUrl ? new URL(url, baseUrl).href : url;
+    });
+    return {
+        id,
+        name: manifest.name,
+        version: manifest.version,
+        levels: manifest.levels.map(levelId => ({ ...data.levels[levelId], id: levelId })),
+        worlds: manifest.worlds ?? [{ name: manifest.name, levelCount: manifest.levels.length, starsToUnlock: 0 }],
+        assets,
+    };
+}
+
+/**
+ * Fetches and parses a pack.
+ * @param {string} url
+ * @returns {Promise<object>} The pack (see parsePack)
+ * @throws {Error} If the request fails or the pack is invalid
+ */
+async function loadPackFromUrl(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status} fetching ${url}`);
+    return parsePack(await response.text(), response.url || url);
+}
+
+export { CAMPAIGN_PACK, parsePack, loadPackFromUrl };
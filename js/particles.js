@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Pooled particle effects: debris when things break, sparks and chips on hard impacts.
+ * Particles are purely visual; they never touch the physics world. All particle objects are
+ * allocated up front and recycled, and once MAX_PARTICLES are alive new ones are skipped,
+ * so a big collapse can't stall the frame.
+ */
+
+const MAX_PARTICLES = 500;
+const PARTICLE_GRAVITY = 600;      // px/s², a bit floatier than the physics so debris lingers
+const IMPACT_PARTICLE_IMPULSE = 1500; // Collisions harder than this throw off a few chips
+const MAX_IMPACT_PARTICLES = 8;
+
+/**
+ * How each kind of debris looks and moves.
+ * count: particles per 1000 px² of the broken entity's area (min 4), speed: launch speed range,
+ * life: seconds, size: px, gravity: multiple of PARTICLE_GRAVITY, drag: velocity kept per second,
+ * grow: size change per second, shape: 'rect' | 'circle' | 'shard' | 'feather'.
+ */
+const EMITTERS = {
+    splinters: { colors: ['#8B4513', '#A0522D', '#DEB887'], count: 3, speed: [80, 260], life: [0.6, 1.2], size: [3, 7], gravity: 1, drag: 0.6, grow: 0, spin: 12, shape: 'rect' },
+    shards: { colors: ['#ADD8E6', '#E0F4FF', '#87CEEB'], count: 4, speed: [120, 340], life: [0.5, 1.0], size: [3, 8], gravity: 1, drag: 0.7, grow: 0, spin: 16, shape: 'shard' },
+    dust: { colors: ['#808080', '#A9A9A9', '#C0C0C0'], count: 2, speed: [30, 120], life: [0.8, 1.6], size: [6, 12], gravity: 0.1, drag: 0.2, grow: 14, spin: 0, shape: 'circle' },
+    explosion: { colors: ['#FFD700', '#FF8C00', '#FF4500', '#555555'], count: 5, speed: [150, 420], life: [0.3, 0.9], size: [5, 12], gravity: -0.15, drag: 0.1, grow: 18, spin: 0, shape: 'circle' },
+    feathers: { colors: null, count: 3, speed: [40, 140], life: [1.0, 1.8], size: [4, 7], gravity: 0.15, drag: 0.3, grow: 0, spin: 5, shape: 'feather' },
+    frost: { colors: ['#D6F1FF', '#FFFFFF', '#A8DDF5'], count: 4, speed: [100, 300], life: [0.4, 0.9], size: [2, 6], gravity: 1, drag: 0.7, grow: 0, spin: 16, shape: 'shard' },
+    scrap: { colors: ['#6E7B8B', '#3B3B3B', '#9AA5B1'], count: 2, speed: [80, 220], life: [0.6, 1.2], size: [4, 8], gravity: 1, drag: 0.5, grow: 0, spin: 10, shape: 'rect' },
+    poof: { colors: ['#7ED957', '#B6F09C', '#FFFFFF'], count: 3, speed: [40, 130], life: [0.5, 1.0], size: [8, 14], gravity: -0.1, drag: 0.2, grow: 20, spin: 0, shape: 'circle' },
+};
+
+/** Random number in [min, max) */
+function randomIn([min, max]) {
+    return min + Math.random() * (max - min);
+}
+
+/** Rough area of an entity's shape, used to scale how much debris it leaves */
+function shapeArea(shape) {
+    if (shape.type === 'circle') return Math.PI * shape.radius * shape.radius;
+    if (shape.type === 'box') return shape.width * shape.height;
+    if (shape.type === 'polygon') {
+        // Shoelace formula
+        return Math.abs(shape.vertices.reduce((sum, v, i) => sum + v.cross(shape.vertices[(i + 1) % shape.vertices.length]), 0)) / 2;
+    }
+    return 400;
+}
+
+class ParticleSystem {
+    /**
+     * @param {number} [maxParticles] Most particles alive at once.
+     */
+    constructor(maxParticles = MAX_PARTICLES) {
+        this.pool = Array.from({ length: maxParticles }, () => ({
+            active: false, x: 0, y: 0, vx: 0, vy: 0, angle: 0, spin: 0,
+            life: 0, maxLife: 0, size: 0, grow: 0, gravity: 0, drag: 0, color: '', shape: 'rect',
+        }));
+        this.free = [...this.pool]; // Inactive particles, ready for reuse
+        this.live = [];
+    }
+
+    /** Number of particles currently alive */
+    get count() {
+        return this.live.length;
+    }
+
+    /**
+     * Spawns up to `count` particles of one emitter kind at a point.
+     * @param {string} kind Key in EMITTERS
+     * @param {{x: number, y: number}} position World position
+     * @param {number} count
+     * @param {object} [options] { color: overrides the emitter colours, velocity: {x, y} inherited from the source, spread: px of random offset }
+     */
+    emit(kind, position, count, options = {}) {
+        const emitter = EMITTERS[kind];
+        if (!emitter) {
+            console.warn(`Unknown particle emitter: ${kind}`);
+            return;
+        }
+        const colors = options.color ? [options.color] : emitter.colors;
+        const baseVelocity = options.velocity ?? { x: 0, y: 0 };
+        const spread = options.spread ?? 0;
+
+        for (let i = 0; i < count && this.free.length > 0; i++) {
+            const p = this.free.pop();
+            const direction = Math.random() * Math.PI * 2;
+            const speed = randomIn(emitter.speed);
+            p.active = true;
+            p.x = position.x + (Math.random() - 0.5) * spread;
+            p.y = position.y + (Math.random() - 0.5) * spread;
+            p.vx = baseVelocity.x * 0.3 + Math.cos(direction) * speed;
+            p.vy = baseVelocity.y * 0.3 + Math.sin(direction) * speed;
+            p.angle = Math.random() * Math.PI * 2;
+            p.spin = (Math.random() - 0.5) * 2 * emitter.spin;
+            p.maxLife = p.life = randomIn(emitter.life);
+            p.size = randomIn(emitter.size);
+            p.grow = emitter.grow;
+            p.gravity = emitter.gravity * PARTICLE_GRAVITY;
+            p.drag = emitter.drag;
+            p.color = colors[Math.floor(Math.random() * colors.length)];
+            p.shape = emitter.shape;
+            this.live.push(p);
+        }
+    }
+
+    /**
+     * Debris for an entity that has just been destroyed. The entity's `debris` property picks
+     * the emitter (and `color` tints feathers); the amount scales with its size.
+     * @param {Entity} entity
+     */
+    emitDebris(entity) {
+        const kind = entity.debris ?? 'dust';
+        const emitter = EMITTERS[kind] ?? EMITTERS.dust;
+        const area = shapeArea(entity.collisionShape);
+        const count = Math.max(4, Math.round(emitter.count * area / 1000));
+        const spread = Math.sqrt(area) * 0.8;
+        this.emit(kind, entity.position, count, { color: kind === 'feathers' ? entity.color : null, velocity: entity.velocity, spread });
+    }
+
+    /**
+     * A few chips flying off a hard collision; softer hits leave nothing.
+     * @param {Entity} entity The body that was hit
+     * @param {{x: number, y: number}} point Contact point
+     * @param {number} impulseMagnitude
+     */
+    emitImpact(entity, point, impulseMagnitude) {
+        if (impulseMagnitude < IMPACT_PARTICLE_IMPULSE || entity.isStatic) return;
+        const count = Math.min(MAX_IMPACT_PARTICLES, Math.floor(impulseMagnitude / IMPACT_PARTICLE_IMPULSE) + 1);
+        const kind = entity.debris === 'explosion' ? 'splinters' : (entity.debris ?? 'dust'); // TNT crates chip like wood
+        this.emit(kind, point, count, { color: kind === 'feathers' ? entity.color : null });
+    }
+
+    update(dt) {
+        for (let i = this.live.length - 1; i >= 0; i--) {
+            const p = this.live[i];
+            p.life -= dt;
+            if (p.life <= 0) {
+                // Swap-remove and return to the pool
+                p.active = false;
+                this.live[i] = this.live[this.live.length - 1];
+                this.live.pop();
+                this.free.push(p);
+                continue;
+            }
+            const damping = Math.pow(p.drag, dt); // Fraction of velocity kept after dt
+            p.vy += p.gravity * dt;
+            p.vx *= damping;
+            p.vy *= damping;
+            p.x += p.vx * dt;
+            p.y += p.vy * dt;
+            p.angle += p.spin * dt;
+            p.size = Math.max(0, p.size + p.grow * dt);
+        }
+    }
+
+    /** Draws every live particle (call with the camera transform applied) */
+    draw(ctx) {
+        if (this.live.length === 0) return;
+        ctx.save();
+        for (const p of this.live) {
+            ctx.globalAlpha = Math.min(1, (p.life / p.maxLife) * 1.5); // Fade out over the last two thirds
+            ctx.fillStyle = p.color;
+            if (p.shape === 'circle') {
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, p.size / 2, 0, Math.PI * 2);
+                ctx.fill();
+                continue;
+            }
+            ctx.save();
+            ctx.translate(p.x, p.y);
+            ctx.rotate(p.angle);
+            ctx.beginPath();
+            if (p.shape === 'shard') {
+                ctx.moveTo(-p.size / 2, p.size / 3);
+                ctx.lineTo(p.size / 2, p.size / 2);
+                ctx.lineTo(0, -p.size / 2);
+                ctx.closePath();
+            } else if (p.shape === 'feather') {
+                ctx.ellipse(0, 0, p.size, p.size / 3, 0, 0, Math.PI * 2);
+            } else {
+                ctx.rect(-p.size / 2, -p.size / 6, p.size, p.size / 3); // Thin splinter
+            }
+            ctx.fill();
+            ctx.restore();
+        }
+        ctx.restore();
+    }
+
+    /** Removes every live particle (e.g. when a level is reloaded) */
+    clear() {
+        for (const p of this.live) {
+            p.active = false;
+            this.free.push(p);
+        }
+        this.live.length = 0;
+    }
+}
+
+export { ParticleSystem, EMITTERS, MAX_PARTICLES };
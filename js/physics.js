@@ -1,15 +1,31 @@
 /**
  * @fileoverview Basic 2D Physics Engine
- * Handles gravity, collisions (AABB/Circle), and impulse resolution.
+ * Handles gravity, rigid body rotation, collisions (broad phase culling, then circles and oriented convex
+ * polygons via SAT; boxes are the common polygon),
+ * impulse resolution at contact points, and joints (see joints.js).
  */
 
+import { SpatialHashBroadPhase } from './broadphase.js';
+
 const pixelsPerMeter = 100; // Define base unit conversion
 const GRAVITY_ACCEL = 9.81;   // Standard gravity in m/s^2
 const GRAVITY = GRAVITY_ACCEL * pixelsPerMeter; // Gravity in pixels/s^2
 const TIME_STEP = 1 / 60;   // 60 FPS physics step
-const FRICTION = 0.98;      // Linear damping factor per step (closer to 1.0 = less drag)
+const ANGULAR_DAMPING = 0.98; // Angular damping factor per step
 const RESTITUTION = 0.4;    // Bounciness factor for collisions
 const MIN_VELOCITY_FOR_SLEEP = 2.0; // Lowered threshold
+const MIN_ANGULAR_VELOCITY_FOR_SLEEP = 0.05; // rad/s
+const RESTING_CONTACT_SPEED = 40; // Below this approach speed (px/s) contacts don't bounce, which keeps stacks from jittering
+const STATIC_FRICTION = 0.5;  // Default coefficients when an entity doesn't define its own
+const DYNAMIC_FRICTION = 0.3;
+const STATIC_FRICTION_SPEED = 10; // Sliding speed (px/s) below which static friction applies
+const VELOCITY_ITERATIONS = 20;   // Sequential impulse passes per step
+const PENETRATION_SLOP = 0.1;     // Overlap (px) allowed before position correction kicks in
+const CONTACT_MARGIN = 0.5;       // Bodies this close (px) already get a contact, so resting contacts don't flicker
+const CORRECTION_PERCENT = 0.2;   // Fraction of the remaining overlap corrected per position iteration
+const MAX_CORRECTION = 5;         // Largest single positional push (px), keeps deep overlaps from popping
+const POSITION_ITERATIONS = 3;
+const WARM_STARTING = true;       // Reuse last step's contact impulses as the starting guess
 const SLEEP_DELAY_FRAMES = 60; // Lowered delay (1 second at 60fps)
 
 /** Basic 2D Vector class */
@@ -24,17 +40,392 @@ class Vec2 {
     len() { return Math.sqrt(this.lenSq()); }
     normalize() { const l = this.len(); return l > 0 ? this.div(l) : new Vec2(); }
     perp() { return new Vec2(-this.y, this.x); } // Perpendicular vector
+    cross(v) { return this.x * v.y - this.y * v.x; } // 2D cross product (z component)
+    rotate(angle) {
+        const c = Math.cos(angle), s = Math.sin(angle);
+        return new Vec2(this.x * c - this.y * s, this.x * s + this.y * c);
+    }
+    /** Cross product of a scalar (angular velocity) with a vector */
+    static crossSV(s, v) { return new Vec2(-s * v.y, s * v.x); }
     static zero() { return new Vec2(0, 0); }
 }
 
 
+/**
+ * Builds a convex polygon collision shape. Vertices are relative to the entity's position and
+ * must wind the way a box's corners do (top-left, top-right, bottom-right, bottom-left: clockwise
+ * on screen), so each edge's outward normal is (edge.y, -edge.x). The normals are worked out once here.
+ * @param {Array<Vec2>} vertices
+ * @returns {{type: 'polygon', vertices: Vec2[], normals: Vec2[]}}
+ */
+function createPolygonShape(vertices) {
+    const normals = vertices.map((v, i) => {
+        const edge = vertices[(i + 1) % vertices.length].sub(v);
+        return new Vec2(edge.y, -edge.x).normalize();
+    });
+    return { type: 'polygon', vertices, normals };
+}
+
+/**
+ * Radius of the smallest circle (around the entity's position) that contains the shape.
+ * @param {object} shape Collision shape
+ * @returns {number}
+ */
+function boundingRadius(shape) {
+    if (shape.type === 'circle') return shape.radius;
+    if (shape.type === 'box') return Math.sqrt(shape.width * shape.width + shape.height * shape.height) / 2;
+    if (shape.type === 'polygon') return Math.max(...shape.vertices.map(v => v.len()));
+    return 0;
+}
+
+/**
+ * World-space axis-aligned bounds of an entity's (possibly rotated) shape.
+ * @param {object} entity
+ * @param {number} [margin] Extra padding on every side
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+ */
+function getAABB(entity, margin = 0) {
+    const shape = entity.collisionShape;
+    let extentX = 0;
+    let extentY = 0;
+    if (shape.type === 'circle') {
+        extentX = extentY = shape.radius;
+    } else if (shape.type === 'box') {
+        const c = Math.abs(Math.cos(entity.angle ?? 0));
+        const s = Math.abs(Math.sin(entity.angle ?? 0));
+        extentX = (shape.width * c + shape.height * s) / 2;
+        extentY = (shape.width * s + shape.height * c) / 2;
+    } else if (shape.type === 'polygon') {
+        const vertices = shape.vertices.map(v => v.rotate(entity.angle ?? 0));
+        return {
+            minX: entity.position.x + Math.min(...vertices.map(v => v.x)) - margin,
+            minY: entity.position.y + Math.min(...vertices.map(v => v.y)) - margin,
+            maxX: entity.position.x + Math.max(...vertices.map(v => v.x)) + margin,
+            maxY: entity.position.y + Math.max(...vertices.map(v => v.y)) + margin,
+        };
+    }
+    return {
+        minX: entity.position.x - extentX - margin, minY: entity.position.y - extentY - margin,
+        maxX: entity.position.x + extentX + margin, maxY: entity.position.y + extentY + margin,
+    };
+}
+
+/**
+ * Where the ray start + delta * t (0 <= t <= 1) first touches a circle.
+ * @returns {{fraction: number, normal: Vec2, inside: boolean}|null} `inside` means the ray starts in the circle.
+ */
+function rayCircle(start, delta, center, radius) {
+    const offset = start.sub(center);
+    const a = delta.lenSq();
+    const c = offset.lenSq() - radius * radius;
+    if (c <= 0) return { fraction: 0, normal: delta.normalize().mul(-1), inside: true };
+    if (a === 0) return null;
+    const b = offset.dot(delta);
+    const discriminant = b * b - a * c;
+    if (discriminant < 0) return null;
+    const t = (-b - Math.sqrt(discriminant)) / a;
+    if (t < 0 || t > 1) return null;
+    return { fraction: t, normal: offset.add(delta.mul(t)).normalize(), inside: false };
+}
+
+/**
+ * Where the ray start + delta * t (0 <= t <= 1) first touches the axis-aligned box
+ * [-halfWidth, halfWidth] x [-halfHeight, halfHeight] (a plain slab test).
+ * @returns {{fraction: number, normal: Vec2, inside: boolean}|null}
+ */
+function rayLocalBox(start, delta, halfWidth, halfHeight) {
+    let tMin = 0;
+    let tMax = 1;
+    let hitNormal = null;
+    const slabs = [
+        [start.x, delta.x, halfWidth, new Vec2(1, 0)],
+        [start.y, delta.y, halfHeight, new Vec2(0, 1)],
+    ];
+    for (const [p, d, half, axis] of slabs) {
+        if (Math.abs(d) < 1e-9) {
+            if (p < -half || p > half) return null;
+            continue;
+        }
+        let t1 = (-half - p) / d;
+        let t2 = (half - p) / d;
+        let normal = axis.mul(-1); // Face we enter through
+        if (t1 > t2) {
+            [t1, t2] = [t2, t1];
+            normal = axis;
+        }
+        if (t1 > tMin) {
+            tMin = t1;
+            hitNormal = normal;
+        }
+        tMax = Math.min(tMax, t2);
+        if (tMin > tMax) return null;
+    }
+    if (!hitNormal) return { fraction: 0, normal: delta.normalize().mul(-1), inside: true };
+    return { fraction: tMin, normal: hitNormal, inside: false };
+}
+
+/**
+ * Where the ray start + delta * t (0 <= t <= 1) first touches a convex polygon (clipping the ray
+ * against each edge's half-plane, Cyrus-Beck). Same winding as createPolygonShape.
+ * @param {Array<Vec2>} vertices
+ * @param {Array<Vec2>} normals Outward normal of the edge starting at each vertex
+ * @returns {{fraction: number, normal: Vec2, inside: boolean}|null}
+ */
+function rayConvex(start, delta, vertices, normals) {
+    let tMin = 0;
+    let tMax = 1;
+    let hitNormal = null;
+    for (let i = 0; i < vertices.length; i++) {
+        const n = normals[i];
+        const distance = n.dot(vertices[i].sub(start)); // >= 0 while the start is inside this edge
+        const approach = n.dot(delta);
+        if (Math.abs(approach) < 1e-9) {
+            if (distance < 0) return null; // Parallel to the edge and outside it
+            continue;
+        }
+        const t = distance / approach;
+        if (approach < 0) { // Entering through this edge
+            if (t > tMin) {
+                tMin = t;
+                hitNormal = n;
+            }
+        } else {
+            tMax = Math.min(tMax, t);
+        }
+        if (tMin > tMax) return null;
+    }
+    if (!hitNormal) return { fraction: 0, normal: delta.normalize().mul(-1), inside: true };
+    return { fraction: tMin, normal: hitNormal, inside: false };
+}
+
+/**
+ * Where a ray first touches a convex polygon grown by `inflate`: the polygon itself, a band
+ * `inflate` thick along the outside of each edge, and a circle on each corner.
+ * @returns {{fraction: number, normal: Vec2, inside: boolean}|null}
+ */
+function rayInflatedConvex(start, delta, vertices, normals, inflate) {
+    const parts = [rayConvex(start, delta, vertices, normals)];
+    if (inflate > 0) {
+        vertices.forEach((v, i) => {
+            const next = vertices[(i + 1) % vertices.length];
+            const n = normals[i];
+            const offset = n.mul(inflate);
+            const band = [v, v.add(offset), next.add(offset), next];
+            // Outward normals of the band's near end, outer edge, far end and the polygon edge it sits on
+            const edgeDir = next.sub(v).normalize();
+            parts.push(rayConvex(start, delta, band, [edgeDir.mul(-1), n, edgeDir, n.mul(-1)]));
+            parts.push(rayCircle(start, delta, v, inflate));
+        });
+    }
+    let best = null;
+    for (const hit of parts) {
+        if (!hit) continue;
+        if (hit.inside) return hit;
+        if (!best || hit.fraction < best.fraction) best = hit;
+    }
+    return best;
+}
+
+/**
+ * Where a ray first touches an entity's shape grown by `inflate` on every side.
+ * With inflate = 0 this is a plain raycast; with a circle's radius it is that circle
+ * swept along the ray. A grown box has rounded corners, built as two crossing
+ * rectangles plus a circle on each corner.
+ * @param {Vec2} from Ray start
+ * @param {Vec2} dir Ray direction and length
+ * @param {object} entity Target with a circle, box or polygon shape
+ * @param {number} [inflate]
+ * @returns {{fraction: number, normal: Vec2, inside: boolean}|null} Normal is in world space.
+ */
+function rayShape(from, dir, entity, inflate = 0) {
+    const shape = entity.collisionShape;
+    if (shape.type === 'circle') {
+        return rayCircle(from, dir, entity.position, shape.radius + inflate);
+    }
+    if (shape.type === 'polygon') {
+        const angle = entity.angle ?? 0;
+        const start = from.sub(entity.position).rotate(-angle);
+        const hit = rayInflatedConvex(start, dir.rotate(-angle), shape.vertices, shape.normals, inflate);
+        if (!hit || hit.inside) return hit && { fraction: 0, normal: dir.normalize().mul(-1), inside: true };
+        return { fraction: hit.fraction, normal: hit.normal.rotate(angle), inside: false };
+    }
+    if (shape.type !== 'box') return null;
+
+    const angle = entity.angle ?? 0;
+    const hw = shape.width / 2;
+    const hh = shape.height / 2;
+    const start = from.sub(entity.position).rotate(-angle);
+    const delta = dir.rotate(-angle);
+
+    const parts = [rayLocalBox(start, delta, hw + inflate, hh)];
+    if (inflate > 0) {
+        parts.push(rayLocalBox(start, delta, hw, hh + inflate));
+        for (const corner of [new Vec2(-hw, -hh), new Vec2(hw, -hh), new Vec2(hw, hh), new Vec2(-hw, hh)]) {
+            parts.push(rayCircle(start, delta, corner, inflate));
+        }
+    }
+
+    let best = null;
+    for (const hit of parts) {
+        if (!hit) continue;
+        if (hit.inside) return { fraction: 0, normal: dir.normalize().mul(-1), inside: true };
+        if (!best || hit.fraction < best.fraction) best = hit;
+    }
+    return best && { fraction: best.fraction, normal: best.normal.rotate(angle), inside: false };
+}
+
+/**
+ * Moment of inertia of a solid shape about its centre.
+ * @param {object} shape Collision shape
+ * @param {number} mass
+ * @returns {number} Inertia (0 for massless/static bodies)
+ */
+function momentOfInertia(shape, mass) {
+    if (mass <= 0) return 0;
+    if (shape.type === 'circle') return 0.5 * mass * shape.radius * shape.radius;
+    if (shape.type === 'box') return mass * (shape.width * shape.width + shape.height * shape.height) / 12;
+    if (shape.type === 'polygon') {
+        // Sum over the triangles fanning out from the position (which need not be the centroid)
+        let numerator = 0;
+        let area = 0;
+        shape.vertices.forEach((v, i) => {
+            const w = shape.vertices[(i + 1) % shape.vertices.length];
+            const cross = Math.abs(v.cross(w));
+            numerator += cross * (v.dot(v) + v.dot(w) + w.dot(w));
+            area += cross;
+        });
+        return area > 0 ? mass * numerator / (6 * area) : 0;
+    }
+    return 0;
+}
+
+/**
+ * Builds the world-space polygon of an oriented box or polygon shape.
+ * Vertices wind so that each edge's outward normal is (edge.y, -edge.x).
+ * @param {object} entity Entity with a 'box' or 'polygon' collision shape
+ * @returns {{vertices: Vec2[], normals: Vec2[]}}
+ */
+function getPolygon(entity) {
+    const shape = entity.collisionShape;
+    if (shape.type === 'polygon') {
+        const angle = entity.angle ?? 0;
+        return {
+            vertices: shape.vertices.map(v => v.rotate(angle).add(entity.position)),
+            normals: shape.normals.map(n => n.rotate(angle)),
+        };
+    }
+    const hw = entity.collisionShape.width / 2;
+    const hh = entity.collisionShape.height / 2;
+    const angle = entity.angle ?? 0;
+    const local = [new Vec2(-hw, -hh), new Vec2(hw, -hh), new Vec2(hw, hh), new Vec2(-hw, hh)];
+    const vertices = local.map(v => v.rotate(angle).add(entity.position));
+    const normals = [new Vec2(0, -1), new Vec2(1, 0), new Vec2(0, 1), new Vec2(-1, 0)].map(n => n.rotate(angle));
+    return { vertices, normals };
+}
+
+/**
+ * Finds the face of polygon A along which B penetrates least (SAT).
+ * @returns {{separation: number, index: number}} Largest separation and its face index.
+ */
+function findAxisOfLeastPenetration(polyA, polyB) {
+    let bestSeparation = -Infinity;
+    let bestIndex = 0;
+    for (let i = 0; i < polyA.normals.length; i++) {
+        const n = polyA.normals[i];
+        const v = polyA.vertices[i];
+        // Deepest point of B along -n, measured from A's face
+        let minProj = Infinity;
+        for (const w of polyB.vertices) {
+            minProj = Math.min(minProj, n.dot(w.sub(v)));
+        }
+        if (minProj > bestSeparation) {
+            bestSeparation = minProj;
+            bestIndex = i;
+        }
+    }
+    return { separation: bestSeparation, index: bestIndex };
+}
+
+/**
+ * Clips a segment to the half-plane n·p <= offset.
+ * Points keep their slot (0 or 1) so contact IDs stay stable between steps;
+ * a clipped end is replaced by the intersection point.
+ * @returns {Array<{point: Vec2, slot: number}>} Up to two remaining points.
+ */
+function clipSegment(points, n, offset) {
+    const out = [];
+    const d0 = n.dot(points[0].point) - offset;
+    const d1 = n.dot(points[1].point) - offset;
+    if (d0 <= 0) out.push(points[0]);
+    if (d0 * d1 < 0) {
+        const t = d0 / (d0 - d1);
+        const point = points[0].point.add(points[1].point.sub(points[0].point).mul(t));
+        out.push({ point, slot: d0 > 0 ? points[0].slot : points[1].slot });
+    }
+    if (d1 <= 0) out.push(points[1]);
+    return out;
+}
+
+/** True if either entity asks to pass through the other instead of colliding */
+function passesThrough(a, b) {
+    return Boolean(a.passesThrough?.(b) || b.passesThrough?.(a));
+}
+
+/**
+ * One step of gravity and spin damping for an awake dynamic body (shared with the aiming guide's prediction).
+ * There's no linear damping: sliding bodies are slowed by contact friction, and flying ones keep their speed.
+ */
+function applyBodyForces(entity, dt) {
+    // Apply gravity (if entity has mass)
+    if (entity.mass > 0) {
+        entity.velocity = entity.velocity.add(new Vec2(0, GRAVITY * dt));
+    }
+    entity.angularVelocity *= ANGULAR_DAMPING;
+}
+
+/**
+ * True for an awake dynamic body that is moving faster than the sleep thresholds.
+ */
+function isMoving(entity) {
+    return !entity.isStatic && !entity.isSleeping &&
+        (entity.velocity.lenSq() >= MIN_VELOCITY_FOR_SLEEP * MIN_VELOCITY_FOR_SLEEP ||
+         Math.abs(entity.angularVelocity) >= MIN_ANGULAR_VELOCITY_FOR_SLEEP);
+}
+
+/**
+ * Combines two friction coefficients (geometric mean, so a slippery surface dominates).
+ */
+function mixFriction(a, b) {
+    return Math.sqrt(a * b);
+}
+
+/**
+ * Combines two bodies' restitution: the less bouncy one wins, unless either is `bouncy`
+ * (e.g. rubber), which bounces whatever hits it.
+ */
+function mixRestitution(a, b) {
+    const ea = a.restitution ?? RESTITUTION;
+    const eb = b.restitution ?? RESTITUTION;
+    return a.bouncy || b.bouncy ? Math.max(ea, eb) : Math.min(ea, eb);
+}
+
 /**
  * The main physics world simulation.
  */
 export class PhysicsWorld {
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.broadPhase] Pair culling strategy (see broadphase.js). Defaults to a spatial hash.
+     * @param {function(object, object, number, Vec2)} [options.onImpact] Called as (a, b, impulseMagnitude, point)
+     *        for every impact the entities hear about through onCollision, for effects that live outside the entities.
+     */
+    constructor(options = {}) {
         this.entities = [];
         this.collisions = [];
+        this.manifolds = new Map(); // Contact manifolds from the previous step, keyed by entity pair
+        this.joints = [];
+        this.broadPhase = options.broadPhase ?? new SpatialHashBroadPhase();
+        this.onImpact = options.onImpact ?? null;
     }
 
     addEntity(entity) {
@@ -47,108 +438,331 @@ export class PhysicsWorld {
         const index = this.entities.indexOf(entity);
         if (index > -1) {
             this.entities.splice(index, 1);
+            this.joints = this.joints.filter(joint => !joint.involves(entity));
+            this.wakeNeighbours(entity);
         }
     }
 
+    /**
+     * Adds a joint (see joints.js) between entities already in the world.
+     * @param {object} joint
+     * @returns {object} The joint, for chaining
+     */
+    addJoint(joint) {
+        if (joint && !this.joints.includes(joint)) {
+            this.joints.push(joint);
+        }
+        return joint;
+    }
+
+    removeJoint(joint) {
+        const index = this.joints.indexOf(joint);
+        if (index > -1) {
+            this.joints.splice(index, 1);
+        }
+    }
+
+    /**
+     * Wakes every body close enough to have been resting on (or supporting) `entity`.
+     * Two sleeping bodies never generate contacts, so without this a block could stay
+     * asleep in mid-air after whatever held it up is destroyed.
+     */
+    wakeNeighbours(entity) {
+        const reach = boundingRadius(entity.collisionShape) + CONTACT_MARGIN;
+        for (const other of this.entities) {
+            if (!other.isSleeping) continue;
+            const maxDist = reach + boundingRadius(other.collisionShape);
+            if (other.position.sub(entity.position).lenSq() <= maxDist * maxDist) {
+                other.wake();
+            }
+        }
+    }
+
+    /**
+     * Applies an outward impulse to every entity within `radius` of `origin`.
+     * The impulse falls off linearly with distance, measured to the entity's edge
+     * so large blocks aren't shielded by their own size.
+     * @param {Vec2} origin Blast centre
+     * @param {number} radius Blast radius in pixels
+     * @param {number} magnitude Impulse applied at the centre of the blast
+     * @param {object} [exclude] Entity to skip (usually the source of the blast)
+     * @returns {Array<{entity: object, falloff: number}>} Entities caught in the blast (0-1 falloff)
+     */
+    applyRadialImpulse(origin, radius, magnitude, exclude = null) {
+        const hits = [];
+        for (const entity of this.entities) {
+            if (entity === exclude || entity.markedForRemoval) continue;
+
+            const offset = entity.position.sub(origin);
+            const dist = Math.max(0, offset.len() - boundingRadius(entity.collisionShape));
+            if (dist >= radius) continue;
+
+            const falloff = 1 - dist / radius;
+            if (!entity.isStatic && entity.mass > 0) {
+                entity.wake();
+                const direction = offset.lenSq() > 0 ? offset.normalize() : new Vec2(0, -1); // Straight up if dead centre
+                entity.velocity = entity.velocity.add(direction.mul(magnitude * falloff / entity.mass));
+            }
+            hits.push({ entity, falloff });
+        }
+        return hits;
+    }
+
     /**
      * Advances the simulation by one time step.
      * @param {number} dt Delta time (usually TIME_STEP)
      */
     update(dt) {
-        // 1. Apply forces (like gravity)
+        // 1. Find contacts at the current positions and carry over last step's impulses
+        this.collisions = this.detectCollisions();
+        this.wakeTouchedSleepers(this.collisions);
+        this.updateManifolds(this.collisions);
+
+        // 2. Apply forces (like gravity)
         this.applyForces(dt);
 
-        // 2. Integrate velocity and update position
+        // 3. Solve contact, friction and joint impulses (sequential impulses with warm starting)
+        this.resolveCollisions(dt);
+
+        // 4. Integrate velocity and update position
         this.integrate(dt);
 
-        // --- Collision Resolution Sub-steps ---
-        // Running detection and resolution multiple times helps stabilize stacks.
-        const subSteps = 8; // Increased number of iterations
-        for (let i = 0; i < subSteps; i++) {
-            this.collisions = this.detectCollisions();
-            this.resolveCollisions(dt); // Pass the original dt for impulse calculations, but run the resolution multiple times
-        }
+        // 5. Push apart whatever still overlaps. Done on positions rather than through the
+        //    solver so the correction never feeds into the warm-started impulses.
+        this.correctPositions();
 
-        // 5. Handle sleeping/waking (after all resolutions)
+        // 6. Handle sleeping/waking (after all resolutions)
         this.updateSleepState(dt);
     }
 
     applyForces(dt) {
         for (const entity of this.entities) {
             if (entity.isStatic || entity.isSleeping) continue;
-
-            // Apply gravity (if entity has mass)
-            if (entity.mass > 0) {
-                entity.velocity = entity.velocity.add(new Vec2(0, GRAVITY * dt));
-            }
-            // Apply linear damping (friction)
-            entity.velocity = entity.velocity.mul(FRICTION);
+            applyBodyForces(entity, dt);
         }
     }
 
     integrate(dt) {
+        const bullets = [];
         for (const entity of this.entities) {
             if (entity.isStatic || entity.isSleeping) continue;
-            entity.position = entity.position.add(entity.velocity.mul(dt));
-
-            // NaN Check
-            if (isNaN(entity.position.x) || isNaN(entity.position.y) || isNaN(entity.velocity.x) || isNaN(entity.velocity.y)) {
-                console.warn(`NaN detected in entity ${entity.constructor.name} (ID: ${entity.id ?? 'N/A'}) after integration!`, 
-                             `Pos: (${entity.position.x}, ${entity.position.y}), Vel: (${entity.velocity.x}, ${entity.velocity.y})`);
-                // Optional: Reset state to prevent propagation, though logging is key
-                // entity.position = new Vec2(canvas.width / 2, canvas.height / 2); // Center screen? Or original position?
-                // entity.velocity = Vec2.zero();
-                // For now, just log
+            if (entity.isBullet && entity.collisionShape.type === 'circle') {
+                bullets.push(entity); // Moved last, once everything it could hit is in place
+                continue;
+            }
+            this.moveEntity(entity, entity.velocity.mul(dt), dt);
+        }
+
+        if (bullets.length > 0) {
+            this.updateBroadPhase();
+            for (const bullet of bullets) {
+                const motion = bullet.velocity.mul(dt);
+                this.moveEntity(bullet, motion.mul(this.sweepCircle(bullet, motion)), dt);
+            }
+        }
+    }
+
+    /** Applies one step of movement and rotation to an entity */
+    moveEntity(entity, displacement, dt) {
+        entity.position = entity.position.add(displacement);
+        entity.angle += entity.angularVelocity * dt;
+
+        // NaN Check
+        if (isNaN(entity.position.x) || isNaN(entity.position.y) || isNaN(entity.velocity.x) || isNaN(entity.velocity.y)) {
+            console.warn(`NaN detected in entity ${entity.constructor.name} (ID: ${entity.id ?? 'N/A'}) after integration!`, 
+                         `Pos: (${entity.position.x}, ${entity.position.y}), Vel: (${entity.velocity.x}, ${entity.velocity.y})`);
+            // Optional: Reset state to prevent propagation, though logging is key
+            // entity.position = new Vec2(canvas.width / 2, canvas.height / 2); // Center screen? Or original position?
+            // entity.velocity = Vec2.zero();
+            // For now, just log
+        }
+    }
+
+    /**
+     * Continuous collision detection for a circle: sweeps it along this step's motion
+     * and finds the first shape it would touch, so a fast body can't pass through a
+     * thin one between two steps.
+     * @param {object} entity Circle-shaped entity
+     * @param {Vec2} motion Displacement it would make this step
+     * @returns {number} Fraction of `motion` it can travel (1 if nothing is in the way)
+     */
+    sweepCircle(entity, motion) {
+        const hit = this.castCircle(entity, motion);
+        if (!hit) return 1;
+
+        // Stop just short of the surface; next step's contact picks it up (within CONTACT_MARGIN)
+        // with the bullet's full velocity, so the impact, damage and bounce all still happen.
+        return Math.max(0, hit.fraction - (CONTACT_MARGIN / 2) / motion.len());
+    }
+
+    /**
+     * Finds the first shape a circle-shaped entity would touch moving by `motion`, using the
+     * broad phase as last updated. Shapes it already overlaps and ones it passes through are skipped.
+     * @param {object} entity Circle-shaped entity
+     * @param {Vec2} motion
+     * @param {function(object): boolean} [filter] Return false to ignore an entity
+     * @returns {{entity: object, fraction: number, normal: Vec2}|null} Fraction of `motion` travelled to the hit
+     */
+    castCircle(entity, motion, filter = null) {
+        if (motion.lenSq() === 0) return null;
+
+        const radius = entity.collisionShape.radius;
+        const from = entity.position;
+        const to = from.add(motion);
+        const sweptBounds = {
+            minX: Math.min(from.x, to.x) - radius, minY: Math.min(from.y, to.y) - radius,
+            maxX: Math.max(from.x, to.x) + radius, maxY: Math.max(from.y, to.y) + radius,
+        };
+
+        let closest = null;
+        for (const other of this.broadPhase.queryAABB(sweptBounds)) {
+            if (other === entity || passesThrough(entity, other)) continue;
+            if (filter && !filter(other)) continue;
+            const hit = rayShape(from, motion, other, radius);
+            if (!hit || hit.inside) continue; // Already overlapping: the contact solver deals with it
+            if (hit.fraction < 1 && (!closest || hit.fraction < closest.fraction)) {
+                closest = { entity: other, fraction: hit.fraction, normal: hit.normal };
+            }
+        }
+        return closest;
+    }
+
+    /**
+     * Predicts the flight of a circle-shaped body launched with `velocity` from where it is now:
+     * the same force and integration steps update() would give it, up to the first shape it would
+     * touch. Runs on a stand-in for the body, so the world is left as it was. Used for the aiming guide.
+     * @param {object} body Circle-shaped entity (need not be in the world)
+     * @param {Vec2} velocity Velocity it has just before its first step
+     * @param {number} steps Most steps to look ahead
+     * @param {object} [overrides] Fields to set on the stand-in (e.g. the state it will be in when flying)
+     * @returns {{points: Array<Vec2>, hit: {entity: object, point: Vec2, normal: Vec2}|null}}
+     *          Its position after every step, ending where it touches `hit` (null if it touches nothing)
+     */
+    predictPath(body, velocity, steps, overrides = {}) {
+        const probe = Object.assign(Object.create(body), { velocity, isStatic: false, isSleeping: false }, overrides);
+        const points = [probe.position];
+        const solid = other => other !== body && !other.markedForRemoval;
+        this.updateBroadPhase();
+
+        for (let i = 0; i < steps; i++) {
+            applyBodyForces(probe, TIME_STEP);
+            const motion = probe.velocity.mul(TIME_STEP);
+            const hit = this.castCircle(probe, motion, solid);
+            if (hit) {
+                const point = probe.position.add(motion.mul(hit.fraction));
+                points.push(point);
+                return { points, hit: { entity: hit.entity, point, normal: hit.normal } };
             }
+            probe.position = probe.position.add(motion);
+            points.push(probe.position);
         }
+        return { points, hit: null };
+    }
+
+    /**
+     * Hands the current bounds of every entity to the broad phase. The bounds are padded
+     * by CONTACT_MARGIN so pairs that are close but not yet touching still get a contact.
+     */
+    updateBroadPhase() {
+        this.broadPhase.update(this.entities.map(entity => ({ entity, aabb: getAABB(entity, CONTACT_MARGIN) })));
     }
 
     detectCollisions() {
         const collisions = [];
-        const count = this.entities.length;
+        const jointed = this.joints.filter(joint => !joint.collideConnected);
 
-        for (let i = 0; i < count; i++) {
+        // Broad phase: only pairs whose bounds overlap, in the same order as an all-pairs loop
+        this.updateBroadPhase();
+        for (const [i, j] of this.broadPhase.getPairs()) {
             const entityA = this.entities[i];
-            if (entityA.isStatic && !entityA.canCollideStatic) continue; // Skip static-static unless specified
+            const entityB = this.entities[j];
 
-            for (let j = i + 1; j < count; j++) {
-                const entityB = this.entities[j];
+            // Skip pairs where neither body can move (static or sleeping on both sides). Applied to
+            // the pairs after the broad phase, so every broad phase skips the same ones. Such a pair
+            // has nothing to resolve (neither body is integrated); once one wakes it's tested again.
+            if ((entityA.isStatic || entityA.isSleeping) &&
+                (entityB.isStatic || entityB.isSleeping))
+            {
+                continue;
+            }
 
-                // Skip static-static or sleeping pairs
-                if ((entityA.isStatic && entityB.isStatic) ||
-                    (entityA.isSleeping && entityB.isSleeping))
-                {
-                    continue;
-                }
+            // Bodies held together by a joint usually overlap at the pin; leave them to the joint
+            if (jointed.some(joint => joint.connects(entityA, entityB))) continue;
 
-                const collisionInfo = this.checkCollision(entityA, entityB);
-                if (collisionInfo) {
-                    collisions.push(collisionInfo);
-                }
+            // Narrow phase
+            const collisionInfo = this.checkCollision(entityA, entityB);
+            if (!collisionInfo) continue;
+
+            // Some bodies smash straight through others (e.g. a heavy bird through glass)
+            if (passesThrough(entityA, entityB)) {
+                entityA.onPassThrough?.(entityB);
+                entityB.onPassThrough?.(entityA);
+                continue;
             }
+            collisions.push(collisionInfo);
         }
         return collisions;
     }
 
+    /**
+     * Entities whose bounds overlap a rectangle, in world order.
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} rect
+     * @returns {Array<object>}
+     */
+    queryAABB(rect) {
+        this.updateBroadPhase();
+        return this.broadPhase.queryAABB(rect);
+    }
+
+    /**
+     * Casts a segment through the world and returns the first shape it hits.
+     * @param {Vec2} from Start of the ray
+     * @param {Vec2} to End of the ray
+     * @param {function(object): boolean} [filter] Return false to ignore an entity
+     * @returns {{entity: object, point: Vec2, normal: Vec2, fraction: number}|null}
+     *          The normal is the surface normal at the hit, facing back along the ray.
+     */
+    raycast(from, to, filter = null) {
+        this.updateBroadPhase();
+        const dir = to.sub(from);
+        let closest = null;
+        for (const { entity, fraction } of this.broadPhase.raycast(from, to)) {
+            if (closest && fraction > closest.fraction) break; // Candidates come nearest first
+            if (filter && !filter(entity)) continue;
+
+            const hit = rayShape(from, dir, entity);
+            if (hit && (!closest || hit.fraction < closest.fraction)) {
+                closest = { entity, point: from.add(dir.mul(hit.fraction)), normal: hit.normal, fraction: hit.fraction };
+            }
+        }
+        return closest;
+    }
+
     /**
      * Checks collision between two entities based on their shape.
      * @param {object} a Entity A
      * @param {object} b Entity B
-     * @returns {object|null} Collision info {a, b, normal, penetration} or null
+     * @returns {object|null} Collision info {a, b, normal, penetration, contacts} or null.
+     *          The normal points from A to B; contacts are world-space points with their own depth
+     *          (slightly negative when the bodies are within CONTACT_MARGIN but not yet touching).
      */
     checkCollision(a, b) {
         const shapeA = a.collisionShape;
         const shapeB = b.collisionShape;
+        const polygonalA = shapeA.type === 'box' || shapeA.type === 'polygon';
+        const polygonalB = shapeB.type === 'box' || shapeB.type === 'polygon';
 
         if (shapeA.type === 'circle' && shapeB.type === 'circle') {
             return this.checkCircleCircle(a, b);
-        } else if (shapeA.type === 'aabb' && shapeB.type === 'aabb') {
-            return this.checkAABBAABB(a, b);
-        } else if (shapeA.type === 'circle' && shapeB.type === 'aabb') {
-            return this.checkCircleAABB(a, b);
-        } else if (shapeA.type === 'aabb' && shapeB.type === 'circle') {
-            const result = this.checkCircleAABB(b, a); // Swap order
+        } else if (polygonalA && polygonalB) {
+            return this.checkPolygonPolygon(a, b);
+        } else if (shapeA.type === 'circle' && polygonalB) {
+            return this.checkCirclePolygonal(a, b);
+        } else if (polygonalA && shapeB.type === 'circle') {
+            const result = this.checkCirclePolygonal(b, a); // Swap order
             if (result) {
+                result.a = a;
+                result.b = b;
                 result.normal = result.normal.mul(-1); // Invert normal
             }
             return result;
@@ -161,151 +775,498 @@ export class PhysicsWorld {
         const distVec = b.position.sub(a.position);
         const distSq = distVec.lenSq();
 
-        if (distSq < r * r) {
+        if (distSq < (r + CONTACT_MARGIN) ** 2) {
             const dist = Math.sqrt(distSq);
             const normal = dist > 0 ? distVec.div(dist) : new Vec2(1, 0);
             const penetration = r - dist;
-            return { a, b, normal, penetration };
+            const point = a.position.add(normal.mul(a.collisionShape.radius - penetration / 2));
+            return { a, b, normal, penetration, contacts: [{ point, penetration, id: 'c' }] };
         }
         return null;
     }
 
-    checkAABBAABB(a, b) {
-        const posA = a.position;
-        const posB = b.position;
-        const halfA = { w: a.collisionShape.width / 2, h: a.collisionShape.height / 2 };
-        const halfB = { w: b.collisionShape.width / 2, h: b.collisionShape.height / 2 };
+    /**
+     * Convex polygon (or oriented box) vs convex polygon using the separating axis test.
+     * Contact points come from clipping the incident edge against the reference face.
+     */
+    checkPolygonPolygon(a, b) {
+        const polyA = getPolygon(a);
+        const polyB = getPolygon(b);
 
-        const vec = posB.sub(posA);
-        const overlapX = (halfA.w + halfB.w) - Math.abs(vec.x);
-        const overlapY = (halfA.h + halfB.h) - Math.abs(vec.y);
+        const faceA = findAxisOfLeastPenetration(polyA, polyB);
+        if (faceA.separation > CONTACT_MARGIN) return null;
+        const faceB = findAxisOfLeastPenetration(polyB, polyA);
+        if (faceB.separation > CONTACT_MARGIN) return null;
 
-        if (overlapX > 0 && overlapY > 0) {
-            let normal, penetration;
-            if (overlapX < overlapY) {
-                penetration = overlapX;
-                normal = new Vec2(vec.x < 0 ? -1 : 1, 0);
-            } else {
-                penetration = overlapY;
-                normal = new Vec2(0, vec.y < 0 ? -1 : 1);
+        // Prefer A as the reference unless B is clearly better, to keep contacts stable frame to frame
+        const flip = faceB.separation > faceA.separation * 0.95 + 0.01;
+        const ref = flip ? polyB : polyA;
+        const inc = flip ? polyA : polyB;
+        const refIndex = flip ? faceB.index : faceA.index;
+
+        const refNormal = ref.normals[refIndex];
+        const v1 = ref.vertices[refIndex];
+        const v2 = ref.vertices[(refIndex + 1) % ref.vertices.length];
+
+        // Incident edge: the face of the other polygon most anti-parallel to the reference normal
+        let incIndex = 0;
+        let minDot = Infinity;
+        for (let i = 0; i < inc.normals.length; i++) {
+            const d = refNormal.dot(inc.normals[i]);
+            if (d < minDot) {
+                minDot = d;
+                incIndex = i;
             }
-            return { a, b, normal, penetration };
         }
-        return null;
+        let points = [
+            { point: inc.vertices[incIndex], slot: 0 },
+            { point: inc.vertices[(incIndex + 1) % inc.vertices.length], slot: 1 },
+        ];
+
+        // Clip against the side planes of the reference face
+        const tangent = v2.sub(v1).normalize();
+        points = clipSegment(points, tangent.mul(-1), -tangent.dot(v1));
+        if (points.length < 2) return null;
+        points = clipSegment(points, tangent, tangent.dot(v2));
+        if (points.length < 2) return null;
+
+        // Keep points that are behind (or just in front of) the reference face. The ID names
+        // the features that produced the point so the solver can match it up next step.
+        const contacts = [];
+        for (const { point, slot } of points) {
+            const separation = refNormal.dot(point.sub(v1));
+            if (separation <= CONTACT_MARGIN) {
+                contacts.push({ point, penetration: -separation, id: `${flip ? 1 : 0}:${refIndex}:${incIndex}:${slot}` });
+            }
+        }
+        if (contacts.length === 0) return null;
+
+        const normal = flip ? refNormal.mul(-1) : refNormal;
+        const penetration = Math.max(...contacts.map(c => c.penetration));
+        return { a, b, normal, penetration, contacts };
+    }
+
+    /** Circle vs a box or polygon shape */
+    checkCirclePolygonal(circle, other) {
+        return other.collisionShape.type === 'box' ? this.checkCircleBox(circle, other) : this.checkCirclePolygon(circle, other);
     }
 
-    checkCircleAABB(circle, aabb) {
-        const circlePos = circle.position;
-        const aabbPos = aabb.position;
-        const halfW = aabb.collisionShape.width / 2;
-        const halfH = aabb.collisionShape.height / 2;
+    /**
+     * Circle vs convex polygon: the polygon face the centre is furthest outside of decides
+     * whether they touch, then the centre's Voronoi region (face or corner) gives the normal.
+     * @returns {object|null} Collision info with the normal pointing from the circle to the polygon.
+     */
+    checkCirclePolygon(circle, polygon) {
+        const { vertices, normals } = getPolygon(polygon);
         const radius = circle.collisionShape.radius;
+        const center = circle.position;
 
-        // Vector from AABB center to circle center
-        const vec = circlePos.sub(aabbPos);
+        let separation = -Infinity;
+        let face = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const s = normals[i].dot(center.sub(vertices[i]));
+            if (s > separation) {
+                separation = s;
+                face = i;
+            }
+        }
+        if (separation > radius + CONTACT_MARGIN) return null;
 
-        // Find closest point on AABB to circle center
-        const closestX = Math.max(-halfW, Math.min(vec.x, halfW));
-        const closestY = Math.max(-halfH, Math.min(vec.y, halfH));
-        const closestPoint = new Vec2(closestX, closestY);
+        const v1 = vertices[face];
+        const v2 = vertices[(face + 1) % vertices.length];
+        let normal, point, penetration;
+        if (separation > 0 && center.sub(v1).dot(v2.sub(v1)) < 0) {
+            ({ normal, point, penetration } = this.circleCorner(center, radius, v1));
+        } else if (separation > 0 && center.sub(v2).dot(v1.sub(v2)) < 0) {
+            ({ normal, point, penetration } = this.circleCorner(center, radius, v2));
+        } else {
+            // Facing the edge (or centre inside the polygon): push out through that face
+            normal = normals[face].mul(-1);
+            point = center.add(normal.mul(separation));
+            penetration = radius - separation;
+        }
+        if (!normal) return null;
+        return { a: circle, b: polygon, normal, penetration, contacts: [{ point, penetration, id: 'c' }] };
+    }
 
-        // Vector from closest point to circle center
-        const delta = vec.sub(closestPoint);
+    /** Contact between a circle and a polygon corner (normal from the circle to the corner), or all nulls */
+    circleCorner(center, radius, corner) {
+        const delta = center.sub(corner);
         const distSq = delta.lenSq();
+        if (distSq >= (radius + CONTACT_MARGIN) ** 2) return { normal: null, point: null, penetration: 0 };
+        const dist = Math.sqrt(distSq);
+        return { normal: dist > 0 ? delta.div(-dist) : new Vec2(0, 1), point: corner, penetration: radius - dist };
+    }
+
+    /**
+     * Circle vs oriented box. Works in the box's local frame.
+     * @returns {object|null} Collision info with the normal pointing from the circle to the box.
+     */
+    checkCircleBox(circle, box) {
+        const halfW = box.collisionShape.width / 2;
+        const halfH = box.collisionShape.height / 2;
+        const radius = circle.collisionShape.radius;
+        const angle = box.angle ?? 0;
+
+        // Circle centre in box space
+        const local = circle.position.sub(box.position).rotate(-angle);
+
+        const inside = Math.abs(local.x) <= halfW && Math.abs(local.y) <= halfH;
+        let closest, localNormal, penetration;
 
-        if (distSq < radius * radius) {
+        if (!inside) {
+            closest = new Vec2(
+                Math.max(-halfW, Math.min(local.x, halfW)),
+                Math.max(-halfH, Math.min(local.y, halfH))
+            );
+            const delta = local.sub(closest);
+            const distSq = delta.lenSq();
+            if (distSq >= (radius + CONTACT_MARGIN) ** 2) return null;
             const dist = Math.sqrt(distSq);
-            const normal = dist > 0 ? delta.div(dist) : vec.normalize(); // Fallback if circle center inside AABB
-            const penetration = radius - dist;
-            return { a: circle, b: aabb, normal, penetration };
+            localNormal = dist > 0 ? delta.div(-dist) : new Vec2(0, 1); // Circle -> box
+            penetration = radius - dist;
+        } else {
+            // Centre inside the box: push out through the nearest face
+            const dx = halfW - Math.abs(local.x);
+            const dy = halfH - Math.abs(local.y);
+            if (dx < dy) {
+                closest = new Vec2(Math.sign(local.x || 1) * halfW, local.y);
+                localNormal = new Vec2(-Math.sign(local.x || 1), 0);
+                penetration = radius + dx;
+            } else {
+                closest = new Vec2(local.x, Math.sign(local.y || 1) * halfH);
+                localNormal = new Vec2(0, -Math.sign(local.y || 1));
+                penetration = radius + dy;
+            }
         }
-        return null;
+
+        const normal = localNormal.rotate(angle);
+        const point = closest.rotate(angle).add(box.position);
+        return { a: circle, b: box, normal, penetration, contacts: [{ point, penetration, id: 'c' }] };
     }
 
 
+    /**
+     * Wakes a sleeping body when something moving runs into it or pulls on it through a
+     * joint. A sleeper that is only being rested on stays asleep and acts as solid ground, so a stack can settle
+     * one body at a time instead of every body waking its neighbours forever.
+     * @param {Array<object>} collisions Freshly detected collisions
+     */
+    wakeTouchedSleepers(collisions) {
+        for (const { a, b } of [...collisions, ...this.joints.map(joint => ({ a: joint.bodyA, b: joint.bodyB }))]) {
+            if (a.isSleeping && isMoving(b)) a.wake();
+            if (b.isSleeping && isMoving(a)) b.wake();
+        }
+    }
+
+    /**
+     * Matches this step's contacts with last step's by pair and feature ID, copying
+     * the accumulated impulses across so resting contacts start from a good guess.
+     * @param {Array<object>} collisions Freshly detected collisions
+     */
+    updateManifolds(collisions) {
+        const manifolds = new Map();
+        for (const collision of collisions) {
+            const key = `${collision.a.id}|${collision.b.id}`;
+            const previous = this.manifolds.get(key);
+            for (const contact of collision.contacts) {
+                const match = WARM_STARTING && previous ? previous.contacts.find(c => c.id === contact.id) : null;
+                contact.normalImpulse = match ? match.normalImpulse : 0;
+                contact.tangentImpulse = match ? match.tangentImpulse : 0;
+            }
+            manifolds.set(key, collision);
+        }
+        this.manifolds = manifolds;
+    }
+
     resolveCollisions(dt) {
-        for (const collision of this.collisions) {
-            const { a, b, normal, penetration } = collision;
+        const active = [];
 
-            // Wake up sleeping objects involved in collision
-            if (a.isSleeping) a.wake();
-            if (b.isSleeping) b.wake();
+        // --- Pre-step: effective masses, bias, restitution and warm starting ---
+        for (const collision of this.collisions) {
+            const { a, b, normal, contacts } = collision;
 
-            const invMassA = a.mass > 0 ? 1 / a.mass : 0;
-            const invMassB = b.mass > 0 ? 1 / b.mass : 0;
+            // A sleeping body that nothing moving has touched holds still like a static one
+            const fixedA = a.isStatic || a.isSleeping;
+            const fixedB = b.isStatic || b.isSleeping;
+            const invMassA = fixedA || a.mass <= 0 ? 0 : 1 / a.mass;
+            const invMassB = fixedB || b.mass <= 0 ? 0 : 1 / b.mass;
+            const invInertiaA = fixedA || !a.inertia ? 0 : 1 / a.inertia;
+            const invInertiaB = fixedB || !b.inertia ? 0 : 1 / b.inertia;
             const totalInvMass = invMassA + invMassB;
 
             if (totalInvMass === 0) continue; // Both objects are static
 
-            // Separate overlapping objects (Positional Correction)
-            const penetrationSlop = 0.1; // Allow tiny overlaps to prevent jitter
-            const correctionPercent = 0.8; // How much of the penetration to correct per step (adjust between 0.2 and 0.8)
-            // Ensure correctionMagnitude doesn't become NaN if totalInvMass is somehow zero (though checked above)
-            const correctionMagnitude = (Math.max(penetration - penetrationSlop, 0) / (totalInvMass || 1e-9)) * correctionPercent; 
-            const correction = normal.mul(correctionMagnitude);
+            // Calculate restitution (bounciness) and friction for the pair
+            const e = mixRestitution(a, b);
+            const staticFriction = mixFriction(a.staticFriction ?? STATIC_FRICTION, b.staticFriction ?? STATIC_FRICTION);
+            const dynamicFriction = mixFriction(a.dynamicFriction ?? DYNAMIC_FRICTION, b.dynamicFriction ?? DYNAMIC_FRICTION);
+            const tangent = normal.perp();
+
+            Object.assign(collision, { invMassA, invMassB, invInertiaA, invInertiaB, tangent });
+            collision.impactImpulse = 0;
+
+            for (const contact of contacts) {
+                contact.ra = contact.point.sub(a.position);
+                contact.rb = contact.point.sub(b.position);
+
+                const raCrossN = contact.ra.cross(normal);
+                const rbCrossN = contact.rb.cross(normal);
+                contact.normalMass = 1 / (totalInvMass + raCrossN * raCrossN * invInertiaA + rbCrossN * rbCrossN * invInertiaB);
+
+                const raCrossT = contact.ra.cross(tangent);
+                const rbCrossT = contact.rb.cross(tangent);
+                contact.tangentMass = 1 / (totalInvMass + raCrossT * raCrossT * invInertiaA + rbCrossT * rbCrossT * invInertiaB);
 
-            const oldPosA = a.position; // Store old pos for NaN check
-            const oldPosB = b.position;
+                // Relative velocity at the contact, including the rotational part
+                const rv = this.relativeVelocity(a, b, contact);
+                const velAlongNormal = rv.dot(normal);
+                const slideSpeed = Math.abs(rv.dot(tangent));
 
-            if (!a.isStatic) a.position = a.position.sub(correction.mul(invMassA));
-            if (!b.isStatic) b.position = b.position.add(correction.mul(invMassB));
+                // A contact that is still a small gap away only acts once the bodies would
+                // close that gap this step; until then they may keep approaching.
+                const gap = Math.max(-contact.penetration, 0);
+                const closing = -velAlongNormal * dt >= gap;
 
-            // NaN check after positional correction
-            if (isNaN(a.position.x) || isNaN(a.position.y)) {
-                 console.warn(`NaN detected in entity A (${a.constructor.name}) after positional correction! Resetting.`,
-                             `Old Pos: (${oldPosA.x}, ${oldPosA.y}), Correction: (${correction.x * invMassA}, ${correction.y * invMassA}), Pen: ${penetration}, Normal: (${normal.x}, ${normal.y})`);
-                 a.position = oldPosA; // Revert position
+                // Bounce only on real impacts
+                const impact = closing && -velAlongNormal > RESTING_CONTACT_SPEED;
+                const bounce = impact ? e : 0;
+                contact.velocityBias = closing ? -bounce * velAlongNormal : -gap / dt;
+
+                // Coulomb friction: use the static coefficient until the contact is sliding
+                contact.friction = slideSpeed < STATIC_FRICTION_SPEED ? staticFriction : dynamicFriction;
+
+                // Impulse needed to stop the approach, reported to the entities for damage.
+                // Resting contacts (just gravity pressing down) aren't reported, so they don't wake or hurt anything.
+                if (impact) {
+                    collision.impactImpulse += (1 + bounce) * -velAlongNormal * contact.normalMass / contacts.length;
+                }
             }
-             if (isNaN(b.position.x) || isNaN(b.position.y)) {
-                 console.warn(`NaN detected in entity B (${b.constructor.name}) after positional correction! Resetting.`,
-                             `Old Pos: (${oldPosB.x}, ${oldPosB.y}), Correction: (${correction.x * invMassB}, ${correction.y * invMassB}), Pen: ${penetration}, Normal: (${normal.x}, ${normal.y})`);
-                 b.position = oldPosB; // Revert position
+
+            // Two-point manifolds are solved as one 2x2 problem so both ends of a resting
+            // edge get their share at once; solving them in turn rocks the body and stacks creep.
+            collision.blockSolve = false;
+            if (contacts.length === 2) {
+                const [c1, c2] = contacts;
+                const rn1A = c1.ra.cross(normal), rn1B = c1.rb.cross(normal);
+                const rn2A = c2.ra.cross(normal), rn2B = c2.rb.cross(normal);
+                const k11 = totalInvMass + invInertiaA * rn1A * rn1A + invInertiaB * rn1B * rn1B;
+                const k22 = totalInvMass + invInertiaA * rn2A * rn2A + invInertiaB * rn2B * rn2B;
+                const k12 = totalInvMass + invInertiaA * rn1A * rn2A + invInertiaB * rn1B * rn2B;
+                const det = k11 * k22 - k12 * k12;
+                // Skip the block solve when the two points are nearly redundant (ill-conditioned)
+                if (k11 * k11 < 1000 * det) {
+                    collision.blockSolve = true;
+                    collision.K = { k11, k12, k22, det };
+                }
             }
+            active.push(collision);
+        }
 
+        // Warm start: re-apply the impulses that held each contact last step. Done after every
+        // contact has measured its approach speed, so restitution doesn't see these impulses.
+        for (const collision of active) {
+            for (const contact of collision.contacts) {
+                this.applyImpulse(collision, contact,
+                    collision.normal.mul(contact.normalImpulse).add(collision.tangent.mul(contact.tangentImpulse)));
+            }
+        }
 
-            // Calculate relative velocity
-            const rv = b.velocity.sub(a.velocity);
+        // Joints set up (and warm start) the same way
+        const activeJoints = this.joints.filter(joint => joint.preStep(dt));
 
-            // Calculate relative velocity in terms of the normal direction
-            const velAlongNormal = rv.dot(normal);
+        // --- Iterate: joints, then friction inside the cone, then normal impulses with clamped accumulation ---
+        for (let iteration = 0; iteration < VELOCITY_ITERATIONS; iteration++) {
+            for (const joint of activeJoints) {
+                joint.solveVelocity(dt);
+            }
+            for (const collision of active) {
+                const { a, b, tangent, contacts } = collision;
 
-            // Do not resolve if velocities are separating
-            if (velAlongNormal > 0) continue;
+                // Tangent (friction), limited by the normal impulse
+                for (const contact of contacts) {
+                    const vt = this.relativeVelocity(a, b, contact).dot(tangent);
+                    let dPt = contact.tangentMass * -vt;
+                    const maxPt = contact.friction * contact.normalImpulse;
+                    const oldPt = contact.tangentImpulse;
+                    contact.tangentImpulse = Math.max(-maxPt, Math.min(oldPt + dPt, maxPt));
+                    dPt = contact.tangentImpulse - oldPt;
+                    this.applyImpulse(collision, contact, tangent.mul(dPt));
+                }
 
-            // Calculate restitution (bounciness)
-            const e = Math.min(a.restitution ?? RESTITUTION, b.restitution ?? RESTITUTION);
+                // Normal
+                if (collision.blockSolve) {
+                    this.solveNormalBlock(collision);
+                } else {
+                    for (const contact of contacts) {
+                        this.solveNormalPoint(collision, contact);
+                    }
+                }
+            }
+        }
 
-            // Calculate impulse scalar (magnitude)
-            // Simplified impulse formula (without tangential friction for now)
-            let j = -(1 + e) * velAlongNormal;
-            // Ensure j doesn't become NaN/Infinity if totalInvMass is zero (checked earlier, but safety)
-            j /= (totalInvMass || 1e-9); 
+        // Joints pulled harder than their strength snap; whatever they held is woken to fall
+        for (const joint of activeJoints) {
+            joint.finishStep(dt);
+            if (joint.isBroken) {
+                this.removeJoint(joint);
+                for (const body of [joint.bodyA, joint.bodyB]) {
+                    if (body.isSleeping) body.wake();
+                }
+            }
+        }
 
-            // Apply impulse
-            const impulseVec = normal.mul(j);
+        for (const collision of active) {
+            const { a, b } = collision;
 
-            const oldVelA = a.velocity; // Store old vel for NaN check
-            const oldVelB = b.velocity;
+            // NaN check after impulses
+            for (const entity of [a, b]) {
+                if (isNaN(entity.velocity.x) || isNaN(entity.velocity.y) || isNaN(entity.angularVelocity)) {
+                    console.warn(`NaN detected in entity ${entity.constructor.name} (ID: ${entity.id ?? 'N/A'}) velocity after contact solve! Resetting.`);
+                    entity.velocity = Vec2.zero();
+                    entity.angularVelocity = 0;
+                }
+            }
 
-            if (!a.isStatic) a.velocity = a.velocity.sub(impulseVec.mul(invMassA));
-            if (!b.isStatic) b.velocity = b.velocity.add(impulseVec.mul(invMassB));
+            // Notify entities about the collision
+            if (collision.impactImpulse <= 0) continue;
+            if (a.onCollision) a.onCollision(b, collision.impactImpulse);
+            if (b.onCollision) b.onCollision(a, collision.impactImpulse);
+            if (this.onImpact) this.onImpact(a, b, collision.impactImpulse, collision.contacts[0].point);
+        }
+    }
 
-            // NaN check after impulse
-             if (isNaN(a.velocity.x) || isNaN(a.velocity.y)) {
-                 console.warn(`NaN detected in entity A (${a.constructor.name}) velocity after impulse! Resetting.`,
-                              `Old Vel: (${oldVelA.x}, ${oldVelA.y}), Impulse: (${impulseVec.x * invMassA}, ${impulseVec.y * invMassA}), j: ${j}, Normal: (${normal.x}, ${normal.y})`);
-                 a.velocity = oldVelA; // Revert velocity
+    /** Sequential normal impulse for a single contact point (accumulated impulse stays >= 0) */
+    solveNormalPoint(collision, contact) {
+        const vn = this.relativeVelocity(collision.a, collision.b, contact).dot(collision.normal);
+        let dPn = contact.normalMass * (-vn + contact.velocityBias);
+        const oldPn = contact.normalImpulse;
+        contact.normalImpulse = Math.max(oldPn + dPn, 0);
+        dPn = contact.normalImpulse - oldPn;
+        this.applyImpulse(collision, contact, collision.normal.mul(dPn));
+    }
+
+    /**
+     * Solves both normal impulses of a two-point manifold together (a tiny LCP).
+     * Tries, in order: both points pushing, only the first, only the second, neither.
+     */
+    solveNormalBlock(collision) {
+        const { a, b, normal, contacts, K } = collision;
+        const [c1, c2] = contacts;
+
+        const oldX1 = c1.normalImpulse;
+        const oldX2 = c2.normalImpulse;
+        const vn1 = this.relativeVelocity(a, b, c1).dot(normal);
+        const vn2 = this.relativeVelocity(a, b, c2).dot(normal);
+
+        // b = vn - bias - K * oldImpulse
+        const b1 = vn1 - c1.velocityBias - (K.k11 * oldX1 + K.k12 * oldX2);
+        const b2 = vn2 - c2.velocityBias - (K.k12 * oldX1 + K.k22 * oldX2);
+
+        let x1, x2;
+        // Case 1: both points active, x = -inv(K) * b
+        x1 = -(K.k22 * b1 - K.k12 * b2) / K.det;
+        x2 = -(K.k11 * b2 - K.k12 * b1) / K.det;
+        if (!(x1 >= 0 && x2 >= 0)) {
+            // Case 2: only the first point pushes
+            x1 = -b1 / K.k11;
+            x2 = 0;
+            if (!(x1 >= 0 && K.k12 * x1 + b2 >= 0)) {
+                // Case 3: only the second point pushes
+                x1 = 0;
+                x2 = -b2 / K.k22;
+                if (!(x2 >= 0 && K.k12 * x2 + b1 >= 0)) {
+                    // Case 4: both separating
+                    x1 = 0;
+                    x2 = 0;
+                }
             }
-             if (isNaN(b.velocity.x) || isNaN(b.velocity.y)) {
-                 console.warn(`NaN detected in entity B (${b.constructor.name}) velocity after impulse! Resetting.`,
-                              `Old Vel: (${oldVelB.x}, ${oldVelB.y}), Impulse: (${impulseVec.x * invMassB}, ${impulseVec.y * invMassB}), j: ${j}, Normal: (${normal.x}, ${normal.y})`);
-                 b.velocity = oldVelB; // Revert velocity
+        }
+
+        this.applyImpulse(collision, c1, normal.mul(x1 - oldX1));
+        this.applyImpulse(collision, c2, normal.mul(x2 - oldX2));
+        c1.normalImpulse = x1;
+        c2.normalImpulse = x2;
+    }
+
+    /**
+     * Separates overlapping bodies directly (Positional Correction). Contacts are
+     * re-measured from the integrated positions and each one is pushed apart on its
+     * own, turning the bodies as well, so a plank sunk on one corner levels out
+     * instead of being lifted as a whole.
+     */
+    correctPositions() {
+        for (let i = 0; i < POSITION_ITERATIONS; i++) {
+            for (const joint of this.joints) {
+                joint.solvePosition();
             }
+            for (const collision of this.collisions) {
+                const { a, b, invMassA, invMassB, invInertiaA, invInertiaB } = collision;
+                if (!invMassA && !invMassB) continue; // Both objects are static (or were skipped by the solver)
 
-            // Notify entities about the collision
-            const impulseMagnitude = impulseVec.len();
-            if (a.onCollision) a.onCollision(b, impulseMagnitude);
-            if (b.onCollision) b.onCollision(a, impulseMagnitude);
+                const current = this.checkCollision(a, b);
+                if (!current) continue;
+                const normal = current.normal;
+
+                for (const contact of current.contacts) {
+                    const correction = Math.min(
+                        (contact.penetration - PENETRATION_SLOP) * CORRECTION_PERCENT,
+                        MAX_CORRECTION
+                    );
+                    if (correction <= 0) continue;
+
+                    const ra = contact.point.sub(a.position);
+                    const rb = contact.point.sub(b.position);
+                    const rnA = ra.cross(normal);
+                    const rnB = rb.cross(normal);
+                    const k = invMassA + invMassB + rnA * rnA * invInertiaA + rnB * rnB * invInertiaB;
+                    const push = normal.mul(correction / k);
+
+                    const oldPosA = a.position; // Store old pos for NaN check
+                    const oldPosB = b.position;
+
+                    if (!a.isStatic) {
+                        a.position = a.position.sub(push.mul(invMassA));
+                        a.angle -= ra.cross(push) * invInertiaA;
+                    }
+                    if (!b.isStatic) {
+                        b.position = b.position.add(push.mul(invMassB));
+                        b.angle += rb.cross(push) * invInertiaB;
+                    }
+
+                    // NaN check after positional correction
+                    if (isNaN(a.position.x) || isNaN(a.position.y)) {
+                        console.warn(`NaN detected in entity A (${a.constructor.name}) after positional correction! Resetting.`,
+                                    `Pen: ${contact.penetration}, Normal: (${normal.x}, ${normal.y})`);
+                        a.position = oldPosA; // Revert position
+                    }
+                    if (isNaN(b.position.x) || isNaN(b.position.y)) {
+                        console.warn(`NaN detected in entity B (${b.constructor.name}) after positional correction! Resetting.`,
+                                    `Pen: ${contact.penetration}, Normal: (${normal.x}, ${normal.y})`);
+                        b.position = oldPosB; // Revert position
+                    }
+                }
+            }
+        }
+    }
+
+    /** Velocity of B relative to A at a contact point, including rotation */
+    relativeVelocity(a, b, contact) {
+        const velA = a.velocity.add(Vec2.crossSV(a.angularVelocity, contact.ra));
+        const velB = b.velocity.add(Vec2.crossSV(b.angularVelocity, contact.rb));
+        return velB.sub(velA);
+    }
+
+    /** Applies an impulse at a contact point: pushes B along it and A against it */
+    applyImpulse(collision, contact, impulse) {
+        const { a, b, invMassA, invMassB, invInertiaA, invInertiaB } = collision;
+        if (!a.isStatic) {
+            a.velocity = a.velocity.sub(impulse.mul(invMassA));
+            a.angularVelocity -= contact.ra.cross(impulse) * invInertiaA;
+        }
+        if (!b.isStatic) {
+            b.velocity = b.velocity.add(impulse.mul(invMassB));
+            b.angularVelocity += contact.rb.cross(impulse) * invInertiaB;
         }
     }
 
@@ -314,11 +1275,13 @@ export class PhysicsWorld {
             if (entity.isStatic || !entity.canSleep) continue;
 
             const speedSq = entity.velocity.lenSq();
-            if (speedSq < MIN_VELOCITY_FOR_SLEEP * MIN_VELOCITY_FOR_SLEEP) {
+            if (speedSq < MIN_VELOCITY_FOR_SLEEP * MIN_VELOCITY_FOR_SLEEP &&
+                Math.abs(entity.angularVelocity) < MIN_ANGULAR_VELOCITY_FOR_SLEEP) {
                 entity.sleepTimer += dt;
                 if (entity.sleepTimer >= SLEEP_DELAY_FRAMES * TIME_STEP) {
                     entity.isSleeping = true;
                     entity.velocity = Vec2.zero();
+                    entity.angularVelocity = 0;
                 }
             } else {
                 entity.wake(); // Reset timer if moving significantly
@@ -329,4 +1292,4 @@ export class PhysicsWorld {
 
 // Export Vec2 as well if needed by other modules
 // Export constants for use in other modules
-export { Vec2, pixelsPerMeter, GRAVITY, TIME_STEP, FRICTION }; 
\ No newline at end of file
+export { Vec2, pixelsPerMeter, GRAVITY, TIME_STEP, momentOfInertia, getAABB, getPolygon, createPolygonShape }; 
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Floating score text: points rise from where they were earned and fade out.
+ * Purely visual like the particles; drawn in world space, so it moves and zooms with the level.
+ */
+
+const POPUP_LIFE = 1.2;      // Seconds on screen
+const POPUP_RISE_SPEED = 60; // World px/s upwards
+const MIN_DAMAGE_POPUP = 20; // Smaller damage scores only show in the HUD total (chips would cover the screen)
+const MAX_POPUPS = 40;       // The oldest are dropped beyond this
+
+// Text size and colour by kind of score (see ScoreKeeper's onScore)
+const POPUP_STYLES = {
+    damage: { size: 14, color: '#ffffff' },
+    destroy: { size: 22, color: '#ffe14d' },
+    combo: { size: 26, color: '#ff8c1a' },
+    bonus: { size: 30, color: '#7dff7a' },
+};
+
+class ScorePopups {
+    constructor() {
+        this.popups = [];
+    }
+
+    /**
+     * Shows points earned at a world position.
+     * @param {number} points
+     * @param {{x: number, y: number}} position
+     * @param {string} kind 'damage', 'destroy' or 'bonus'
+     * @param {number} [combo] Combo multiplier included in the points (shown when above 1)
+     */
+    spawn(points, position, kind, combo = 1) {
+        if (kind === 'damage' && points < MIN_DAMAGE_POPUP) return;
+        const style = POPUP_STYLES[combo > 1 ? 'combo' : kind] ?? POPUP_STYLES.destroy;
+        if (this.popups.length >= MAX_POPUPS) this.popups.shift();
+        this.popups.push({
+            text: combo > 1 ? `${points} x${combo}` : `${points}`,
+            x: position.x,
+            y: position.y,
+            life: POPUP_LIFE,
+            ...style,
+        });
+    }
+
+    update(dt) {
+        for (let i = this.popups.length - 1; i >= 0; i--) {
+            const popup = this.popups[i];
+            popup.life -= dt;
+            if (popup.life <= 0) {
+                this.popups.splice(i, 1);
+                continue;
+            }
+            popup.y -= POPUP_RISE_SPEED * dt;
+        }
+    }
+
+    /** Draws every popup (call with the camera transform applied) */
+    draw(ctx) {
+        if (this.popups.length === 0) return;
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = 'rgba(0,0,0,0.6)';
+        for (const popup of this.popups) {
+            ctx.globalAlpha = Math.min(1, (popup.life / POPUP_LIFE) * 2); // Fade out over the second half
+            ctx.font = `bold ${popup.size}px sans-serif`;
+            ctx.strokeText(popup.text, popup.x, popup.y);
+            ctx.fillStyle = popup.color;
+            ctx.fillText(popup.text, popup.x, popup.y);
+        }
+        ctx.restore();
+    }
+
+    /** Removes every popup (e.g. when a level is reloaded) */
+    clear() {
+        this.popups.length = 0;
+    }
+}
+
+export { ScorePopups, MIN_DAMAGE_POPUP };
@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Small seeded random number generator, for anything that has to come out
+ * the same on every run (entity IDs in headless simulations and replays).
+ */
+
+/**
+ * Creates a seeded generator (mulberry32) with the same contract as Math.random.
+ * @param {number} seed Any 32-bit integer
+ * @returns {function(): number} Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export { createRandom };
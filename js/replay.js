@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Shot replays: records the inputs of a level attempt and plays them back.
+ * A replay is just the input stream (every launch vector handed to Slingshot.endAim and every
+ * ability activation, each stamped with the physics frame it happened on) plus the seed used
+ * for entity IDs. Feeding the same inputs through the same fixed-step update reproduces the attempt.
+ *
+ * JSON format (version 1):
+ *   { "version": 1, "level": <level index>, "seed": <int>, "length": <frames>,
+ *     "launches": [[frame, birdIndex, x, y], ...], "abilities": [[frame, birdIndex], ...] }
+ * plus "pack": <pack ID> when the level is from a level pack rather than the campaign (see packs.js)
+ * and "levelId": <the level's stable ID>, which finds the level even if the pack's order changed.
+ */
+
+const REPLAY_VERSION = 1;
+const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/** Collects inputs during a level attempt */
+class ReplayRecorder {
+    /**
+     * @param {number} levelIndex Index into the pack's levels
+     * @param {number} seed Seed the level's entity IDs were created with
+     * @param {object} [options]
+     * @param {string|null} [options.packId] Level pack the level is from (null: the campaign)
+     * @param {string|null} [options.levelId] The level's stable ID
+     */
+    constructor(levelIndex, seed, { packId = null, levelId = null } = {}) {
+        this.levelIndex = levelIndex;
+        this.seed = seed;
+        this.packId = packId;
+        this.levelId = levelId;
+        this.launches = [];
+        this.abilities = [];
+    }
+
+    /**
+     * @param {number} frame Physics steps taken before the launch
+     * @param {number} birdIndex Which of the level's birds (0-based)
+     * @param {{x: number, y: number}} vector Raw launch vector passed to Slingshot.endAim
+     */
+    recordLaunch(frame, birdIndex, vector) {
+        this.launches.push([frame, birdIndex, vector.x, vector.y]);
+    }
+
+    /**
+     * @param {number} frame Physics steps taken before the activation
+     * @param {number} birdIndex Which bird used its ability
+     */
+    recordAbility(frame, birdIndex) {
+        this.abilities.push([frame, birdIndex]);
+    }
+
+    /**
+     * The finished recording.
+     * @param {number} length Frames the attempt lasted
+     * @returns {object} Replay in the JSON format above
+     */
+    toReplay(length) {
+        return {
+            version: REPLAY_VERSION,
+            ...(this.packId !== null && { pack: this.packId }),
+            level: this.levelIndex,
+            ...(this.levelId !== null && { levelId: this.levelId }),
+            seed: this.seed,
+            length,
+            launches: this.launches.map(entry => [...entry]),
+            abilities: this.abilities.map(entry => [...entry]),
+        };
+    }
+}
+
+/** Compact JSON for a replay */
+function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+/**
+ * Parses and checks replay JSON.
+ * @param {string} text
+ * @returns {object} The replay
+ * @throws {Error} If the text isn't a replay this version can play
+ */
+function parseReplay(text) {
+    return checkReplay(JSON.parse(text));
+}
+
+/**
+ * Checks an already parsed replay (e.g. one kept in the save data).
+ * @param {object} replay
+ * @returns {object} The replay
+ * @throws {Error} If it isn't a replay this version can play
+ */
+function checkReplay(replay) {
+    if (!replay || typeof replay !== 'object') throw new Error('Replay must be a JSON object.');
+    if (replay.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version: ${replay.version}`);
+    for (const field of ['level', 'seed', 'length']) {
+        if (!Number.isInteger(replay[field]) || replay[field] < 0) throw new Error(`Replay field '${field}' must be a non-negative integer.`);
+    }
+    for (const field of ['pack', 'levelId']) {
+        if (replay[field] !== undefined && typeof replay[field] !== 'string') throw new Error(`Replay field '${field}' must be a string.`);
+    }
+    const isNumberList = (entry, size) => Array.isArray(entry) && entry.length === size && entry.every(Number.isFinite);
+    if (!Array.isArray(replay.launches) || !replay.launches.every(entry => isNumberList(entry, 4))) {
+        throw new Error("Replay 'launches' must be a list of [frame, birdIndex, x, y].");
+    }
+    if (!Array.isArray(replay.abilities) || !replay.abilities.every(entry => isNumberList(entry, 2))) {
+        throw new Error("Replay 'abilities' must be a list of [frame, birdIndex].");
+    }
+    return replay;
+}
+
+/** Hands a replay's inputs back frame by frame, and holds the playback controls */
+class ReplayPlayer {
+    /**
+     * @param {object} replay Parsed replay
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.paused = false;
+        this.speed = 1;
+    }
+
+    get length() {
+        return this.replay.length;
+    }
+
+    /**
+     * Launch to perform at `frame`, if any.
+     * @returns {{birdIndex: number, vector: {x: number, y: number}}|null}
+     */
+    launchAt(frame) {
+        const entry = this.replay.launches.find(([f]) => f === frame);
+        return entry ? { birdIndex: entry[1], vector: { x: entry[2], y: entry[3] } } : null;
+    }
+
+    /** True if a launch is still to come at or after `frame` */
+    hasLaunchFrom(frame) {
+        return this.replay.launches.some(([f]) => f >= frame);
+    }
+
+    /** True if the flying bird used its ability at `frame` */
+    abilityAt(frame) {
+        return this.replay.abilities.some(([f]) => f === frame);
+    }
+
+    /** True once playback has reached the end of the recording */
+    isFinished(frame) {
+        return frame >= this.length;
+    }
+
+    /** Sets the playback speed, snapped to the nearest supported one (0.25x to 4x) */
+    setSpeed(speed) {
+        this.speed = PLAYBACK_SPEEDS.reduce((best, s) => Math.abs(s - speed) < Math.abs(best - speed) ? s : best);
+    }
+}
+
+export { ReplayRecorder, ReplayPlayer, serializeReplay, parseReplay, checkReplay, PLAYBACK_SPEEDS, REPLAY_VERSION };
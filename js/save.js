@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Save data: the player's progress in every level pack, versioned and checksummed.
+ * Progress is kept by pack ID and stable level ID (see `id` in levels.js), so levels can be
+ * reordered or added without scrambling it. Each beaten level records its best score, the stars
+ * that score earned and the replay of that attempt.
+ *
+ * Format (version 1), stored in localStorage under SAVE_KEY and in exported save files:
+ *   { "version": 1, "checksum": "<8 hex digits>",
+ *     "packs": { "<pack ID>": { "levels": { "<level ID>": { "bestScore": 12000, "stars": 2, "replay": {...} } } } } }
+ * The checksum is an FNV-1a hash of the JSON of { version, packs }, so a damaged or hand-edited
+ * save is noticed instead of loaded. Older saves are upgraded through MIGRATIONS; version 0 is
+ * the unversioned { highestLevelUnlocked, highScores } blob (scores by level index) stored before.
+ * Runs in Node too (pass any object with getItem/setItem as the storage).
+ */
+
+import { CAMPAIGN_PACK } from './packs.js';
+import { calculateStars } from './simulation.js';
+import { checkReplay } from './replay.js';
+
+const SAVE_VERSION = 1;
+const SAVE_KEY = 'angryBirdsCloneSave';
+const CORRUPT_SAVE_KEY = 'angryBirdsCloneSave.corrupt'; // A save that fails to load is moved here, not overwritten
+const LEGACY_PROGRESS_KEY = 'angryBirdsCloneProgress';  // Version 0 campaign progress
+const LEGACY_PACK_PREFIX = 'angryBirdsClonePack:';       // + pack ID: version 0 progress of a level pack
+
+/**
+ * Upgrades save data one version at a time: MIGRATIONS[n] turns version n data into version n + 1.
+ * The unversioned blob only ever held campaign progress (packs had their own keys; see packProgress).
+ */
+const MIGRATIONS = {
+    0: legacy => ({ version: 1, packs: { [CAMPAIGN_PACK.id]: migrateIndexedProgress(legacy, CAMPAIGN_PACK.levels) } }),
+};
+
+/** A level's stable ID; levels without one (hand-written ones) fall back to their position */
+function levelIdOf(levelData, index) {
+    return levelData.id ?? `level-${index + 1}`;
+}
+
+function createSaveData() {
+    return { version: SAVE_VERSION, packs: {} };
+}
+
+/**
+ * Turns version 0 progress (best scores by level index) into a pack record, matching the
+ * indices to the pack's current level order.
+ * @param {{highestLevelUnlocked: number, highScores: object}} legacy
+ * @param {Array<object>} levels
+ */
+function migrateIndexedProgress(legacy, levels) {
+    const record = { levels: {} };
+    levels.forEach((levelData, index) => {
+        const score = legacy.highScores[index];
+        // Every level before the highest unlocked one was beaten, even if it has no score on record
+        if (score === undefined && index >= legacy.highestLevelUnlocked - 1) return;
+        const bestScore = score ?? 0;
+        record.levels[levelIdOf(levelData, index)] = { bestScore, stars: calculateStars(bestScore, levelData.starThresholds) };
+    });
+    return record;
+}
+
+/** FNV-1a hash of the save's contents, as 8 hex digits */
+function checksum(data) {
+    const text = JSON.stringify({ version: data.version, packs: data.packs });
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks the shape of current-version save data. Replays that can't be played any more are
+ * dropped (with a warning) rather than failing the whole save.
+ * @throws {Error} If the data isn't a save
+ */
+function checkSaveData(data) {
+    if (!isObject(data.packs)) throw new Error("Save field 'packs' must be an object.");
+    for (const [packId, pack] of Object.entries(data.packs)) {
+        if (!isObject(pack) || !isObject(pack.levels)) throw new Error(`Save pack '${packId}' must have a 'levels' object.`);
+        for (const [levelId, level] of Object.entries(pack.levels)) {
+            const where = `Save level '${packId}/${levelId}'`;
+            if (!isObject(level) || !Number.isFinite(level.bestScore) || level.bestScore < 0) throw new Error(`${where} needs a non-negative 'bestScore'.`);
+            if (!Number.isInteger(level.stars) || level.stars < 0 || level.stars > 3) throw new Error(`${where} needs 'stars' from 0 to 3.`);
+            if (level.replay === undefined) continue;
+            try {
+                checkReplay(level.replay);
+            } catch (error) {
+                console.warn(`${where}: dropping its replay (${error.message})`);
+                delete level.replay;
+            }
+        }
+    }
+    return data;
+}
+
+/**
+ * Parses save JSON of any known version and upgrades it to the current one.
+ * @param {string} text
+ * @returns {{version: number, packs: object}}
+ * @throws {Error} If the text isn't a save, fails its checksum or is from a newer game version
+ */
+function parseSave(text) {
+    const saved = JSON.parse(text);
+    if (!isObject(saved)) throw new Error('Save data must be a JSON object.');
+    const version = saved.version ?? 0;
+    if (!Number.isInteger(version) || version < 0) throw new Error(`Unknown save version: ${JSON.stringify(saved.version)}`);
+    if (version > SAVE_VERSION) throw new Error(`Save version ${version} is newer than this game supports (${SAVE_VERSION}).`);
+
+    let data;
+    if (version === 0) {
+        if (typeof saved.highestLevelUnlocked !== 'number' || !isObject(saved.highScores)) throw new Error('Save data is not in a known format.');
+        data = saved;
+    } else {
+        if (saved.checksum !== checksum(saved)) throw new Error('Save data is corrupted (checksum mismatch).');
+        data = { version, packs: saved.packs };
+    }
+    for (let v = version; v < SAVE_VERSION; v++) data = MIGRATIONS[v](data);
+    return checkSaveData(data);
+}
+
+/** Serializes save data, checksum included */
+function serializeSave(data) {
+    return JSON.stringify({ version: data.version, checksum: checksum(data), packs: data.packs });
+}
+
+/** The player's save: progress in every pack, kept in storage as it changes */
+class SaveGame {
+    /**
+     * @param {object} [data] Save data in the current version (see parseSave)
+     * @param {Storage|null} [storage] Where to keep it (null: nowhere)
+     */
+    constructor(data = createSaveData(), storage = null) {
+        this.data = data;
+        this.storage = storage;
+    }
+
+    /**
+     * Loads the save from storage, upgrading older formats. A save that can't be loaded is moved
+     * to CORRUPT_SAVE_KEY (so it isn't lost when the new one is stored) and a fresh one started.
+     * @param {Storage} [storage] Defaults to localStorage
+     * @returns {SaveGame}
+     */
+    static load(storage = globalThis.localStorage) {
+        let text = null;
+        try {
+            text = storage.getItem(SAVE_KEY) ?? storage.getItem(LEGACY_PROGRESS_KEY);
+        } catch (e) {
+            console.error("Failed to load save data from localStorage:", e);
+        }
+        if (text === null) return new SaveGame(createSaveData(), storage);
+
+        try {
+            const save = new SaveGame(parseSave(text), storage);
+            save.store(); // Keeps any migration
+            return save;
+        } catch (error) {
+            console.error(`Save data could not be loaded (${error.message}); starting a new save. The old data is kept under '${CORRUPT_SAVE_KEY}'.`);
+            try {
+                storage.setItem(CORRUPT_SAVE_KEY, text);
+            } catch (e) {
+                console.error("Failed to back up the unreadable save:", e);
+            }
+            return new SaveGame(createSaveData(), storage);
+        }
+    }
+
+    /** Writes the save to storage */
+    store() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(SAVE_KEY, serializeSave(this.data));
+        } catch (e) {
+            console.error("Failed to save progress to localStorage:", e);
+        }
+    }
+
+    /**
+     * The player's progress in a pack: { levels: { [levelId]: { bestScore, stars, replay? } } }.
+     * Progress a pack had from before save versions is picked up the first time it's asked for.
+     * @param {object} pack From packs.js
+     */
+    packProgress(pack) {
+        if (!this.data.packs[pack.id]) {
+            this.data.packs[pack.id] = this.migrateLegacyPack(pack) ?? { levels: {} };
+        }
+        return this.data.packs[pack.id];
+    }
+
+    /** Version 0 progress of a level pack (stored under its own key), if there is any */
+    migrateLegacyPack(pack) {
+        if (!this.storage || pack.id === CAMPAIGN_PACK.id) return null;
+        try {
+            const legacy = JSON.parse(this.storage.getItem(`${LEGACY_PACK_PREFIX}${pack.id}`));
+            if (!isObject(legacy) || typeof legacy.highestLevelUnlocked !== 'number' || !isObject(legacy.highScores)) return null;
+            console.log(`Migrating saved progress of level pack '${pack.name}'`);
+            return migrateIndexedProgress(legacy, pack.levels);
+        } catch (e) {
+            console.warn(`Old progress of level pack '${pack.name}' couldn't be read:`, e);
+            return null;
+        }
+    }
+
+    /**
+     * The saved result of one level, or null if it hasn't been beaten.
+     * @param {object} pack
+     * @param {number} levelIndex
+     */
+    levelRecord(pack, levelIndex) {
+        return this.packProgress(pack).levels[levelIdOf(pack.levels[levelIndex], levelIndex)] ?? null;
+    }
+
+    /**
+     * Records a won level and stores the save if it's the best result so far.
+     * @param {object} pack
+     * @param {number} levelIndex
+     * @param {number} score
+     * @param {object|null} replay Recording of the attempt
+     * @returns {boolean} True if it was a new best score
+     */
+    recordWin(pack, levelIndex, score, replay) {
+        const levelData = pack.levels[levelIndex];
+        const levels = this.packProgress(pack).levels;
+        const id = levelIdOf(levelData, levelIndex);
+        if (levels[id] && score <= levels[id].bestScore) return false;
+
+        levels[id] = { bestScore: score, stars: calculateStars(score, levelData.starThresholds) };
+        if (replay) levels[id].replay = replay;
+        this.store();
+        return true;
+    }
+
+    /** The save as text, for exporting to a file */
+    exportText() {
+        return serializeSave(this.data);
+    }
+
+    /**
+     * Replaces the save with an exported one (which may be from an older version).
+     * @param {string} text
+     * @throws {Error} If the text can't be loaded (the current save is left as it was)
+     */
+    importText(text) {
+        this.data = parseSave(text);
+        this.store();
+    }
+}
+
+export { SaveGame, parseSave, serializeSave, levelIdOf, SAVE_VERSION };
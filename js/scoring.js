@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Scoring: points for damage dealt and for destroying things, scaled by material
+ * (scoreMultiplier in materials.js), with a combo bonus for several destructions from one shot.
+ * Every point is credited to the shot that earned it, so the level-complete dialog can show a
+ * per-shot breakdown. DOM-free; the game and the headless Simulation score the same way.
+ */
+
+import { MATERIALS } from './materials.js';
+
+const DAMAGE_POINTS = 1; // Points per point of HP knocked off (before the material multiplier)
+
+const COMBO_STEP = 0.25; // The 2nd destruction of a shot scores x1.25, the 3rd x1.5 and so on...
+const MAX_COMBO = 3;     // ...up to x3
+
+/** Multiplier for an entity's points: its material's (enemies and anything without a material count as 1) */
+function materialMultiplier(entity) {
+    return MATERIALS[entity.type]?.scoreMultiplier ?? 1;
+}
+
+/**
+ * Combo multiplier for the nth destruction (counting from 1) of a shot.
+ * @param {number} count
+ */
+function comboMultiplier(count) {
+    return Math.min(1 + COMBO_STEP * (count - 1), MAX_COMBO);
+}
+
+/** A shot's line in the breakdown */
+function createShot(bird) {
+    return { bird, damage: 0, destroyed: 0, destruction: 0, combo: 0, total: 0 };
+}
+
+/**
+ * Keeps the score of one attempt at a level, shot by shot.
+ * Points earned before the first launch (a structure collapsing by itself) go on a shot with no bird.
+ */
+class ScoreKeeper {
+    /**
+     * @param {function(number, Vec2|null, string, number)} [onScore] Called with the points, where
+     *        they were earned (null for bonuses), the kind ('damage', 'destroy' or 'bonus') and the
+     *        combo multiplier they include (1 unless it's the second or later destruction of a shot)
+     */
+    constructor(onScore = null) {
+        this.onScore = onScore;
+        this.total = 0;
+        this.shots = [];
+        this.bonuses = []; // { label, points }
+        this.currentShot = null;
+    }
+
+    /**
+     * Credits the points that follow to a new shot.
+     * @param {string} bird The launched bird's type
+     */
+    startShot(bird) {
+        this.currentShot = createShot(bird);
+        this.shots.push(this.currentShot);
+    }
+
+    /** The shot points are credited to right now */
+    activeShot() {
+        if (!this.currentShot) this.startShot(null);
+        return this.currentShot;
+    }
+
+    /**
+     * Scores the damage entities have taken since the last call (see Entity.takeDamage).
+     * Call once per step, before destroyed entities are removed.
+     * @param {Array<Entity>} entities
+     */
+    collectDamage(entities) {
+        for (const entity of entities) {
+            if (!entity.unscoredDamage) continue;
+            const points = Math.round(entity.unscoredDamage * DAMAGE_POINTS * materialMultiplier(entity));
+            entity.unscoredDamage = 0;
+            if (points <= 0) continue;
+            const shot = this.activeShot();
+            shot.damage += points;
+            this.award(shot, points, entity.position, 'damage');
+        }
+    }
+
+    /**
+     * Scores destroyed entities (not ones that just fell out of the world).
+     * @param {Array<Entity>} entities As returned by removeDeadEntities
+     */
+    addDestroyed(entities) {
+        for (const entity of entities) {
+            if (!entity.scoreValue) continue;
+            const shot = this.activeShot();
+            const base = Math.round(entity.scoreValue * materialMultiplier(entity));
+            const combo = comboMultiplier(shot.destroyed + 1);
+            const points = Math.round(base * combo);
+            shot.destroyed++;
+            shot.destruction += base;
+            shot.combo += points - base;
+            this.award(shot, points, entity.position, 'destroy', combo);
+        }
+    }
+
+    /**
+     * Adds points that don't belong to a shot, like the unused-bird bonus.
+     * @param {string} label
+     * @param {number} points
+     */
+    addBonus(label, points) {
+        if (points <= 0) return;
+        this.bonuses.push({ label, points });
+        this.total += points;
+        if (this.onScore) this.onScore(points, null, 'bonus', 1);
+    }
+
+    award(shot, points, position, kind, combo = 1) {
+        shot.total += points;
+        this.total += points;
+        if (this.onScore) this.onScore(points, position, kind, combo);
+    }
+
+    /** Plain-data breakdown for results and the level-complete dialog */
+    describe() {
+        return {
+            total: this.total,
+            shots: this.shots.map(shot => ({ ...shot })),
+            bonuses: this.bonuses.map(bonus => ({ ...bonus })),
+        };
+    }
+}
+
+export { ScoreKeeper, DAMAGE_POINTS, comboMultiplier, materialMultiplier };
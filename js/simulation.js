@@ -0,0 +1,394 @@
+/**
+ * @fileoverview DOM-free game simulation.
+ * buildLevel turns level data into entities in a PhysicsWorld (the browser game uses it too),
+ * and Simulation plays a level headlessly: it takes launch vectors, steps the physics with the
+ * fixed TIME_STEP and reports the score (with its per-shot breakdown) and whatever survived. Entity IDs are seeded, so the
+ * same level and launches always give bit-identical results. Runs in Node (see scripts/simulate.js).
+ */
+
+import { PhysicsWorld, Vec2, TIME_STEP } from './physics.js';
+import { seedEntityIds, createBird, createEnemy, Block, TNTBlock, Slingshot } from './entities.js';
+import { createJoint } from './joints.js';
+import { ScoreKeeper } from './scoring.js';
+import { GameTimers } from './state.js';
+
+const DEFAULT_WORLD_WIDTH = 1280; // Canvas width; levels can be wider (levelData.worldWidth)
+const WORLD_HEIGHT = 720;         // Canvas height
+const UNUSED_BIRD_BONUS = 10000;  // Points per bird left over when the level is won
+const NEXT_BIRD_DELAY_FRAMES = 30; // The game waits 500 ms after a bird is gone before loading the next
+const MAX_SHOT_FRAMES = 60 * 30;   // Give up waiting for a shot to finish after 30 simulated seconds
+const LEVEL_COMPLETE_DELAY = 2;    // Seconds of game time after the last enemy is destroyed before the level is complete
+const DEFAULT_SEED = 1;
+const SNAPSHOT_FIELDS = ['x', 'y', 'velocityX', 'velocityY', 'angle', 'angularVelocity', 'hp']; // Per body, in Simulation.snapshot()
+
+/**
+ * Creates the entities and joints for a level and adds them to the world.
+ * Dynamic bodies start asleep so stacks don't shuffle before the first shot.
+ * @param {object} levelData Level definition (see levels.js)
+ * @param {PhysicsWorld} physicsWorld World to populate
+ * @returns {{slingshot: Slingshot, birds: Array<Bird>, enemies: Array<Enemy>, blocks: Array<Block>}}
+ *          Birds are queued but not in the world yet; they're added as they reach the slingshot.
+ */
+function buildLevel(levelData, physicsWorld) {
+    const slingshot = new Slingshot(levelData.slingshotPos.x, levelData.slingshotPos.y);
+
+    // Position set when attached to slingshot
+    const birds = levelData.birds.map(birdType => createBird(birdType));
+
+    const enemies = levelData.enemies.map(enemyData => {
+        const enemy = createEnemy(enemyData.type, enemyData.x, enemyData.y);
+        physicsWorld.addEntity(enemy);
+        return enemy;
+    });
+
+    const blocks = levelData.blocks.map(blockData => {
+        const options = { angle: blockData.angle ?? 0, shape: blockData.shape ?? 'box' };
+        const block = blockData.type === 'tnt'
+            ? new TNTBlock(blockData.x, blockData.y, blockData.width, blockData.height, blockData.isStatic, options)
+            : new Block(blockData.x, blockData.y, blockData.width, blockData.height, blockData.type, blockData.isStatic, options);
+        physicsWorld.addEntity(block);
+        return block;
+    });
+
+    // Joints refer to blocks by index, so this comes after the blocks
+    (levelData.joints ?? []).forEach(jointData => {
+        const joint = createJoint(jointData, blocks);
+        if (joint) physicsWorld.addJoint(joint);
+    });
+
+    // Put all non-static, sleepable entities to sleep initially for stability
+    physicsWorld.entities.forEach(entity => {
+        if (!entity.isStatic && entity.canSleep) {
+            entity.isSleeping = true;
+            entity.velocity = Vec2.zero();
+        }
+    });
+
+    return { slingshot, birds, enemies, blocks };
+}
+
+/**
+ * True once an entity has left the world: below the ground or off either side.
+ * @param {Entity} entity
+ * @param {number} worldWidth
+ */
+function isOutOfWorld(entity, worldWidth) {
+    return entity.position.y > WORLD_HEIGHT + 100 ||
+           entity.position.x < -100 || entity.position.x > worldWidth + 100;
+}
+
+/**
+ * Removes entities that were destroyed or left the world from `list` and the physics world.
+ * Destroyed explosives go off as they're removed; anything they destroy is picked up next pass.
+ * @param {Array<Entity>} list Entity list to prune in place
+ * @param {PhysicsWorld} physicsWorld
+ * @param {number} worldWidth
+ * @param {function(Entity)} [onRemoved] Called for each removed entity (after it leaves the world)
+ * @returns {Array<Entity>} The destroyed entities, for scoring (not ones that just fell out)
+ */
+function removeDeadEntities(list, physicsWorld, worldWidth, onRemoved = null) {
+    const destroyed = [];
+    for (let i = list.length - 1; i >= 0; i--) {
+        const entity = list[i];
+        const outOfBounds = isOutOfWorld(entity, worldWidth);
+        if (!entity.markedForRemoval && !outOfBounds) continue;
+        if (outOfBounds) {
+            console.log(`Removing ${entity.constructor.name} at (${entity.position.x}, ${entity.position.y}) (out of bounds)`);
+        }
+
+        physicsWorld.removeEntity(entity);
+        if (entity.markedForRemoval) {
+            if (entity.isExplosive) entity.explode(physicsWorld);
+            destroyed.push(entity);
+        }
+        list.splice(i, 1);
+        if (onRemoved) onRemoved(entity);
+    }
+    return destroyed;
+}
+
+/**
+ * Launches the slingshot's bird with a given launch vector, through the same startAim,
+ * updateAim and endAim calls a drag makes. The bird is pulled to `anchorFront - vector`
+ * and endAim gets the vector itself, so the launch is exactly the one asked for.
+ * @param {Slingshot} slingshot
+ * @param {{x: number, y: number}} vector Raw launch vector (see Slingshot.getLaunchVelocity)
+ * @returns {boolean} True if the bird was launched
+ */
+function launchWithVector(slingshot, vector) {
+    const launchVector = new Vec2(vector.x, vector.y);
+    const origin = slingshot.getLaunchOrigin();
+    if (!slingshot.startAim(origin)) return false;
+    slingshot.updateAim(slingshot.anchorFrontPos.sub(launchVector));
+    return slingshot.endAim(launchVector);
+}
+
+/**
+ * Calculates the number of stars earned based on score and thresholds.
+ * @param {number} score - The final score for the level.
+ * @param {object} thresholds - The star thresholds for the level (e.g., {1: 1000, 2: 5000, 3: 10000}).
+ * @returns {number} Number of stars (0-3).
+ */
+function calculateStars(score, thresholds) {
+    if (!thresholds) return 0;
+    if (score >= thresholds[3]) return 3;
+    if (score >= thresholds[2]) return 2;
+    if (score >= thresholds[1]) return 1;
+    return 0;
+}
+
+/** True when nothing in the world is still moving */
+function isWorldSettled(physicsWorld) {
+    return physicsWorld.entities.every(e => e.isStatic || e.isSleeping || e.markedForRemoval);
+}
+
+/** Plain-data snapshot of an entity, for results and comparisons */
+function describeEntity(entity) {
+    return {
+        id: entity.id,
+        kind: entity.constructor.name,
+        type: entity.type ?? null,
+        x: entity.position.x,
+        y: entity.position.y,
+        angle: entity.angle,
+        hp: entity.hp,
+    };
+}
+
+/**
+ * Plays a level without a browser: each launch goes through the slingshot the same way a
+ * drag does (startAim, updateAim, endAim) and the world is stepped the way the game steps it.
+ * Like js/main.js, physics only runs while a shot is in play: once the next bird is in the
+ * slingshot ('ready') the world waits for the next launch, and the level ends the way the game
+ * ends it (see checkLevelEnd).
+ */
+class Simulation {
+    /**
+     * @param {object} levelData Level definition (see levels.js)
+     * @param {object} [options]
+     * @param {number} [options.seed] Seed for entity IDs (defaults to 1, so runs always match)
+     * @param {object} [options.broadPhase] Broad phase for the physics (see broadphase.js; defaults to PhysicsWorld's)
+     * @param {function(Simulation)} [options.onStep] Called after every step that runs the physics
+     */
+    constructor(levelData, options = {}) {
+        seedEntityIds(options.seed ?? DEFAULT_SEED);
+        this.levelData = levelData;
+        this.worldWidth = levelData.worldWidth ?? DEFAULT_WORLD_WIDTH;
+        this.physicsWorld = new PhysicsWorld({ broadPhase: options.broadPhase });
+        const { slingshot, birds, enemies, blocks } = buildLevel(levelData, this.physicsWorld);
+        this.slingshot = slingshot;
+        this.birds = birds;
+        this.enemies = enemies;
+        this.blocks = blocks;
+        this.projectiles = []; // Spawned by bird abilities
+        this.currentBird = null;
+        this.scoreKeeper = new ScoreKeeper();
+        this.frame = 0;
+        this.onStep = options.onStep ?? null;
+        this.state = 'playing'; // 'ready', 'playing', 'levelComplete' or 'gameOver' (as the game's states)
+        this.nextBirdFrames = 0; // Steps until the next bird is loaded (0 = none pending)
+        this.timers = new GameTimers();
+        this.levelCompleteTimer = null;
+        this.prepareNextBird(); // The level starts with a bird in the slingshot
+    }
+
+    get score() {
+        return this.scoreKeeper.total;
+    }
+
+    /** True once the level has been won or lost */
+    get isOver() {
+        return this.state === 'levelComplete' || this.state === 'gameOver';
+    }
+
+    /** Attaches the next queued bird to the slingshot. Returns false if none are left. */
+    prepareNextBird() {
+        if (this.birds.length === 0) {
+            this.currentBird = null;
+            return false;
+        }
+        this.currentBird = this.birds.shift();
+        this.slingshot.attachBird(this.currentBird);
+        this.physicsWorld.addEntity(this.currentBird);
+        this.state = 'ready';
+        return true;
+    }
+
+    /**
+     * Pulls the band so the bird sits at `anchorFront - vector` and lets go.
+     * @param {{x: number, y: number}} vector Raw launch vector, as returned by Slingshot.getLaunchVelocity
+     * @returns {boolean} True if the bird was launched
+     */
+    launch(vector) {
+        if (this.state !== 'ready' || !launchWithVector(this.slingshot, vector)) return false;
+        this.currentBird.canSleep = true; // Allow bird to sleep after launch
+        this.scoreKeeper.startShot(this.currentBird.type);
+        this.state = 'playing';
+        return true;
+    }
+
+    /** Triggers the flying bird's ability, if it has one left */
+    activateAbility() {
+        if (!this.currentBird || !this.currentBird.canActivateAbility()) return false;
+        this.projectiles.push(...this.currentBird.activateAbility(this.physicsWorld));
+        return true;
+    }
+
+    /**
+     * Advances one fixed step as the game's update() does: game timers always, and while a shot
+     * is in play the physics, entity logic, removals and scoring, the next bird and the level end.
+     */
+    step(dt = TIME_STEP) {
+        this.timers.update(dt);
+        if (this.state !== 'playing') return;
+
+        this.physicsWorld.update(dt);
+        this.frame++;
+        if (this.currentBird) this.currentBird.update(dt);
+        this.projectiles.forEach(p => p.update(dt));
+        this.enemies.forEach(e => e.update(dt));
+        this.blocks.forEach(b => b.update(dt));
+
+        this.scoreKeeper.collectDamage(this.enemies);
+        this.scoreKeeper.collectDamage(this.blocks);
+        this.scoreKeeper.addDestroyed(removeDeadEntities(this.enemies, this.physicsWorld, this.worldWidth));
+        this.scoreKeeper.addDestroyed(removeDeadEntities(this.blocks, this.physicsWorld, this.worldWidth));
+        this.scoreKeeper.addDestroyed(removeDeadEntities(this.projectiles, this.physicsWorld, this.worldWidth));
+        if (this.currentBird && (this.currentBird.markedForRemoval || isOutOfWorld(this.currentBird, this.worldWidth))) {
+            this.removeCurrentBird();
+        }
+
+        if (this.nextBirdFrames > 0 && --this.nextBirdFrames === 0) this.prepareNextBird();
+        this.checkLevelEnd();
+        if (this.onStep) this.onStep(this);
+    }
+
+    /**
+     * The state of every body in the world, in the world's order, as SNAPSHOT_FIELDS per body.
+     * A Float64Array holds the numbers bit for bit (-0 and NaN included), so compare entries with
+     * Object.is to tell two runs apart (see scripts/simulate.js --verify).
+     * @returns {Float64Array}
+     */
+    snapshot() {
+        const entities = this.physicsWorld.entities;
+        const state = new Float64Array(entities.length * SNAPSHOT_FIELDS.length);
+        entities.forEach((entity, i) => {
+            state.set([
+                entity.position.x, entity.position.y, entity.velocity.x, entity.velocity.y,
+                entity.angle, entity.angularVelocity, entity.hp,
+            ], i * SNAPSHOT_FIELDS.length);
+        });
+        return state;
+    }
+
+    /** Takes the flown bird away and starts the countdown to the next one */
+    removeCurrentBird() {
+        this.physicsWorld.removeEntity(this.currentBird);
+        this.currentBird = null;
+        this.nextBirdFrames = NEXT_BIRD_DELAY_FRAMES;
+    }
+
+    /**
+     * The game's win and lose checks: with the enemies gone the level is complete once
+     * everything has settled (or there's nothing left to launch), or LEVEL_COMPLETE_DELAY
+     * seconds later; with enemies left and no birds it's lost once everything has settled.
+     */
+    checkLevelEnd() {
+        if (this.enemies.length === 0) {
+            if (isWorldSettled(this.physicsWorld) || (!this.currentBird && this.birds.length === 0)) {
+                this.completeLevel();
+            } else if (this.levelCompleteTimer === null) {
+                this.levelCompleteTimer = this.timers.after(LEVEL_COMPLETE_DELAY, () => this.completeLevel());
+            }
+            return;
+        }
+        if (this.levelCompleteTimer !== null) {
+            this.timers.cancel(this.levelCompleteTimer);
+            this.levelCompleteTimer = null;
+        }
+        if (this.birds.length === 0 && !this.currentBird && isWorldSettled(this.physicsWorld)) this.state = 'gameOver';
+    }
+
+    completeLevel() {
+        if (this.levelCompleteTimer !== null) this.timers.cancel(this.levelCompleteTimer);
+        this.levelCompleteTimer = null;
+        this.state = 'levelComplete';
+    }
+
+    /**
+     * Launches the bird in the slingshot and steps until the game would stop stepping: the
+     * next bird is ready or the level is over.
+     * @param {{x: number, y: number, ability?: number}} shot Launch vector; `ability` is the number
+     *        of frames after launch at which to trigger the bird's ability (omit to never use it).
+     * @returns {boolean} False if the shot wasn't played (no bird ready, the enemies are already gone,
+     *          or the vector didn't launch the bird)
+     */
+    playShot(shot) {
+        if (this.state !== 'ready' || this.enemies.length === 0) return false;
+        if (!this.launch(shot)) {
+            console.warn(`Launch vector (${shot.x}, ${shot.y}) didn't launch the bird; skipping shot.`);
+            this.slingshot.attachBird(this.currentBird); // The bird stays in the slingshot, as when a drag is let go too early
+            return false;
+        }
+
+        const bird = this.currentBird;
+        for (let f = 0; this.state === 'playing' && f < MAX_SHOT_FRAMES; f++) {
+            if (f === shot.ability) this.activateAbility();
+            if (f === MAX_SHOT_FRAMES - 1 && this.currentBird === bird) this.removeCurrentBird(); // Still rolling about: take it away
+            this.step();
+        }
+        return true;
+    }
+
+    /**
+     * Plays the shots in turn until the level is over or there's no bird to launch, then lets
+     * the level finish as the game would.
+     * @param {Array<{x: number, y: number, ability?: number}>} shots
+     * @returns {object} Result (see describeResult); shots that were never played are listed in `unusedShots`
+     */
+    run(shots) {
+        const unusedShots = [];
+        for (const shot of shots) {
+            if (!this.playShot(shot)) unusedShots.push(shot);
+        }
+        // Out of shots: a level still in play runs until it's decided, and a pending level
+        // complete timer fires (the game keeps its timers running while a bird waits)
+        for (let f = 0; this.state === 'playing' && f < MAX_SHOT_FRAMES; f++) this.step();
+        while (this.levelCompleteTimer !== null) this.step();
+        if (this.state === 'levelComplete') this.scoreKeeper.addBonus('Unused birds', this.birds.length * UNUSED_BIRD_BONUS);
+        return { ...this.describeResult(), unusedShots };
+    }
+
+    /** Score (and where it came from), outcome and the surviving entities as plain data */
+    describeResult() {
+        const { shots, bonuses } = this.scoreKeeper.describe();
+        return {
+            score: this.score,
+            shots,
+            bonuses,
+            won: this.enemies.length === 0,
+            frames: this.frame,
+            birdsLeft: this.birds.length,
+            survivors: {
+                enemies: this.enemies.map(describeEntity),
+                blocks: this.blocks.map(describeEntity),
+            },
+        };
+    }
+}
+
+/**
+ * Plays a level headlessly from start to finish.
+ * @param {object} levelData Level definition (see levels.js)
+ * @param {Array<{x: number, y: number, ability?: number}>} shots One launch vector per bird
+ * @param {object} [options] Simulation options ({ seed, broadPhase, onStep })
+ * @returns {{score: number, shots: Array<object>, bonuses: Array<object>, won: boolean, frames: number, birdsLeft: number, survivors: object, unusedShots: Array<object>}}
+ */
+function simulateLevel(levelData, shots, options = {}) {
+    return new Simulation(levelData, options).run(shots);
+}
+
+export {
+    Simulation, simulateLevel, buildLevel, removeDeadEntities, isOutOfWorld, isWorldSettled, launchWithVector, calculateStars,
+    UNUSED_BIRD_BONUS, NEXT_BIRD_DELAY_FRAMES, LEVEL_COMPLETE_DELAY, WORLD_HEIGHT, DEFAULT_WORLD_WIDTH, SNAPSHOT_FIELDS,
+};
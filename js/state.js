@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Game flow: the state machine the game runs on, and timers that run on game time.
+ * DOM-free. Each state can have enter/exit hooks and lists the states it may move to, so a stray
+ * transition (e.g. a late callback firing after the level was left) is refused and logged instead
+ * of leaving the game in a state nothing expects.
+ */
+
+class StateMachine {
+    /**
+     * @param {object} states Name -> { to: Array<string>, enter?(from, data), exit?(to) }.
+     *        `to` lists the states it may move to ('*' for any).
+     * @param {string} initial Starting state (its enter hook isn't called)
+     */
+    constructor(states, initial) {
+        this.states = states;
+        this.current = initial;
+        this.previous = null;
+    }
+
+    /** True if the current state is any of `names` */
+    is(...names) {
+        return names.includes(this.current);
+    }
+
+    /** True if the current state may move to `name` */
+    canTransition(name) {
+        const allowed = this.states[this.current]?.to ?? [];
+        return name === this.current || allowed.includes('*') || allowed.includes(name);
+    }
+
+    /**
+     * Moves to another state: runs the current state's exit hook, then the new one's enter hook.
+     * Moving to the current state does nothing.
+     * @param {string} name
+     * @param {*} [data] Passed to the enter hook
+     * @returns {boolean} False if the move isn't allowed (or `name` isn't a state)
+     */
+    transition(name, data) {
+        if (!this.states[name]) {
+            console.error(`Unknown game state '${name}'.`);
+            return false;
+        }
+        if (name === this.current) return true;
+        if (!this.canTransition(name)) {
+            console.warn(`Game state can't go from '${this.current}' to '${name}'.`);
+            return false;
+        }
+        const from = this.current;
+        this.states[from]?.exit?.(name);
+        this.previous = from;
+        this.current = name;
+        this.states[name].enter?.(from, data);
+        return true;
+    }
+}
+
+/**
+ * Callbacks that fire after an amount of game time. They only advance when update() is called
+ * (once per fixed step), so they stop while the game is paused and run faster or slower with it.
+ */
+class GameTimers {
+    constructor() {
+        this.timers = new Map(); // ID -> { remaining, callback }
+        this.nextId = 1;
+    }
+
+    /**
+     * Calls `callback` once `seconds` of game time have passed.
+     * @param {number} seconds
+     * @param {function(): void} callback
+     * @returns {number} Timer ID for cancel()
+     */
+    after(seconds, callback) {
+        const id = this.nextId++;
+        this.timers.set(id, { remaining: seconds, callback });
+        return id;
+    }
+
+    /** Stops a timer (IDs of finished or cancelled timers are ignored) */
+    cancel(id) {
+        this.timers.delete(id);
+    }
+
+    /** True while a timer is waiting to fire */
+    isPending(id) {
+        return this.timers.has(id);
+    }
+
+    /** Advances every timer and fires the ones that are due, oldest first */
+    update(dt) {
+        for (const [id, timer] of [...this.timers]) { // Timers started by a callback wait for the next update
+            if (!this.timers.has(id)) continue; // Cancelled by an earlier callback
+            timer.remaining -= dt;
+            if (timer.remaining > 0) continue;
+            this.timers.delete(id);
+            timer.callback();
+        }
+    }
+
+    /** Cancels every timer (e.g. when a level is left) */
+    clear() {
+        this.timers.clear();
+    }
+}
+
+export { StateMachine, GameTimers };
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Shot trail: the path the last launched bird actually flew, drawn faded behind the
+ * aiming guide so the next shot can be adjusted against it. Purely visual; drawn in world space.
+ */
+
+const TRAIL_SAMPLE_STEPS = 3; // Physics steps between recorded points (matches the guide's spacing)
+const MAX_TRAIL_POINTS = 200; // Recording stops here (a bird rolling about for ages adds nothing)
+const TRAIL_DOT_RADIUS = 3;
+
+class ShotTrail {
+    constructor() {
+        this.points = [];
+        this.bird = null; // Bird being recorded (null once it has stopped flying)
+        this.steps = 0;
+        this.level = null; // Level data of the shot, so the game can tell a restart from a new level
+    }
+
+    /**
+     * Starts recording a newly launched bird, replacing the previous shot's trail.
+     * @param {Bird} bird
+     * @param {object} level Level data it was launched in
+     */
+    start(bird, level) {
+        this.points = [bird.position];
+        this.bird = bird;
+        this.steps = 0;
+        this.level = level;
+    }
+
+    /**
+     * Records the bird's position; call once per physics step.
+     * @param {Bird|null} currentBird The game's current bird (recording stops once it's another one or none)
+     */
+    update(currentBird) {
+        if (!this.bird) return;
+        if (currentBird !== this.bird || this.bird.state !== 'flying' || this.points.length >= MAX_TRAIL_POINTS) {
+            this.bird = null;
+            return;
+        }
+        if (++this.steps % TRAIL_SAMPLE_STEPS === 0) this.points.push(this.bird.position);
+    }
+
+    /** Draws the trail as faded dots (call with the camera transform applied) */
+    draw(ctx) {
+        if (this.points.length < 2) return;
+        ctx.save();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+        for (const point of this.points) {
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, TRAIL_DOT_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+
+    /** Forgets the trail (e.g. when a different level is loaded) */
+    clear() {
+        this.points = [];
+        this.bird = null;
+        this.level = null;
+    }
+}
+
+export { ShotTrail };
@@ -1,25 +1,77 @@
 /**
- * @fileoverview Manages UI elements, HUD updates, modals, and local storage.
+ * @fileoverview Manages UI elements, HUD updates and modals.
  */
 
+import { calculateStars } from './simulation.js';
+import { levelIdOf } from './save.js';
+
 // --- DOM Element References ---
 let scoreElement, birdsLeftElement, starsElement, restartButton, nextLevelButton, muteButton, levelDisplayElement;
-let levelCompleteDialog, gameOverDialog, finalScoreElement, finalStarsElement;
+let levelCompleteDialog, gameOverDialog, finalScoreElement, finalStarsElement, scoreBreakdownElement;
 let dialogNextLevelButton, dialogReplayButton, dialogGameOverRestartButton;
+let dialogWatchReplayButton, dialogGameOverWatchReplayButton, loadReplayButton;
+let replayControls, replayPlayButton, replaySpeedSelect, replayScrubber, replayFrameLabel, replayDownloadButton, replayExitButton;
+let isScrubbing = false; // Scrubber is being dragged; don't move it from under the pointer
+let editButton, editorToolbar, editorToolButtons, editorGridCheckbox, editorStaticButton, editorShapeSelect, editorBirdsInput, editorWidthInput;
+let editorNewButton, editorImportButton, editorExportButton, editorTestButton, editorExitButton;
+let levelSelectButton, levelSelectDialog, levelSelectTitle, levelSelectStars, levelSelectWorlds, levelSelectCloseButton, dialogLevelSelectButton;
+let saveExportButton, saveImportButton, saveStatusElement;
+let packButton, packDialog, packNameElement, packUrlForm, packUrlInput, packFileButton, packCampaignButton, packCloseButton, packErrorElement;
+let pauseButton, pauseDialog, pauseResumeButton, pauseRestartButton, pauseLevelSelectButton, pauseSettingsButton, pauseSettings;
+let settingsSoundCheckbox, settingsSfxVolume, settingsMusicVolume;
 
 /** Stores callbacks for button actions */
 const actions = {
     restartLevel: null,
     nextLevel: null,
     toggleMute: null,
+    watchReplay: null,
+    loadReplay: null,
+    toggleReplayPause: null,
+    setReplaySpeed: null,
+    seekReplay: null,
+    downloadReplay: null,
+    exitReplay: null,
+    openEditor: null,
+    editorSetTool: null,
+    editorSetGrid: null,
+    editorToggleStatic: null,
+    editorSetShape: null,
+    editorSetBirds: null,
+    editorSetWorldWidth: null,
+    editorNew: null,
+    editorImport: null,
+    editorExport: null,
+    editorTest: null,
+    editorExit: null,
+    loadPackUrl: null,
+    loadPackFile: null,
+    playCampaign: null,
+    openLevelSelect: null,
+    selectLevel: null,
+    watchBestReplay: null,
+    exportSave: null,
+    importSave: null,
+    pauseGame: null,
+    resumeGame: null,
+    setVolume: null,
 };
 
-const STORAGE_KEY = 'angryBirdsCloneProgress';
-
 /**
  * Initializes the UI module, gets element references, and attaches listeners.
  * @param {object} callbacks - Object containing functions for button actions.
- *                             Expected keys: restartLevel, nextLevel, toggleMute.
+ *                             Expected keys: restartLevel, nextLevel, toggleMute, and the replay
+ *                             actions watchReplay, loadReplay, toggleReplayPause, setReplaySpeed(speed),
+ *                             seekReplay(frame), downloadReplay, exitReplay, and the editor actions
+ *                             openEditor, editorSetTool(tool), editorSetGrid(enabled), editorToggleStatic,
+ *                             editorSetShape(shape), editorSetBirds(types), editorSetWorldWidth(width), editorNew, editorImport,
+ *                             editorExport, editorTest, editorExit, and the level pack actions
+ *                             loadPackUrl(url), loadPackFile and playCampaign (these return a Promise
+ *                             or value that is true once the pack is playing, and throw on failure),
+ *                             the level select actions openLevelSelect, selectLevel(levelIndex) and
+ *                             watchBestReplay(levelIndex), the save actions exportSave and importSave
+ *                             (which returns a Promise that is true once a save was imported, and throws on failure),
+ *                             and the pause menu actions pauseGame, resumeGame and setVolume(bus, volume).
  */
 export function initUI(callbacks) {
     scoreElement = document.getElementById('score');
@@ -34,19 +86,127 @@ export function initUI(callbacks) {
     gameOverDialog = document.getElementById('game-over-dialog');
     finalScoreElement = document.getElementById('final-score');
     finalStarsElement = document.getElementById('final-stars');
+    scoreBreakdownElement = document.getElementById('score-breakdown');
     dialogNextLevelButton = document.getElementById('dialog-next-level');
     dialogReplayButton = document.getElementById('dialog-replay-level');
     dialogGameOverRestartButton = document.getElementById('dialog-restart-game-over');
+    dialogWatchReplayButton = document.getElementById('dialog-watch-replay');
+    dialogGameOverWatchReplayButton = document.getElementById('dialog-watch-replay-game-over');
+    loadReplayButton = document.getElementById('load-replay-button');
+
+    replayControls = document.getElementById('replay-controls');
+    replayPlayButton = document.getElementById('replay-play');
+    replaySpeedSelect = document.getElementById('replay-speed');
+    replayScrubber = document.getElementById('replay-scrubber');
+    replayFrameLabel = document.getElementById('replay-frame');
+    replayDownloadButton = document.getElementById('replay-download');
+    replayExitButton = document.getElementById('replay-exit');
+
+    editButton = document.getElementById('edit-button');
+    editorToolbar = document.getElementById('editor-toolbar');
+    editorToolButtons = editorToolbar ? editorToolbar.querySelectorAll('[data-tool]') : [];
+    editorGridCheckbox = document.getElementById('editor-grid');
+    editorStaticButton = document.getElementById('editor-static');
+    editorShapeSelect = document.getElementById('editor-shape');
+    editorBirdsInput = document.getElementById('editor-birds');
+    editorWidthInput = document.getElementById('editor-world-width');
+    editorNewButton = document.getElementById('editor-new');
+    editorImportButton = document.getElementById('editor-import');
+    editorExportButton = document.getElementById('editor-export');
+    editorTestButton = document.getElementById('editor-test');
+    editorExitButton = document.getElementById('editor-exit');
+
+    levelSelectButton = document.getElementById('level-select-button');
+    levelSelectDialog = document.getElementById('level-select-dialog');
+    levelSelectTitle = document.getElementById('level-select-title');
+    levelSelectStars = document.getElementById('level-select-stars');
+    levelSelectWorlds = document.getElementById('level-select-worlds');
+    levelSelectCloseButton = document.getElementById('level-select-close');
+    dialogLevelSelectButton = document.getElementById('dialog-level-select');
+    saveExportButton = document.getElementById('save-export');
+    saveImportButton = document.getElementById('save-import');
+    saveStatusElement = document.getElementById('save-status');
+
+    packButton = document.getElementById('pack-button');
+    packDialog = document.getElementById('pack-dialog');
+    packNameElement = document.getElementById('pack-name');
+    packUrlForm = document.getElementById('pack-url-form');
+    packUrlInput = document.getElementById('pack-url');
+    packFileButton = document.getElementById('pack-file');
+    packCampaignButton = document.getElementById('pack-campaign');
+    packCloseButton = document.getElementById('pack-close');
+    packErrorElement = document.getElementById('pack-error');
+
+    pauseButton = document.getElementById('pause-button');
+    pauseDialog = document.getElementById('pause-dialog');
+    pauseResumeButton = document.getElementById('pause-resume');
+    pauseRestartButton = document.getElementById('pause-restart');
+    pauseLevelSelectButton = document.getElementById('pause-level-select');
+    pauseSettingsButton = document.getElementById('pause-settings-button');
+    pauseSettings = document.getElementById('pause-settings');
+    settingsSoundCheckbox = document.getElementById('settings-sound');
+    settingsSfxVolume = document.getElementById('settings-sfx-volume');
+    settingsMusicVolume = document.getElementById('settings-music-volume');
 
     if (!scoreElement || !birdsLeftElement || !starsElement || !restartButton || !nextLevelButton || !muteButton || !levelDisplayElement || !levelCompleteDialog || !gameOverDialog || !finalScoreElement || !finalStarsElement || !dialogNextLevelButton || !dialogReplayButton || !dialogGameOverRestartButton) {
         console.error("UI Initialization Failed: One or more HUD/dialog elements not found!");
         return;
     }
+    if (!dialogWatchReplayButton || !dialogGameOverWatchReplayButton || !loadReplayButton || !replayControls || !replayPlayButton || !replaySpeedSelect || !replayScrubber || !replayFrameLabel || !replayDownloadButton || !replayExitButton) {
+        console.error("UI Initialization Failed: One or more replay elements not found!");
+        return;
+    }
+    if (!editButton || !editorToolbar || editorToolButtons.length === 0 || !editorGridCheckbox || !editorStaticButton || !editorShapeSelect || !editorBirdsInput || !editorWidthInput || !editorNewButton || !editorImportButton || !editorExportButton || !editorTestButton || !editorExitButton) {
+        console.error("UI Initialization Failed: One or more editor elements not found!");
+        return;
+    }
+    if (!packButton || !packDialog || !packNameElement || !packUrlForm || !packUrlInput || !packFileButton || !packCampaignButton || !packCloseButton || !packErrorElement) {
+        console.error("UI Initialization Failed: One or more level pack elements not found!");
+        return;
+    }
+    if (!levelSelectButton || !levelSelectDialog || !levelSelectTitle || !levelSelectStars || !levelSelectWorlds || !levelSelectCloseButton || !dialogLevelSelectButton || !saveExportButton || !saveImportButton || !saveStatusElement) {
+        console.error("UI Initialization Failed: One or more level select elements not found!");
+        return;
+    }
+    if (!pauseButton || !pauseDialog || !pauseResumeButton || !pauseRestartButton || !pauseLevelSelectButton || !pauseSettingsButton || !pauseSettings || !settingsSoundCheckbox || !settingsSfxVolume || !settingsMusicVolume) {
+        console.error("UI Initialization Failed: One or more pause menu elements not found!");
+        return;
+    }
 
     // Assign actions
     actions.restartLevel = callbacks.restartLevel;
     actions.nextLevel = callbacks.nextLevel;
     actions.toggleMute = callbacks.toggleMute;
+    actions.watchReplay = callbacks.watchReplay;
+    actions.loadReplay = callbacks.loadReplay;
+    actions.toggleReplayPause = callbacks.toggleReplayPause;
+    actions.setReplaySpeed = callbacks.setReplaySpeed;
+    actions.seekReplay = callbacks.seekReplay;
+    actions.downloadReplay = callbacks.downloadReplay;
+    actions.exitReplay = callbacks.exitReplay;
+    actions.openEditor = callbacks.openEditor;
+    actions.editorSetTool = callbacks.editorSetTool;
+    actions.editorSetGrid = callbacks.editorSetGrid;
+    actions.editorToggleStatic = callbacks.editorToggleStatic;
+    actions.editorSetShape = callbacks.editorSetShape;
+    actions.editorSetBirds = callbacks.editorSetBirds;
+    actions.editorSetWorldWidth = callbacks.editorSetWorldWidth;
+    actions.editorNew = callbacks.editorNew;
+    actions.editorImport = callbacks.editorImport;
+    actions.editorExport = callbacks.editorExport;
+    actions.editorTest = callbacks.editorTest;
+    actions.editorExit = callbacks.editorExit;
+    actions.loadPackUrl = callbacks.loadPackUrl;
+    actions.loadPackFile = callbacks.loadPackFile;
+    actions.playCampaign = callbacks.playCampaign;
+    actions.openLevelSelect = callbacks.openLevelSelect;
+    actions.selectLevel = callbacks.selectLevel;
+    actions.watchBestReplay = callbacks.watchBestReplay;
+    actions.exportSave = callbacks.exportSave;
+    actions.importSave = callbacks.importSave;
+    actions.pauseGame = callbacks.pauseGame;
+    actions.resumeGame = callbacks.resumeGame;
+    actions.setVolume = callbacks.setVolume;
 
     // Attach button listeners
     restartButton.addEventListener('click', () => actions.restartLevel());
@@ -70,6 +230,100 @@ export function initUI(callbacks) {
         actions.restartLevel(); // Restart current level on game over
     });
 
+    dialogWatchReplayButton.addEventListener('click', () => {
+        levelCompleteDialog.close();
+        actions.watchReplay();
+    });
+    dialogGameOverWatchReplayButton.addEventListener('click', () => {
+        gameOverDialog.close();
+        actions.watchReplay();
+    });
+
+    // Replay controls
+    loadReplayButton.addEventListener('click', () => actions.loadReplay());
+    replayPlayButton.addEventListener('click', () => actions.toggleReplayPause());
+    replaySpeedSelect.addEventListener('change', () => actions.setReplaySpeed(Number(replaySpeedSelect.value)));
+    replayScrubber.addEventListener('input', () => {
+        // Only the label follows the drag; seeking re-simulates, so it waits for the release
+        isScrubbing = true;
+        replayFrameLabel.textContent = formatReplayTime(Number(replayScrubber.value), Number(replayScrubber.max));
+    });
+    replayScrubber.addEventListener('change', () => {
+        isScrubbing = false;
+        actions.seekReplay(Number(replayScrubber.value));
+    });
+    replayDownloadButton.addEventListener('click', () => actions.downloadReplay());
+    replayExitButton.addEventListener('click', () => actions.exitReplay());
+
+    // Level editor
+    editButton.addEventListener('click', () => actions.openEditor());
+    editorToolButtons.forEach(button => {
+        button.addEventListener('click', () => actions.editorSetTool(button.dataset.tool));
+    });
+    editorGridCheckbox.addEventListener('change', () => actions.editorSetGrid(editorGridCheckbox.checked));
+    editorStaticButton.addEventListener('click', () => actions.editorToggleStatic());
+    editorShapeSelect.addEventListener('change', () => actions.editorSetShape(editorShapeSelect.value));
+    editorBirdsInput.addEventListener('change', () => {
+        actions.editorSetBirds(editorBirdsInput.value.split(',').map(type => type.trim()).filter(Boolean));
+    });
+    editorWidthInput.addEventListener('change', () => actions.editorSetWorldWidth(Number(editorWidthInput.value)));
+    editorNewButton.addEventListener('click', () => actions.editorNew());
+    editorImportButton.addEventListener('click', () => actions.editorImport());
+    editorExportButton.addEventListener('click', () => actions.editorExport());
+    editorTestButton.addEventListener('click', () => actions.editorTest());
+    editorExitButton.addEventListener('click', () => actions.editorExit());
+
+    // Level packs
+    packButton.addEventListener('click', () => {
+        packErrorElement.hidden = true;
+        packDialog.showModal();
+    });
+    packUrlForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const url = packUrlInput.value.trim();
+        if (url) runPackAction(() => actions.loadPackUrl(url));
+    });
+    packFileButton.addEventListener('click', () => runPackAction(() => actions.loadPackFile()));
+    packCampaignButton.addEventListener('click', () => runPackAction(() => actions.playCampaign()));
+    packCloseButton.addEventListener('click', () => packDialog.close());
+
+    // Level select
+    levelSelectButton.addEventListener('click', () => actions.openLevelSelect());
+    levelSelectCloseButton.addEventListener('click', () => levelSelectDialog.close());
+    dialogLevelSelectButton.addEventListener('click', () => {
+        levelCompleteDialog.close();
+        actions.openLevelSelect();
+    });
+    saveExportButton.addEventListener('click', () => actions.exportSave());
+    saveImportButton.addEventListener('click', async () => {
+        saveStatusElement.hidden = true;
+        try {
+            if (!await actions.importSave()) return; // Cancelled
+            saveStatusElement.textContent = 'Save imported.';
+        } catch (error) {
+            console.error("Could not import save:", error);
+            saveStatusElement.textContent = `Could not import save: ${error.message}`;
+        }
+        saveStatusElement.hidden = false;
+    });
+
+    // Pause menu (the game closes it when it leaves the paused state)
+    pauseButton.addEventListener('click', () => actions.pauseGame());
+    pauseResumeButton.addEventListener('click', () => actions.resumeGame());
+    pauseRestartButton.addEventListener('click', () => actions.restartLevel());
+    pauseLevelSelectButton.addEventListener('click', () => actions.openLevelSelect()); // Opens over the menu; closing it comes back here
+    pauseSettingsButton.addEventListener('click', () => {
+        pauseSettings.hidden = !pauseSettings.hidden;
+        pauseSettingsButton.setAttribute('aria-expanded', String(!pauseSettings.hidden));
+    });
+    settingsSoundCheckbox.addEventListener('change', () => updateMuteButton(actions.toggleMute()));
+    settingsSfxVolume.addEventListener('input', () => actions.setVolume('sfx', Number(settingsSfxVolume.value)));
+    settingsMusicVolume.addEventListener('input', () => actions.setVolume('music', Number(settingsMusicVolume.value)));
+    pauseDialog.addEventListener('cancel', (e) => {
+        e.preventDefault(); // Escape resumes rather than just closing the menu
+        actions.resumeGame();
+    });
+
     // Close dialog on backdrop click (optional)
     levelCompleteDialog.addEventListener("click", (e) => {
         if (e.target === levelCompleteDialog) levelCompleteDialog.close();
@@ -77,6 +331,15 @@ export function initUI(callbacks) {
     gameOverDialog.addEventListener("click", (e) => {
         if (e.target === gameOverDialog) gameOverDialog.close();
     });
+    packDialog.addEventListener("click", (e) => {
+        if (e.target === packDialog) packDialog.close();
+    });
+    levelSelectDialog.addEventListener("click", (e) => {
+        if (e.target === levelSelectDialog) levelSelectDialog.close();
+    });
+    pauseDialog.addEventListener("click", (e) => {
+        if (e.target === pauseDialog) actions.resumeGame();
+    });
 
     console.log("UI Initialized");
 }
@@ -95,7 +358,7 @@ export function updateScore(score) {
 
 /**
  * Updates the level number display.
- * @param {number} levelNumber - The current level number (1-based).
+ * @param {number|string} levelNumber - The current level number (1-based), or a label such as 'Test'.
  */
 export function updateLevelDisplay(levelNumber) {
     if (levelDisplayElement) {
@@ -138,6 +401,7 @@ export function updateMuteButton(isMuted) {
         muteButton.textContent = isMuted ? '🔇' : '🔊';
         muteButton.setAttribute('aria-label', isMuted ? 'Unmute Sound' : 'Mute Sound');
     }
+    if (settingsSoundCheckbox) settingsSoundCheckbox.checked = !isMuted;
 }
 
 /**
@@ -153,27 +417,14 @@ export function setNextLevelButtonEnabled(enabled) {
 
 // --- Modal Dialog Functions ---
 
-/**
- * Calculates the number of stars earned based on score and thresholds.
- * @param {number} score - The final score for the level.
- * @param {object} thresholds - The star thresholds for the level (e.g., {1: 1000, 2: 5000, 3: 10000}).
- * @returns {number} Number of stars (0-3).
- */
-function calculateStars(score, thresholds) {
-    if (!thresholds) return 0;
-    if (score >= thresholds[3]) return 3;
-    if (score >= thresholds[2]) return 2;
-    if (score >= thresholds[1]) return 1;
-    return 0;
-}
-
 /**
  * Shows the Level Complete dialog.
  * @param {number} score - Final score.
  * @param {object} starThresholds - Thresholds for the completed level.
- * @param {boolean} isLastLevel - Whether this was the final level available.
+ * @param {boolean} isLastLevel - Whether there's no next level to go on to (the last level, or the next world is locked).
+ * @param {{shots: Array<object>, bonuses: Array<object>}} [breakdown] - Where the score came from (see ScoreKeeper.describe).
  */
-export function showLevelCompleteDialog(score, starThresholds, isLastLevel) {
+export function showLevelCompleteDialog(score, starThresholds, isLastLevel, breakdown = null) {
     if (levelCompleteDialog && finalScoreElement && finalStarsElement) {
         const stars = calculateStars(score, starThresholds);
 
@@ -191,6 +442,8 @@ export function showLevelCompleteDialog(score, starThresholds, isLastLevel) {
             }
         });
 
+        showScoreBreakdown(breakdown);
+
         // Disable "Next Level" if it's the last one
         dialogNextLevelButton.style.display = isLastLevel ? 'none' : 'inline-block';
 
@@ -198,6 +451,37 @@ export function showLevelCompleteDialog(score, starThresholds, isLastLevel) {
     }
 }
 
+/**
+ * Fills the level-complete dialog's table with one row per shot (damage, destruction and combo
+ * points) and one per bonus. Hidden when there's no breakdown.
+ * @param {{shots: Array<object>, bonuses: Array<object>}|null} breakdown
+ */
+function showScoreBreakdown(breakdown) {
+    if (!scoreBreakdownElement) return;
+    const body = scoreBreakdownElement.querySelector('tbody');
+    body.textContent = '';
+    scoreBreakdownElement.hidden = !breakdown;
+    if (!breakdown) return;
+
+    const addRow = cells => {
+        const row = document.createElement('tr');
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        body.appendChild(row);
+    };
+    let shotNumber = 0;
+    breakdown.shots.forEach(shot => {
+        // Points from before the first launch (something collapsing by itself) have no bird
+        const label = shot.bird ? `Shot ${++shotNumber} (${shot.bird})` : 'Before launch';
+        const destroyed = shot.destroyed > 0 ? `${shot.destruction} (×${shot.destroyed})` : '0';
+        addRow([label, shot.damage, destroyed, shot.combo > 0 ? `+${shot.combo}` : '–', shot.total]);
+    });
+    breakdown.bonuses.forEach(bonus => addRow([bonus.label, '', '', '', bonus.points]));
+}
+
 /**
  * Shows the Game Over dialog.
  */
@@ -207,42 +491,292 @@ export function showGameOverDialog() {
     }
 }
 
-// --- Local Storage Persistence ---
+// --- Pause Menu ---
 
 /**
- * Saves game progress (highest unlocked level, high scores).
- * @param {number} highestLevelUnlocked
- * @param {object} highScores - Optional: { levelIndex: score, ... }
+ * Opens the pause menu.
+ * @param {{muted: boolean, volume: {sfx: number, music: number}}} settings - Current sound settings for the controls.
  */
-export function saveProgress(highestLevelUnlocked, highScores = {}) {
-    try {
-        const progress = {
-            highestLevelUnlocked,
-            highScores,
+export function showPauseMenu(settings) {
+    if (!pauseDialog) return;
+    settingsSoundCheckbox.checked = !settings.muted;
+    settingsSfxVolume.value = String(settings.volume.sfx);
+    settingsMusicVolume.value = String(settings.volume.music);
+    pauseSettings.hidden = true;
+    pauseSettingsButton.setAttribute('aria-expanded', 'false');
+    if (!pauseDialog.open) pauseDialog.showModal();
+}
+
+/** Closes the pause menu */
+export function hidePauseMenu() {
+    if (pauseDialog && pauseDialog.open) pauseDialog.close();
+}
+
+// --- Level Select ---
+
+/**
+ * Works out what the level select shows: every level's best score, stars and lock state, by world.
+ * Levels unlock one after another (each once the one before is beaten), and only once their
+ * world's star requirement is met.
+ * @param {Array<object>} levels - The pack's levels.
+ * @param {Array<object>} worlds - { name, levelCount, starsToUnlock } in order (see WORLDS in levels.js).
+ * @param {object} progress - The pack's saved progress (SaveGame.packProgress).
+ * @returns {{totalStars: number, maxStars: number, worlds: Array<object>}} Each world is
+ *          { name, starsToUnlock, unlocked, stars, maxStars, levels }, each level
+ *          { index, name, unlocked, beaten, highScore, stars, hasReplay }.
+ */
+export function describeWorlds(levels, worlds, progress) {
+    const levelInfo = levels.map((levelData, index) => {
+        const record = progress.levels[levelIdOf(levelData, index)];
+        return {
+            index,
+            name: levelData.name ?? `Level ${index + 1}`,
+            beaten: Boolean(record),
+            highScore: record?.bestScore ?? 0,
+            stars: record?.stars ?? 0,
+            hasReplay: Boolean(record?.replay),
+        };
+    });
+    const totalStars = levelInfo.reduce((sum, level) => sum + level.stars, 0);
+
+    let firstIndex = 0;
+    const worldInfo = worlds.map(world => {
+        const starsToUnlock = world.starsToUnlock ?? 0;
+        const unlocked = totalStars >= starsToUnlock;
+        const worldLevels = levelInfo.slice(firstIndex, firstIndex + world.levelCount).map(level => ({
+            ...level,
+            unlocked: unlocked && (level.index === 0 || levelInfo[level.index - 1].beaten),
+        }));
+        firstIndex += world.levelCount;
+        return {
+            name: world.name,
+            starsToUnlock,
+            unlocked,
+            stars: worldLevels.reduce((sum, level) => sum + level.stars, 0),
+            maxStars: worldLevels.length * 3,
+            levels: worldLevels,
         };
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
-    } catch (e) {
-        console.error("Failed to save progress to localStorage:", e);
+    });
+    return { totalStars, maxStars: levels.length * 3, worlds: worldInfo };
+}
+
+/**
+ * Shows the level select screen.
+ * @param {string} title - Heading (the level pack's name).
+ * @param {object} summary - From describeWorlds.
+ * @param {number} currentLevelIndex - Level being played, highlighted.
+ */
+export function showLevelSelect(title, summary, currentLevelIndex) {
+    if (!levelSelectDialog) return;
+    levelSelectTitle.textContent = title;
+    levelSelectStars.textContent = `⭐ ${summary.totalStars} / ${summary.maxStars}`;
+    levelSelectWorlds.replaceChildren(...summary.worlds.map(world => createWorldSection(world, currentLevelIndex)));
+    if (!levelSelectDialog.open) {
+        saveStatusElement.hidden = true;
+        levelSelectDialog.showModal();
     }
 }
 
+/** One world on the level select screen: its heading and a tile per level */
+function createWorldSection(world, currentLevelIndex) {
+    const section = document.createElement('section');
+    section.className = 'world';
+    section.classList.toggle('locked', !world.unlocked);
+
+    const heading = document.createElement('h3');
+    heading.textContent = world.unlocked
+        ? `${world.name} — ⭐ ${world.stars} / ${world.maxStars}`
+        : `🔒 ${world.name} — collect ${world.starsToUnlock} ⭐ to unlock`;
+    section.appendChild(heading);
+
+    const grid = document.createElement('div');
+    grid.className = 'level-grid';
+    world.levels.forEach(level => {
+        const tile = document.createElement('div');
+        tile.className = 'level-tile';
+        const play = document.createElement('button');
+        play.className = 'level-play';
+        play.classList.toggle('current', level.index === currentLevelIndex);
+        play.disabled = !level.unlocked;
+        play.setAttribute('aria-label', `Level ${level.index + 1}: ${level.name}${level.unlocked ? '' : ' (locked)'}`);
+
+        const number = document.createElement('span');
+        number.className = 'level-number';
+        number.textContent = level.unlocked ? level.index + 1 : '🔒';
+        const name = document.createElement('span');
+        name.className = 'level-name';
+        name.textContent = level.name;
+        const stars = document.createElement('span');
+        stars.className = 'level-stars';
+        for (let i = 0; i < 3; i++) {
+            const star = document.createElement('span');
+            star.textContent = '⭐';
+            star.classList.toggle('active', i < level.stars);
+            stars.appendChild(star);
+        }
+        const best = document.createElement('span');
+        best.className = 'level-score';
+        best.textContent = level.highScore > 0 ? `Best: ${level.highScore}` : '—';
+        play.append(number, name, stars, best);
+        play.addEventListener('click', () => {
+            levelSelectDialog.close();
+            actions.selectLevel(level.index);
+        });
+        tile.appendChild(play);
+
+        if (level.hasReplay) {
+            const replay = document.createElement('button');
+            replay.className = 'level-replay';
+            replay.textContent = '🎬';
+            replay.setAttribute('aria-label', `Watch best replay of level ${level.index + 1}`);
+            replay.addEventListener('click', () => {
+                levelSelectDialog.close();
+                actions.watchBestReplay(level.index);
+            });
+            tile.appendChild(replay);
+        }
+        grid.appendChild(tile);
+    });
+    section.appendChild(grid);
+    return section;
+}
+
+// --- Replay Controls ---
+
 /**
- * Loads game progress from local storage.
- * @returns {object} { highestLevelUnlocked: number, highScores: object } or defaults.
+ * Formats a replay position as seconds, e.g. "3.5s / 12.0s" (frames are 1/60 s steps).
+ * @param {number} frame
+ * @param {number} length
  */
-export function loadProgress() {
-    try {
-        const saved = localStorage.getItem(STORAGE_KEY);
-        if (saved) {
-            const progress = JSON.parse(saved);
-            // Basic validation
-            if (typeof progress.highestLevelUnlocked === 'number' && typeof progress.highScores === 'object') {
-                 return progress;
+function formatReplayTime(frame, length) {
+    return `${(frame / 60).toFixed(1)}s / ${(length / 60).toFixed(1)}s`;
+}
+
+/**
+ * Switches the controls around the canvas between playing, watching a replay and editing:
+ * the replay bar and editor toolbar appear in their modes, the level buttons only while playing.
+ * @param {string} mode - 'play', 'replay' or 'edit'.
+ */
+export function setHudMode(mode) {
+    if (!replayControls || !editorToolbar) return;
+    replayControls.hidden = mode !== 'replay';
+    editorToolbar.hidden = mode !== 'edit';
+    [pauseButton, restartButton, nextLevelButton, levelSelectButton, loadReplayButton, editButton, packButton].forEach(button => {
+        button.hidden = mode !== 'play';
+    });
+    isScrubbing = false;
+}
+
+/**
+ * Updates the replay control bar.
+ * @param {number} frame - Current replay frame.
+ * @param {number} length - Total frames in the replay.
+ * @param {boolean} paused
+ * @param {number} speed - Playback speed multiplier.
+ */
+export function updateReplayControls(frame, length, paused, speed) {
+    if (!replayControls || replayControls.hidden) return;
+    replayPlayButton.textContent = paused ? '▶️' : '⏸️';
+    replayPlayButton.setAttribute('aria-label', paused ? 'Play Replay' : 'Pause Replay');
+    if (Number(replaySpeedSelect.value) !== speed) replaySpeedSelect.value = String(speed);
+    if (!isScrubbing) {
+        replayScrubber.max = length;
+        replayScrubber.value = frame;
+        replayFrameLabel.textContent = formatReplayTime(frame, length);
+    }
+}
+
+/**
+ * Offers JSON text to the user as a file download.
+ * @param {string} filename
+ * @param {string} text
+ */
+export function downloadTextFile(filename, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Lets the user pick a file and reads it as text.
+ * @param {string} accept - File types for the picker (input `accept` attribute).
+ * @returns {Promise<string|null>} The file's text, or null if nothing was picked.
+ */
+export function pickTextFile(accept) {
+    return new Promise(resolve => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) {
+                resolve(null);
+                return;
             }
-        }
-    } catch (e) {
-        console.error("Failed to load progress from localStorage:", e);
+            file.text().then(resolve, error => {
+                console.error("Failed to read file:", error);
+                resolve(null);
+            });
+        });
+        input.addEventListener('cancel', () => resolve(null));
+        input.click();
+    });
+}
+
+// --- Level Packs ---
+
+/**
+ * Runs a level pack action from the pack dialog: closes the dialog once the pack is playing,
+ * or shows why it couldn't be loaded.
+ * @param {function(): (boolean|Promise<boolean>)} action
+ */
+async function runPackAction(action) {
+    packErrorElement.hidden = true;
+    try {
+        if (await action()) packDialog.close();
+    } catch (error) {
+        console.error("Could not load level pack:", error);
+        packErrorElement.textContent = error.message;
+        packErrorElement.hidden = false;
     }
-    // Return defaults if no save data or error
-    return { highestLevelUnlocked: 1, highScores: {} };
-} 
\ No newline at end of file
+}
+
+/**
+ * Shows which level pack is being played.
+ * @param {string} name - Pack name.
+ * @param {string} version - Pack version.
+ * @param {boolean} isCampaign - Whether it's the built-in campaign (which has nothing to go back to).
+ */
+export function updatePackDisplay(name, version, isCampaign) {
+    if (!packNameElement) return;
+    packNameElement.textContent = isCampaign ? name : `${name} (v${version})`;
+    packCampaignButton.hidden = isCampaign;
+}
+
+// --- Level Editor Toolbar ---
+
+/**
+ * Reflects the editor's state in its toolbar.
+ * @param {object} state
+ * @param {string} state.tool - Active tool.
+ * @param {boolean} state.snapToGrid
+ * @param {Array<string>} state.birds - The level's bird types.
+ * @param {number} state.worldWidth
+ * @param {boolean|null} state.selectedBlockIsStatic - Whether the selected block is static (null: no block selected).
+ * @param {string} state.blockShape - Shape of the selected block, or else of the blocks the editor places.
+ */
+export function updateEditorToolbar(state) {
+    if (!editorToolbar) return;
+    editorToolButtons.forEach(button => {
+        button.classList.toggle('active', button.dataset.tool === state.tool);
+    });
+    editorGridCheckbox.checked = state.snapToGrid;
+    editorStaticButton.disabled = state.selectedBlockIsStatic === null;
+    editorStaticButton.classList.toggle('active', state.selectedBlockIsStatic === true);
+    editorShapeSelect.value = state.blockShape;
+    if (document.activeElement !== editorBirdsInput) editorBirdsInput.value = state.birds.join(', ');
+    if (document.activeElement !== editorWidthInput) editorWidthInput.value = state.worldWidth;
+}
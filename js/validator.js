@@ -0,0 +1,436 @@
+/**
+ * @fileoverview Level schema and linter.
+ * validateLevel checks a level object (the format in js/levels.js) first against LEVEL_SCHEMA
+ * (field types, required fields, known bird/block/enemy/joint types) and then, if the data is
+ * well-formed, builds it in a scratch PhysicsWorld to look for problems in the layout itself:
+ * overlapping spawns, objects outside the world and enemies no shot can reach. validatePack does
+ * the same for every level of a level pack, after checking its manifest.
+ * Runs in the browser (main.js checks each level as it loads) and in Node (scripts/lint-levels.js).
+ *
+ * Coordinates, as the entity constructors take them: blocks (the ground included) give their
+ * top-left corner, enemies and the slingshot their centre/fork point.
+ */
+
+import { PhysicsWorld, Vec2, GRAVITY, TIME_STEP, getAABB } from './physics.js';
+import { BIRD_TYPES, BLOCK_TYPES, BLOCK_SHAPES, ENEMY_TYPES, createBird, LAUNCH_POWER } from './entities.js';
+import { JOINT_TYPES } from './joints.js';
+import { BruteForceBroadPhase } from './broadphase.js';
+import { buildLevel, DEFAULT_WORLD_WIDTH, WORLD_HEIGHT } from './simulation.js';
+
+const OVERLAP_TOLERANCE = 2;     // px of overlap allowed between spawns (stacked blocks touch exactly)
+const REACH_ANGLES = 180;        // Launch directions tried when checking whether enemies can be hit
+const REACH_PULLS = [0.25, 0.5, 0.75, 1]; // Fractions of the full slingshot pull tried in each direction
+const REACH_MAX_STEPS = 600;     // 10 s of flight
+
+// --- Schema ---
+// A field spec is { type, required?, recommended?, min?, minItems?, oneOf?, items?, fields? }.
+// `recommended` fields only warn when missing; `oneOf` may be a function so the lists stay live.
+
+const NUMBER = { type: 'number', required: true };
+const POINT = { type: 'object', fields: { x: NUMBER, y: NUMBER } };
+
+const BLOCK_SCHEMA = {
+    type: 'object',
+    fields: {
+        type: { type: 'string', required: true, oneOf: () => BLOCK_TYPES },
+        x: NUMBER, // Left edge
+        y: NUMBER, // Top edge
+        width: { type: 'number', required: true, min: 1 },
+        height: { type: 'number', required: true, min: 1 },
+        isStatic: { type: 'boolean' },
+        angle: { type: 'number' }, // Radians about the centre
+        shape: { type: 'string', oneOf: () => Object.keys(BLOCK_SHAPES) }, // Defaults to 'box'
+    },
+};
+
+const ENEMY_SCHEMA = {
+    type: 'object',
+    fields: {
+        type: { type: 'string', oneOf: () => Object.keys(ENEMY_TYPES) }, // Leave out for a regular enemy
+        x: NUMBER, // Centre
+        y: NUMBER,
+    },
+};
+
+const JOINT_SCHEMA = {
+    type: 'object',
+    fields: {
+        type: { type: 'string', required: true, oneOf: () => Object.keys(JOINT_TYPES) },
+        a: { type: 'integer', required: true, min: 0 },
+        b: { type: 'integer', min: 0 },
+        anchorA: POINT,
+        anchorB: POINT,
+        worldAnchor: POINT,
+        length: { type: 'number', min: 0 },
+        strength: { type: 'number', min: 0 },
+        collideConnected: { type: 'boolean' },
+    },
+};
+
+const LEVEL_SCHEMA = {
+    type: 'object',
+    fields: {
+        level: { type: 'integer' },
+        id: { type: 'string', recommended: true }, // Saved progress refers to levels by it
+        name: { type: 'string', recommended: true }, // Shown on the level select screen
+        birds: { type: 'array', required: true, minItems: 1, items: { type: 'string', oneOf: () => Object.keys(BIRD_TYPES) } },
+        slingshotPos: { ...POINT, required: true },
+        enemies: { type: 'array', required: true, items: ENEMY_SCHEMA },
+        blocks: { type: 'array', required: true, items: BLOCK_SCHEMA },
+        joints: { type: 'array', items: JOINT_SCHEMA },
+        worldWidth: { type: 'number', min: DEFAULT_WORLD_WIDTH },
+        starThresholds: { type: 'object', recommended: true, fields: { 1: NUMBER, 2: NUMBER, 3: NUMBER } },
+    },
+};
+
+// Worlds group consecutive levels on the level select screen (see WORLDS in levels.js)
+const WORLD_SCHEMA = {
+    type: 'object',
+    fields: {
+        name: { type: 'string', required: true },
+        levelCount: { type: 'integer', required: true, min: 1 },
+        starsToUnlock: { type: 'integer', min: 0 },
+    },
+};
+
+// Level packs (see packs.js): the levels themselves are checked with LEVEL_SCHEMA
+const PACK_SCHEMA = {
+    type: 'object',
+    fields: {
+        manifest: {
+            type: 'object',
+            required: true,
+            fields: {
+                id: { type: 'string' },
+                name: { type: 'string', required: true },
+                version: { type: 'string', required: true },
+                author: { type: 'string' },
+                description: { type: 'string' },
+                levels: { type: 'array', required: true, minItems: 1, items: { type: 'string' } }, // Play order
+                assets: { type: 'object' }, // Image/sound name -> URL
+                worlds: { type: 'array', minItems: 1, items: WORLD_SCHEMA },
+            },
+        },
+        levels: { type: 'object', required: true }, // Level ID -> level
+    },
+};
+
+/** True if `value` is of a schema type */
+function isType(value, type) {
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return Number.isFinite(value);
+    return typeof value === type;
+}
+
+/**
+ * Checks a value against a field spec, adding any problems to `issues`.
+ * @param {*} value
+ * @param {object} spec
+ * @param {string} path Where the value is, for messages (e.g. 'blocks[3].type')
+ * @param {Array<object>} issues
+ */
+function checkSchema(value, spec, path, issues) {
+    if (!isType(value, spec.type)) {
+        issues.push(error(path, `should be ${spec.type === 'integer' ? 'an integer' : `a ${spec.type}`}, got ${JSON.stringify(value)}`));
+        return;
+    }
+    if (spec.min !== undefined && value < spec.min) {
+        issues.push(error(path, `should be at least ${spec.min}, got ${value}`));
+    }
+    const allowed = typeof spec.oneOf === 'function' ? spec.oneOf() : spec.oneOf;
+    if (allowed && !allowed.includes(value)) {
+        issues.push(error(path, `unknown type '${value}' (expected one of: ${allowed.join(', ')})`));
+    }
+    if (spec.type === 'array') {
+        if (spec.minItems && value.length < spec.minItems) issues.push(error(path, `needs at least ${spec.minItems} entr${spec.minItems === 1 ? 'y' : 'ies'}`));
+        if (spec.items) value.forEach((item, i) => checkSchema(item, spec.items, `${path}[${i}]`, issues));
+    }
+    if (spec.type === 'object' && spec.fields) {
+        for (const [name, fieldSpec] of Object.entries(spec.fields)) {
+            const fieldPath = path ? `${path}.${name}` : name;
+            if (value[name] === undefined) {
+                if (fieldSpec.required) issues.push(error(fieldPath, 'is missing'));
+                else if (fieldSpec.recommended) issues.push(warning(fieldPath, 'is missing'));
+                continue;
+            }
+            checkSchema(value[name], fieldSpec, fieldPath, issues);
+        }
+        for (const name of Object.keys(value)) {
+            if (!(name in spec.fields)) issues.push(warning(path ? `${path}.${name}` : name, 'is not a known field (typo?)'));
+        }
+    }
+}
+
+function error(path, message) {
+    return { severity: 'error', path, message };
+}
+
+function warning(path, message) {
+    return { severity: 'warning', path, message };
+}
+
+// --- Layout checks ---
+
+/**
+ * Cross-field checks that need more than one field: joint indices and star threshold order.
+ */
+function checkReferences(levelData, issues) {
+    (levelData.joints ?? []).forEach((joint, i) => {
+        for (const end of ['a', 'b']) {
+            if (joint[end] !== undefined && joint[end] >= levelData.blocks.length) {
+                issues.push(error(`joints[${i}].${end}`, `refers to block ${joint[end]}, but the level has ${levelData.blocks.length} blocks`));
+            }
+        }
+        if (joint.type !== 'revolute' && joint.b === undefined && !joint.worldAnchor) {
+            issues.push(error(`joints[${i}]`, `a ${joint.type} joint needs either 'b' or 'worldAnchor'`));
+        }
+    });
+
+    levelData.blocks.forEach((block, i) => {
+        if (block.shape === 'circle' && block.width !== block.height) {
+            issues.push(warning(`blocks[${i}]`, `is a circle, so only ${Math.min(block.width, block.height)}px of its ${block.width}x${block.height} is used; make the sides equal`));
+        }
+    });
+
+    const stars = levelData.starThresholds;
+    if (stars && !(stars[1] <= stars[2] && stars[2] <= stars[3])) {
+        issues.push(warning('starThresholds', `should increase from 1 to 3 stars, got ${stars[1]}, ${stars[2]}, ${stars[3]}`));
+    }
+    if (levelData.enemies.length === 0) {
+        issues.push(warning('enemies', 'is empty, so the level is won before the first shot'));
+    }
+}
+
+/**
+ * Pairs of spawned bodies that start inside each other (they'd be shoved apart on the first step).
+ * Static pairs and pairs connected by a joint are allowed to overlap.
+ */
+function checkOverlaps(levelData, physicsWorld, named, issues) {
+    const bodies = [...named.keys()];
+    const jointed = new Set(physicsWorld.joints.map(j => `${j.bodyA?.id}:${j.bodyB?.id}`));
+    for (let i = 0; i < bodies.length; i++) {
+        for (let j = i + 1; j < bodies.length; j++) {
+            const a = bodies[i];
+            const b = bodies[j];
+            if (a.isStatic && b.isStatic) continue;
+            if (jointed.has(`${a.id}:${b.id}`) || jointed.has(`${b.id}:${a.id}`)) continue;
+            const boundsA = getAABB(a);
+            const boundsB = getAABB(b);
+            if (boundsA.maxX < boundsB.minX || boundsB.maxX < boundsA.minX || boundsA.maxY < boundsB.minY || boundsB.maxY < boundsA.minY) continue;
+            const collision = physicsWorld.checkCollision(a, b);
+            if (collision && collision.penetration > OVERLAP_TOLERANCE) {
+                issues.push(warning(named.get(a), `overlaps ${named.get(b)} by ${collision.penetration.toFixed(1)}px at spawn`));
+            }
+        }
+    }
+}
+
+/** Anything sticking out of the sides or bottom of the world (the sky has no limit) */
+function checkBounds(levelData, named, issues) {
+    const worldWidth = levelData.worldWidth ?? DEFAULT_WORLD_WIDTH;
+    for (const [entity, path] of named) {
+        const bounds = getAABB(entity);
+        if (bounds.minX < 0 || bounds.maxX > worldWidth || bounds.maxY > WORLD_HEIGHT) {
+            issues.push(warning(path, `is outside the world (${Math.round(bounds.minX)}..${Math.round(bounds.maxX)} x, bottom at ${Math.round(bounds.maxY)}; world is 0..${worldWidth} x 0..${WORLD_HEIGHT})`));
+        }
+    }
+    const sling = levelData.slingshotPos;
+    if (sling.x < 0 || sling.x > worldWidth || sling.y > WORLD_HEIGHT) {
+        issues.push(warning('slingshotPos', `is outside the world (${sling.x}, ${sling.y})`));
+    }
+}
+
+/** Distance from point p to the segment a-b */
+function distanceToSegment(p, a, b) {
+    const ab = b.sub(a);
+    const t = Math.max(0, Math.min(1, p.sub(a).dot(ab) / (ab.lenSq() || 1)));
+    return p.sub(a.add(ab.mul(t))).len();
+}
+
+/**
+ * Enemies that no direct shot can reach. Launches are tried in every direction (lobs included)
+ * at a few pull strengths, flying the way a launched bird does (gravity each fixed step) until
+ * they leave the world or hit something static. Only static geometry blocks a shot, since
+ * anything else can be knocked out of the way. The warning gives how close the nearest shot
+ * came, so an enemy just out of reach can be told from one meant to be knocked down to.
+ */
+function checkReachability(levelData, physicsWorld, slingshot, enemies, issues) {
+    if (enemies.length === 0) return;
+    const worldWidth = levelData.worldWidth ?? DEFAULT_WORLD_WIDTH;
+    const birdRadius = Math.max(...levelData.birds.map(type => createBird(type).collisionShape.radius));
+    const gravityStep = new Vec2(0, GRAVITY * TIME_STEP);
+    const closest = new Map(enemies.map(enemy => [enemy, Infinity])); // Unreached enemy -> nearest miss (px)
+    // Only static bodies stop a shot. A world of just those (a handful, so no spatial hash
+    // to rebuild around the long ground on every raycast) keeps the many raycasts cheap.
+    const obstacles = new PhysicsWorld({ broadPhase: new BruteForceBroadPhase() });
+    physicsWorld.entities.filter(e => e.isStatic).forEach(e => obstacles.addEntity(e));
+
+    for (let i = 0; i < REACH_ANGLES && closest.size > 0; i++) {
+        const direction = new Vec2(1, 0).rotate((i / REACH_ANGLES) * Math.PI * 2);
+        for (const pull of REACH_PULLS) {
+            const launchVector = direction.mul(slingshot.elasticLength * pull);
+            // As Bird.launch: the bird leaves from where it was pulled to
+            let position = slingshot.anchorFrontPos.sub(launchVector);
+            let velocity = launchVector.mul(LAUNCH_POWER);
+
+            for (let step = 0; step < REACH_MAX_STEPS && closest.size > 0; step++) {
+                velocity = velocity.add(gravityStep);
+                const next = position.add(velocity.mul(TIME_STEP));
+                const hit = obstacles.raycast(position, next);
+                const end = hit ? hit.point : next;
+                for (const [enemy, nearest] of closest) {
+                    const gap = distanceToSegment(enemy.position, position, end) - enemy.collisionShape.radius - birdRadius;
+                    if (gap <= 0) closest.delete(enemy);
+                    else if (gap < nearest) closest.set(enemy, gap);
+                }
+                if (hit) break;
+                position = next;
+                if (position.y > WORLD_HEIGHT + 100 || position.x < -100 || position.x > worldWidth + 100) break;
+            }
+        }
+    }
+
+    enemies.forEach((enemy, i) => {
+        if (closest.has(enemy)) {
+            issues.push(warning(`enemies[${i}]`, `no direct shot can reach this enemy (the nearest misses by ${Math.round(closest.get(enemy))}px)`));
+        }
+    });
+}
+
+// --- Entry points ---
+
+/**
+ * Checks a level definition.
+ * @param {object} levelData Level definition (see levels.js)
+ * @returns {Array<{severity: string, path: string, message: string}>} Problems found; severity is
+ *          'error' (the level won't load or play as written) or 'warning' (it plays, but probably not as intended)
+ */
+function validateLevel(levelData) {
+    const issues = [];
+    checkSchema(levelData, LEVEL_SCHEMA, '', issues);
+    if (hasErrors(issues)) return issues; // The layout checks need well-formed data
+
+    checkReferences(levelData, issues);
+    if (hasErrors(issues)) return issues;
+
+    const physicsWorld = new PhysicsWorld();
+    const { slingshot, enemies, blocks } = buildLevel(levelData, physicsWorld);
+    const named = new Map([
+        ...blocks.map((block, i) => [block, `blocks[${i}]`]),
+        ...enemies.map((enemy, i) => [enemy, `enemies[${i}]`]),
+    ]);
+    checkOverlaps(levelData, physicsWorld, named, issues);
+    checkBounds(levelData, named, issues);
+    checkReachability(levelData, physicsWorld, slingshot, enemies, issues);
+    return issues;
+}
+
+/**
+ * Checks every level in a list (e.g. LEVELS), plus things that span levels.
+ * @param {Array<object>} levels
+ * @returns {Array<{index: number, issues: Array<object>}>} One entry per level, in order
+ */
+function validateLevels(levels) {
+    const results = levels.map((levelData, index) => ({ index, issues: validateLevel(levelData) }));
+    const seen = new Map(); // `level` number -> first index using it
+    const seenIds = new Map(); // `id` -> first index using it
+    levels.forEach((levelData, index) => {
+        if (levelData?.id !== undefined) {
+            if (seenIds.has(levelData.id)) {
+                results[index].issues.push(error('id', `'${levelData.id}' is also used by the level at index ${seenIds.get(levelData.id)}`));
+            } else {
+                seenIds.set(levelData.id, index);
+            }
+        }
+        if (levelData?.level === undefined) return;
+        if (seen.has(levelData.level)) {
+            results[index].issues.push(warning('level', `number ${levelData.level} is also used by the level at index ${seen.get(levelData.level)}`));
+        } else {
+            seen.set(levelData.level, index);
+        }
+    });
+    return results;
+}
+
+/**
+ * Checks a level pack: the manifest, that its level order matches the levels it carries, and
+ * every level in that order (issue paths are prefixed with the level's ID, e.g. 'levels.meadow.blocks[2]').
+ * @param {object} pack Parsed pack JSON
+ * @returns {Array<{severity: string, path: string, message: string}>}
+ */
+function validatePack(pack) {
+    const issues = [];
+    checkSchema(pack, PACK_SCHEMA, '', issues);
+    if (hasErrors(issues)) return issues;
+
+    const { manifest, levels } = pack;
+    if (manifest.id !== undefined && manifest.id.trim() === '') issues.push(error('manifest.id', 'is empty'));
+    if (manifest.name.trim() === '') issues.push(error('manifest.name', 'is empty'));
+    Object.entries(manifest.assets ?? {}).forEach(([name, url]) => {
+        if (typeof url !== 'string') issues.push(error(`manifest.assets.${name}`, `should be a URL string, got ${JSON.stringify(url)}`));
+    });
+    manifest.levels.forEach((id, i) => {
+        if (!(id in levels)) issues.push(error(`manifest.levels[${i}]`, `refers to level '${id}', which the pack doesn't contain`));
+        else if (manifest.levels.indexOf(id) !== i) issues.push(warning(`manifest.levels[${i}]`, `level '${id}' is listed more than once`));
+    });
+    Object.keys(levels).forEach(id => {
+        if (!manifest.levels.includes(id)) issues.push(warning(`levels.${id}`, "is not in the manifest's level order, so it can't be played"));
+    });
+    if (manifest.worlds) issues.push(...validateWorlds(manifest.worlds, manifest.levels.length, 'manifest.worlds'));
+    if (hasErrors(issues)) return issues;
+
+    validateLevels(manifest.levels.map(id => levels[id])).forEach(({ index, issues: levelIssues }) => {
+        const prefix = `levels.${manifest.levels[index]}`;
+        levelIssues.forEach(issue => issues.push({ ...issue, path: issue.path ? `${prefix}.${issue.path}` : prefix }));
+    });
+    return issues;
+}
+
+/**
+ * Checks a list of worlds against the levels they group.
+ * @param {Array<object>} worlds
+ * @param {number} levelCount Number of levels the worlds have to cover
+ * @param {string} [path] Where the list is, for messages
+ * @returns {Array<{severity: string, path: string, message: string}>}
+ */
+function validateWorlds(worlds, levelCount, path = 'worlds') {
+    const issues = [];
+    checkSchema(worlds, { type: 'array', minItems: 1, items: WORLD_SCHEMA }, path, issues);
+    if (hasErrors(issues)) return issues;
+
+    const covered = worlds.reduce((sum, world) => sum + world.levelCount, 0);
+    if (covered !== levelCount) {
+        issues.push(error(path, `cover ${covered} levels, but there are ${levelCount}`));
+    }
+    worlds.forEach((world, i) => {
+        if (i > 0 && (world.starsToUnlock ?? 0) < (worlds[i - 1].starsToUnlock ?? 0)) {
+            issues.push(warning(`${path}[${i}].starsToUnlock`, `is lower than the previous world's (${worlds[i - 1].starsToUnlock ?? 0})`));
+        }
+    });
+    return issues;
+}
+
+function hasErrors(issues) {
+    return issues.some(issue => issue.severity === 'error');
+}
+
+/** One-line description of an issue, e.g. "error blocks[3].type: unknown type 'tnt2' (...)" */
+function formatIssue(issue) {
+    return `${issue.severity} ${issue.path || '(level)'}: ${issue.message}`;
+}
+
+/**
+ * Logs a level's issues to the console (errors as errors, warnings as warnings).
+ * @param {string} name Label for the level, e.g. 'Level 3'
+ * @param {Array<object>} issues
+ */
+function logLevelIssues(name, issues) {
+    for (const issue of issues) {
+        const log = issue.severity === 'error' ? console.error : console.warn;
+        log(`${name}: ${formatIssue(issue)}`);
+    }
+}
+
+export { validateLevel, validateLevels, validatePack, validateWorlds, hasErrors, formatIssue, logLevelIssues, LEVEL_SCHEMA, PACK_SCHEMA };
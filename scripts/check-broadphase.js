@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Checks that the broad phases agree with the brute-force reference on every level.
+ * Each level is played headlessly (see js/simulation.js) with a fixed volley of shots, once per
+ * broad phase. Every pair, AABB and raycast query is answered by both the tested broad phase and
+ * BruteForceBroadPhase on the same bounds and the answers compared; the results of the whole run
+ * must match the brute-force run's too.
+ *
+ * Usage: node scripts/check-broadphase.js [level number ...]
+ *
+ * Exits with status 1 if any broad phase disagrees.
+ */
+
+import { LEVELS } from '../js/levels.js';
+import { simulateLevel } from '../js/simulation.js';
+import { BroadPhase, BruteForceBroadPhase, SpatialHashBroadPhase, SweepAndPruneBroadPhase } from '../js/broadphase.js';
+
+const TESTED = { SpatialHashBroadPhase, SweepAndPruneBroadPhase };
+const SHOT_ANGLES = [0.45, 0.7, 0.25, 0.9, 0.55]; // Radians above horizontal, one per bird in turn
+const ABILITY_FRAMES = 25; // Birds with an ability use it this long after launch
+
+/**
+ * Answers every query with the tested broad phase and records where the brute-force
+ * reference, given the same proxies, answers differently.
+ */
+class ComparedBroadPhase extends BroadPhase {
+    constructor(tested) {
+        super();
+        this.tested = tested;
+        this.reference = new BruteForceBroadPhase();
+        this.queries = 0;
+        this.mismatches = []; // Names of the queries that disagreed
+    }
+
+    update(proxies) {
+        super.update(proxies);
+        this.tested.update(proxies);
+        this.reference.update(proxies);
+    }
+
+    compare(query, answer, expected, describe) {
+        this.queries++;
+        if (JSON.stringify(answer.map(describe)) !== JSON.stringify(expected.map(describe))) this.mismatches.push(query);
+        return answer;
+    }
+
+    getPairs() {
+        return this.compare('getPairs', this.tested.getPairs(), this.reference.getPairs(), pair => pair);
+    }
+
+    queryAABB(rect) {
+        return this.compare('queryAABB', this.tested.queryAABB(rect), this.reference.queryAABB(rect), entity => entity.id);
+    }
+
+    raycast(from, to) {
+        return this.compare('raycast', this.tested.raycast(from, to), this.reference.raycast(from, to), hit => [hit.entity.id, hit.fraction]);
+    }
+}
+
+/** Full-pull shots at the volley's angles, one per bird */
+function volleyFor(levelData) {
+    return levelData.birds.map((_, i) => {
+        const angle = SHOT_ANGLES[i % SHOT_ANGLES.length];
+        return { x: 80 * Math.cos(angle), y: -80 * Math.sin(angle), ability: ABILITY_FRAMES };
+    });
+}
+
+const only = process.argv.slice(2).map(Number);
+
+// The entities log every destruction; keep the output to the report
+const log = console.log;
+console.log = () => {};
+console.warn = () => {};
+
+let failures = 0;
+LEVELS.forEach((levelData, index) => {
+    if (only.length > 0 && !only.includes(index + 1)) return;
+    const shots = volleyFor(levelData);
+    const expected = JSON.stringify(simulateLevel(levelData, shots, { broadPhase: new BruteForceBroadPhase() }));
+    for (const [name, BroadPhaseClass] of Object.entries(TESTED)) {
+        const broadPhase = new ComparedBroadPhase(new BroadPhaseClass());
+        const result = JSON.stringify(simulateLevel(levelData, shots, { broadPhase }));
+        const problems = [];
+        if (broadPhase.mismatches.length > 0) {
+            problems.push(`${broadPhase.mismatches.length} of ${broadPhase.queries} queries differ (first: ${broadPhase.mismatches[0]})`);
+        }
+        if (result !== expected) problems.push('result differs from the brute-force run');
+        if (problems.length === 0) continue;
+        log(`Level ${index + 1}, ${name}: ${problems.join('; ')}`);
+        failures++;
+    }
+});
+log(failures === 0 ? 'All broad phases match the brute-force reference.' : `${failures} mismatch(es).`);
+process.exit(failures > 0 ? 1 : 0);
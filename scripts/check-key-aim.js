@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Checks that a keyboard/gamepad aim holds still while no key is held.
+ * The bird is aimed by angle and pull (Slingshot.aimByAngle), then the world is stepped the
+ * way js/main.js steps it while aiming: physics, then the aiming branch re-pins the bird at the
+ * key aim. The launch vector has to come out of every step exactly as it went in.
+ *
+ * Usage: node scripts/check-key-aim.js [steps]
+ *
+ * Exits with status 1 if any aim drifts.
+ */
+
+import { LEVELS } from '../js/levels.js';
+import { Simulation } from '../js/simulation.js';
+import { TIME_STEP } from '../js/physics.js';
+
+const AIMS = [
+    { angle: -Math.PI / 4, pull: 0.5 },
+    { angle: -Math.PI / 4, pull: 1 },
+    { angle: -0.2, pull: 0.75 },
+    { angle: -1.3, pull: 0.25 },
+    { angle: 0.3, pull: 1 }, // Aimed below the horizon
+];
+const steps = Number(process.argv[2] ?? 120);
+
+// The entities log every destruction; keep the output to the report
+const log = console.log;
+console.log = () => {};
+
+let failures = 0;
+for (const aim of AIMS) {
+    const sim = new Simulation(LEVELS[0]);
+    if (!sim.slingshot.aimByAngle(aim.angle, aim.pull)) {
+        log(`Aim ${aim.angle.toFixed(2)} rad at ${aim.pull} pull: couldn't take hold of the bird`);
+        failures++;
+        continue;
+    }
+    const expected = sim.slingshot.getLaunchVelocity();
+    for (let step = 1; step <= steps; step++) {
+        sim.physicsWorld.update(TIME_STEP);
+        sim.slingshot.aimByAngle(aim.angle, aim.pull); // As main.js's update() while aiming with keyAim
+        const vector = sim.slingshot.getLaunchVelocity();
+        if (!Object.is(vector.x, expected.x) || !Object.is(vector.y, expected.y)) {
+            log(`Aim ${aim.angle.toFixed(2)} rad at ${aim.pull} pull: launch vector moved from (${expected.x}, ${expected.y}) to (${vector.x}, ${vector.y}) after ${step} step(s)`);
+            failures++;
+            break;
+        }
+    }
+}
+log(failures === 0 ? `All ${AIMS.length} aims held for ${steps} steps.` : `${failures} aim(s) drifted.`);
+process.exit(failures > 0 ? 1 : 0);
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Checks every level in js/levels.js (or the given ones) and prints the problems.
+ *
+ * Usage: node scripts/lint-levels.js [level number ...] [--strict]
+ *        node scripts/lint-levels.js --pack <pack.json> [--strict]
+ *   --pack    check a level pack file (see js/packs.js) instead of the built-in levels
+ *   --strict  warnings fail the run too (by default only errors do)
+ *
+ * Exits with status 1 if any level fails.
+ */
+
+import { readFileSync } from 'node:fs';
+import { LEVELS, WORLDS } from '../js/levels.js';
+import { validateLevels, validatePack, validateWorlds, formatIssue } from '../js/validator.js';
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const packIndex = args.indexOf('--pack');
+const packFile = packIndex >= 0 ? args[packIndex + 1] : null;
+const only = args.filter((arg, i) => !arg.startsWith('--') && (packIndex < 0 || i !== packIndex + 1)).map(Number);
+
+// Building levels logs from the entities; keep the output to the report
+const log = console.log;
+console.log = () => {};
+
+if (packIndex >= 0) {
+    if (!packFile) {
+        log('Usage: node scripts/lint-levels.js --pack <pack.json> [--strict]');
+        process.exit(1);
+    }
+    let issues;
+    try {
+        issues = validatePack(JSON.parse(readFileSync(packFile, 'utf8')));
+    } catch (error) {
+        log(`${packFile}: ${error.message}`);
+        process.exit(1);
+    }
+    issues.forEach(issue => log(`  ${formatIssue(issue)}`));
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    log(`${packFile}: ${errors} error(s), ${issues.length - errors} warning(s).`);
+    process.exit(errors > 0 || (strict && issues.length > errors) ? 1 : 0);
+}
+
+const results = validateLevels(LEVELS)
+    .filter(({ index }) => only.length === 0 || only.includes(index + 1))
+    .map(({ index, issues }) => ({ label: `Level ${index + 1}`, issues }));
+const levelsChecked = results.length;
+if (only.length === 0) results.push({ label: 'Worlds', issues: validateWorlds(WORLDS, LEVELS.length) });
+let errors = 0;
+let warnings = 0;
+for (const { label, issues } of results) {
+    if (issues.length === 0) continue;
+    log(`${label}:`);
+    issues.forEach(issue => log(`  ${formatIssue(issue)}`));
+    errors += issues.filter(issue => issue.severity === 'error').length;
+    warnings += issues.filter(issue => issue.severity === 'warning').length;
+}
+log(`${levelsChecked} level(s) checked: ${errors} error(s), ${warnings} warning(s).`);
+process.exit(errors > 0 || (strict && warnings > 0) ? 1 : 0);
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Runs a level headlessly in Node and prints the result as JSON.
+ *
+ * Usage: node scripts/simulate.js <level number> '<shots JSON>' [--seed N] [--verify] [--verbose]
+ *   shots: array of launch vectors, either [x, y] or { "x": .., "y": .., "ability": frames after launch }
+ *   --verify  runs the simulation twice and fails if any step's bodies or the results differ in any
+ *             bit, naming the first frame that does
+ * Shots are played one bird at a time, as in the game; any that couldn't be (the level was already
+ * won, the birds ran out, or the vector was too short to launch) are listed in `unusedShots` and
+ * reported on stderr.
+ *
+ * Example: node scripts/simulate.js 1 '[[70, -20], {"x": 75, "y": -25}]'
+ */
+
+import { LEVELS } from '../js/levels.js';
+import { simulateLevel, SNAPSHOT_FIELDS } from '../js/simulation.js';
+
+const args = process.argv.slice(2);
+const flag = name => args.includes(name);
+const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : undefined;
+};
+const positional = args.filter((arg, i) => !arg.startsWith('--') && !(i > 0 && args[i - 1] === '--seed'));
+
+const levelNumber = Number(positional[0]);
+const levelData = LEVELS[levelNumber - 1];
+if (!levelData || !positional[1]) {
+    console.error("Usage: node scripts/simulate.js <level number> '<shots JSON>' [--seed N] [--verify] [--verbose]");
+    process.exit(1);
+}
+
+const shots = JSON.parse(positional[1]).map(shot => Array.isArray(shot) ? { x: shot[0], y: shot[1] } : shot);
+const seed = option('--seed') !== undefined ? Number(option('--seed')) : undefined;
+
+// The entities log every destruction; keep stdout to the JSON result unless asked
+const log = console.log;
+if (!flag('--verbose')) console.log = () => {};
+
+/** A number as it is, -0 included (String(-0) is '0') */
+function formatNumber(value) {
+    return Object.is(value, -0) ? '-0' : String(value);
+}
+
+/** Where two Simulation.snapshot()s first differ, or null if they're identical to the bit */
+function snapshotDifference(first, second) {
+    const fields = SNAPSHOT_FIELDS.length;
+    if (first.length !== second.length) return `${first.length / fields} bodies vs ${second.length / fields}`;
+    for (let i = 0; i < first.length; i++) {
+        if (!Object.is(first[i], second[i])) {
+            return `body ${Math.floor(i / fields)} ${SNAPSHOT_FIELDS[i % fields]} ${formatNumber(first[i])} vs ${formatNumber(second[i])}`;
+        }
+    }
+    return null;
+}
+
+/** Path to where two plain-data values first differ (Object.is on every leaf), or null if they don't */
+function valueDifference(first, second, path = 'result') {
+    if (typeof first !== 'object' || first === null || typeof second !== 'object' || second === null) {
+        return Object.is(first, second) ? null : `${path} ${formatNumber(first)} vs ${formatNumber(second)}`;
+    }
+    for (const key of new Set([...Object.keys(first), ...Object.keys(second)])) {
+        const difference = valueDifference(first[key], second[key], `${path}.${key}`);
+        if (difference) return difference;
+    }
+    return null;
+}
+
+const frames = [];
+const result = simulateLevel(levelData, shots, { seed, onStep: flag('--verify') ? sim => frames.push(sim.snapshot()) : undefined });
+if (flag('--verify')) {
+    let divergence = null;
+    let frame = 0;
+    const again = simulateLevel(levelData, shots, {
+        seed,
+        onStep: sim => {
+            if (!divergence) {
+                const difference = frame < frames.length ? snapshotDifference(frames[frame], sim.snapshot()) : 'the first run had already ended';
+                if (difference) divergence = `frame ${frame + 1}: ${difference}`;
+            }
+            frame++;
+        },
+    });
+    if (!divergence && frame !== frames.length) divergence = `frame ${frame + 1}: the second run had already ended`;
+    const difference = divergence ?? valueDifference(result, again);
+    if (difference) {
+        console.error(`Simulation is not deterministic: the two runs first differ at ${difference}.`);
+        process.exit(2);
+    }
+}
+
+log(JSON.stringify(result, null, 2));
+if (result.unusedShots.length > 0) {
+    const reason = result.won ? 'the level was already won' : 'no bird was left to launch them or they were too short';
+    console.error(`${result.unusedShots.length} of ${shots.length} shots weren't played: ${reason}.`);
+}